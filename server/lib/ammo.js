@@ -0,0 +1,78 @@
+'use strict';
+
+// Magazines, reserves and timed reloads, grenades, and the hits each accepted shot lets a
+// client report.
+const { clock } = require('./clock');
+const { WEAPONS } = require('./constants');
+
+// A fired shot lets the client report up to `bullets` hits within this window
+const SHOT_CREDIT_MS = 2000;
+const GRENADE_COUNT = 3;          // per life
+
+function resetAmmo(p) {
+  p.ammo = WEAPONS.map(w => ({ mag: w.magSize, reserve: w.reserve }));
+  p.reloading = null; // { weapon, timer } while a reload is running
+  p.shotCredits = null;
+  p.grenades = GRENADE_COUNT;
+  p.lastGrenade = 0;
+}
+
+// Infinity serializes to null, which clients read as "unlimited"
+function getAmmoState(p) {
+  return {
+    mag: p.ammo.map(a => a.mag),
+    reserve: p.ammo.map(a => a.reserve),
+    reloading: p.reloading ? p.reloading.weapon : -1,
+    grenades: p.grenades,
+  };
+}
+
+function canReload(p, weaponIdx) {
+  const w = WEAPONS[weaponIdx];
+  const a = p.ammo[weaponIdx];
+  return !w.melee && !p.reloading && a.mag < w.magSize && a.reserve > 0;
+}
+
+function finishReload(p) {
+  const idx = p.reloading.weapon;
+  const a = p.ammo[idx];
+  const take = Math.min(WEAPONS[idx].magSize - a.mag, a.reserve);
+  a.mag += take;
+  a.reserve -= take;
+  p.reloading = null;
+}
+
+// Consumes one round; returns false when the magazine is empty or a reload is running
+function consumeAmmo(p, weaponIdx) {
+  if (p.reloading) return false;
+  const a = p.ammo[weaponIdx];
+  if (a.mag <= 0) return false;
+  a.mag--;
+  return true;
+}
+
+// Each accepted shot entitles the shooter to report a limited number of hits
+function grantShotCredits(p, weaponIdx) {
+  const w = WEAPONS[weaponIdx];
+  const now = clock.now();
+  const c = p.shotCredits;
+  const pellets = Math.max(1, w.bullets);
+  if (c && c.weapon === weaponIdx && now < c.expires) {
+    c.count = Math.min(c.count + pellets, pellets * 2);
+    c.expires = now + SHOT_CREDIT_MS;
+  } else {
+    p.shotCredits = { weapon: weaponIdx, count: pellets, expires: now + SHOT_CREDIT_MS };
+  }
+}
+
+function useShotCredit(p, weaponIdx) {
+  const c = p.shotCredits;
+  if (!c || c.weapon !== weaponIdx || c.count <= 0 || clock.now() > c.expires) return false;
+  c.count--;
+  return true;
+}
+
+module.exports = {
+  SHOT_CREDIT_MS, GRENADE_COUNT, resetAmmo, getAmmoState, canReload, finishReload, consumeAmmo, grantShotCredits,
+  useShotCredit,
+};
@@ -0,0 +1,404 @@
+'use strict';
+
+// Server-side players for small rooms and load tests.
+// A bot is an ordinary entry in room.players (id `bot-…`, brain in `p.bot`) with no socket behind
+// it. Every tick it decides what a client would: it turns toward its target no faster than its
+// difficulty allows, walks by feeding one input to movePlayer, and fires through the same
+// fire-rate and ammo checks with the weapon's spread, its shots traced like a client's reported
+// hits. Routes around the walls come from A* over a grid of the map (see findPath). Bots never
+// count toward stats, ratings or the player count, never host, and get no snapshots. A host sets
+// `bots` to keep the room topped up to that many players; a bot leaves when a human needs its slot.
+const crypto = require('crypto');
+
+const { clock } = require('./clock');
+const { WEAPONS } = require('./constants');
+const { MAP_HALF_SIZE, HITBOX, MAP_DEFS, hasLineOfSight, traceShot } = require('./maps');
+const { MOVE_SPEED, PLAYER_RADIUS, INPUT_KEYS, aimVector } = require('./physics');
+const { validateFireRate } = require('./validation');
+const { io, broadcast } = require('./net');
+const { resetAmmo, canReload, consumeAmmo } = require('./ammo');
+const { DEFAULT_RATING } = require('./ratings');
+const {
+  modeOf, lateJoin, applyHit, movePlayer, squad, circleBlocked, ENEMY_TYPES, damageEnemy, traceEnemy,
+} = require('./modes');
+const { spawnProjectile } = require('./projectiles');
+const { systemChat } = require('./chat');
+const { newPlayerState, serializePlayers } = require('./players');
+
+const BOT_DIFFICULTY = {
+  // reaction: seconds a target must be in view before the first shot; turnRate: rad/s;
+  // aimError: rad of wobble on top of the weapon's spread; headAim: share of targets aimed at the head
+  easy:   { reaction: 0.8,  turnRate: 3,  aimError: 0.08,  headAim: 0 },
+  normal: { reaction: 0.45, turnRate: 6,  aimError: 0.04,  headAim: 0.2 },
+  hard:   { reaction: 0.2,  turnRate: 10, aimError: 0.015, headAim: 0.5 },
+};
+const BOT_NAMES = ['Vex', 'Byte', 'Nyx', 'Glitch', 'Rook', 'Hex', 'Volt', 'Cipher', 'Jinx', 'Pixel', 'Static', 'Null'];
+const BOT_COLORS = ['#ff4444', '#44ff44', '#ffaa00', '#aa44ff', '#ff44aa', '#44aaff'];
+const BOT_RANGE = [20, 6, 14, 22, 40, 1.5]; // distance each weapon likes to fight at (WEAPONS order)
+const BOT_SIGHT = 70;         // units
+const BOT_THINK = 0.25;       // seconds between picking targets and goals
+const BOT_REPATH = 1.5;       // seconds a route is followed before searching again
+const BOT_AIM_TOLERANCE = 0.1; // rad off its intended aim that a bot still pulls the trigger at
+const BOT_STUCK_TIME = 1;     // seconds of barely moving before it jumps and reroutes
+const NAV_CELL = 2;           // units per nav grid cell
+
+const navGrids = new WeakMap(); // map def -> { size, open }
+
+// Cells a player fits in, with a little room to spare; built once per map
+function navGrid(mapName) {
+  const def = MAP_DEFS[mapName] || MAP_DEFS.arena;
+  let grid = navGrids.get(def);
+  if (!grid) {
+    const size = Math.ceil(MAP_HALF_SIZE * 2 / NAV_CELL);
+    const open = new Uint8Array(size * size);
+    for (let c = 0; c < open.length; c++) {
+      const { x, z } = navPoint(size, c);
+      open[c] = circleBlocked(def.colliders, x, z, PLAYER_RADIUS + 0.3) ? 0 : 1;
+    }
+    navGrids.set(def, grid = { size, open });
+  }
+  return grid;
+}
+
+function navCell(size, x, z) {
+  const index = v => Math.max(0, Math.min(size - 1, Math.floor((v + MAP_HALF_SIZE) / NAV_CELL)));
+  return index(z) * size + index(x);
+}
+
+function navPoint(size, c) {
+  return { x: -MAP_HALF_SIZE + (c % size + 0.5) * NAV_CELL, z: -MAP_HALF_SIZE + (Math.floor(c / size) + 0.5) * NAV_CELL };
+}
+
+function heapPush(heap, f, c) {
+  heap.push([f, c]);
+  for (let i = heap.length - 1; i > 0;) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent][0] <= heap[i][0]) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0], last = heap.pop();
+  if (!heap.length) return top;
+  heap[0] = last;
+  for (let i = 0; ;) {
+    const l = 2 * i + 1, r = l + 1;
+    let m = i;
+    if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+    if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+    if (m === i) break;
+    [heap[m], heap[i]] = [heap[i], heap[m]];
+    i = m;
+  }
+  return top;
+}
+
+// A* over the nav grid, 8-way without cutting corners. Returns waypoints ending at `to`, or null
+// when `to` can't be reached.
+function findPath(mapName, from, to) {
+  const { size, open } = navGrid(mapName);
+  const start = navCell(size, from.x, from.z), goal = navCell(size, to.x, to.z);
+  if (!open[goal]) return null;
+  const g = new Float64Array(size * size).fill(Infinity);
+  const came = new Int32Array(size * size).fill(-1);
+  const gx = goal % size, gz = Math.floor(goal / size);
+  const h = (c) => {
+    const dx = Math.abs(c % size - gx), dz = Math.abs(Math.floor(c / size) - gz);
+    return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+  };
+  const heap = [];
+  g[start] = 0;
+  heapPush(heap, h(start), start);
+  while (heap.length) {
+    const [f, c] = heapPop(heap);
+    if (c === goal) break;
+    if (f > g[c] + h(c) + 1e-9) continue; // superseded by a shorter way in
+    const cx = c % size, cz = (c - cx) / size;
+    for (let dz = -1; dz <= 1; dz++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = cx + dx, nz = cz + dz, n = nz * size + nx;
+        if ((!dx && !dz) || nx < 0 || nz < 0 || nx >= size || nz >= size || !open[n]) continue;
+        if (dx && dz && (!open[cz * size + nx] || !open[nz * size + cx])) continue;
+        const cost = g[c] + (dx && dz ? Math.SQRT2 : 1);
+        if (cost >= g[n]) continue;
+        g[n] = cost;
+        came[n] = c;
+        heapPush(heap, cost + h(n), n);
+      }
+    }
+  }
+  if (goal !== start && came[goal] < 0) return null;
+  const path = [{ x: to.x, z: to.z }];
+  for (let c = came[goal]; c >= 0 && c !== start; c = came[c]) path.unshift(navPoint(size, c));
+  return path;
+}
+
+function addBot(room, difficulty = room.botDifficulty) {
+  const taken = new Set([...room.players.values()].map(p => p.name));
+  const free = BOT_NAMES.filter(n => !taken.has(`BOT ${n}`));
+  const name = `BOT ${free.length ? free[Math.random() * free.length | 0] : BOT_NAMES[0]}`;
+  const id = `bot-${crypto.randomBytes(4).toString('hex')}`;
+  const gear = { color: BOT_COLORS[Math.random() * BOT_COLORS.length | 0], hat: 'none', skinId: 'default', effectId: 'default' };
+  const p = newPlayerState(room, id, { name, gear, binary: false, address: null });
+  p.ready = true;
+  p.rating = DEFAULT_RATING;
+  p.bot = {
+    difficulty: BOT_DIFFICULTY[difficulty] ? difficulty : 'normal',
+    target: null, seenFor: 0, aimHead: false, lastSeen: null, wobble: { yaw: 0, pitch: 0 }, wobbleTimer: 0,
+    goal: null, path: null, repathTimer: 0, thinkTimer: 0,
+    strafeDir: 1, strafeTimer: 0, stuckTimer: 0, seq: 0,
+  };
+  resetAmmo(p);
+  modeOf(room).onJoin(room, p);
+  room.players.set(id, p);
+  if (room.state === 'playing') {
+    lateJoin(room, p);
+    io.to(room.code).emit('player-joined', serializePlayers(room).find(pl => pl.id === id));
+  }
+  systemChat(room, `${name} joined`);
+  return p;
+}
+
+// A bot just goes: it holds no slot and never hosts, and whoever changed the roster sends the room state
+function removeBot(room, id) {
+  const p = room.players.get(id);
+  room.players.delete(id);
+  io.to(room.code).emit('player-left', { id, name: p.name });
+  systemChat(room, `${p.name} left`);
+}
+
+// Tops the room up to room.botFill players and drops the newest bots past it (or past the room's
+// size). Bots only join in the lobby. `joining` holds slots for humans about to be added.
+function syncBots(room, joining = 0) {
+  const bots = [...room.players.values()].filter(p => p.bot);
+  const humans = room.players.size - bots.length + joining;
+  const want = Math.max(0, Math.min(room.botFill, room.maxPlayers) - humans);
+  for (let i = bots.length - 1; i >= want; i--) removeBot(room, bots[i].id);
+  if (room.state === 'lobby') for (let n = bots.length; n < want; n++) addBot(room);
+}
+
+// Everything a bot may shoot at, with the point it aims for: opponents, or the wave in co-op
+function botTargets(room, sid, p) {
+  if (room.coop) {
+    return room.coop.enemies.map(e => ({ id: `e${e.id}`, enemy: e, x: e.x, y: e.y + ENEMY_TYPES[e.type].size * 1.5, z: e.z }));
+  }
+  const list = [];
+  for (const [id, o] of room.players) {
+    if (id === sid || !o.alive || (o.team && o.team === p.team)) continue;
+    list.push({ id, player: o, x: o.x, y: o.y, z: o.z });
+  }
+  return list;
+}
+
+// Where it should be heading when nothing is in its sights: the objective, a downed squadmate,
+// or the nearest opponent
+function botGoal(room, sid, p, targets) {
+  const obj = room.objective;
+  if (obj && obj.type === 'ctf' && p.team) {
+    const enemy = obj.flags[p.team === 'red' ? 'blue' : 'red'], own = obj.flags[p.team];
+    if (enemy.carrier === sid) return own.home;
+    if (own.carrier) return room.players.get(own.carrier) || own; // chase down our flag
+    if (!own.atHome) return own;
+    if (enemy.carrier !== null) return room.players.get(enemy.carrier) || enemy; // escort the carrier
+    return enemy;
+  }
+  if (obj && obj.type === 'koth') return obj.zone;
+  if (room.coop) {
+    const downed = squad(room).find(o => o !== p && o.down === 1);
+    if (downed) return downed;
+  }
+  let best = null, bestDist = Infinity;
+  for (const t of targets) {
+    const d = Math.hypot(t.x - p.x, t.z - p.z);
+    if (d < bestDist) { best = t; bestDist = d; }
+  }
+  return best || p.bot.lastSeen;
+}
+
+// Nearest target it can see
+function pickBotTarget(room, p, targets) {
+  let best = null, bestDist = BOT_SIGHT;
+  for (const t of targets) {
+    const d = Math.hypot(t.x - p.x, t.y - p.y, t.z - p.z);
+    if (d < bestDist && hasLineOfSight(room.map, p, t)) { best = t; bestDist = d; }
+  }
+  return best;
+}
+
+// The weapon for the distance, with ammo left; gun game hands out the weapon instead
+function botWeapon(room, p, dist) {
+  if (room.mode === 'gungame') return p.weapon;
+  const pick = dist < 2.5 ? 5 : dist < 10 ? 1 : dist < 35 ? 2 : 4;
+  const a = p.ammo[pick];
+  return a.mag > 0 || a.reserve > 0 ? pick : 0;
+}
+
+// Turns `from` toward `to` by at most `step` radians
+function turnToward(from, to, step) {
+  const diff = Math.atan2(Math.sin(to - from), Math.cos(to - from));
+  return Math.abs(diff) <= step ? to : from + Math.sign(diff) * step;
+}
+
+// Keys that walk along world direction `move` while facing `yaw` (the inverse of simulateMove)
+function botKeys(yaw, move) {
+  if (!move) return 0;
+  const sin = Math.sin(yaw), cos = Math.cos(yaw);
+  const fx = move.x * cos - move.z * sin, fz = move.x * sin + move.z * cos;
+  let keys = 0;
+  if (fz < -0.38) keys |= INPUT_KEYS.FORWARD;
+  if (fz > 0.38) keys |= INPUT_KEYS.BACK;
+  if (fx > 0.38) keys |= INPUT_KEYS.RIGHT;
+  if (fx < -0.38) keys |= INPUT_KEYS.LEFT;
+  return keys;
+}
+
+function followPath(room, p, goal, dt) {
+  const b = p.bot;
+  b.repathTimer -= dt;
+  if (!b.path || b.repathTimer <= 0) {
+    b.path = findPath(room.map, p, goal) || [{ x: goal.x, z: goal.z }];
+    b.repathTimer = BOT_REPATH;
+  }
+  while (b.path.length > 1 && Math.hypot(b.path[0].x - p.x, b.path[0].z - p.z) < NAV_CELL * 0.6) b.path.shift();
+  const next = b.path[0];
+  const dx = next.x - p.x, dz = next.z - p.z, d = Math.hypot(dx, dz);
+  return d < 0.5 ? null : { x: dx / d, z: dz / d };
+}
+
+// One trigger pull along the bot's aim; false when the weapon isn't ready
+function botFire(room, sid, p) {
+  const weaponIdx = p.weapon, w = WEAPONS[weaponIdx];
+  if (p.reloading || p.ammo[weaponIdx].mag <= 0) return false;
+  if (clock.now() / 1000 - p.lastShot < w.rate || !validateFireRate(p, weaponIdx)) return false; // no 80% tolerance for bots
+  consumeAmmo(p, weaponIdx);
+  const eye = { x: p.x, y: p.y, z: p.z };
+  const aim = aimVector(p.yaw, p.pitch);
+  if (w.explosive) {
+    spawnProjectile(room, sid, 'rocket', eye, aim);
+    return true;
+  }
+  broadcast(room, 'bullet', { owner: sid, x: eye.x, y: eye.y, z: eye.z, dx: aim.x, dy: aim.y, dz: aim.z, weapon: weaponIdx });
+  for (let i = 0; i < Math.max(1, w.bullets); i++) {
+    // Same spread as the client's shoot()
+    const dir = { x: aim.x + (Math.random() - 0.5) * w.spread, y: aim.y + (Math.random() - 0.5) * w.spread,
+      z: aim.z + (Math.random() - 0.5) * w.spread };
+    botPellet(room, sid, p, weaponIdx, eye, dir);
+  }
+  return true;
+}
+
+// The nearest body in the pellet's path takes it; the mode decides about teammates
+function botPellet(room, sid, p, weaponIdx, eye, dir) {
+  const w = WEAPONS[weaponIdx];
+  if (room.coop) {
+    let best = null;
+    for (const e of room.coop.enemies) {
+      const hit = traceEnemy(room.map, eye, dir, e, w.range);
+      if (hit && (!best || hit.distance < best.distance)) best = { e, distance: hit.distance };
+    }
+    if (best) damageEnemy(room, best.e, w.dmg * (p.dmgTimer > 0 ? 2 : 1), p, { weapon: weaponIdx });
+    return;
+  }
+  let best = null;
+  for (const [id, o] of room.players) {
+    if (id === sid || !o.alive) continue;
+    const shot = traceShot(room.map, eye, dir, o, w.range);
+    if (shot && (!best || shot.distance < best.shot.distance)) best = { id, o, shot };
+  }
+  if (best && best.o.spawnProtectionTimer <= 0) applyHit(room, sid, p, best.id, best.o, weaponIdx, best.shot.headshot && !w.melee);
+}
+
+function startBotReload(room, sid, p) {
+  if (!canReload(p, p.weapon)) return;
+  p.reloading = { weapon: p.weapon, timer: WEAPONS[p.weapon].reloadTime };
+  io.to(room.code).emit('player-reload', { id: sid, weapon: p.weapon });
+}
+
+// One tick of a bot's life: pick a target and a goal, aim, shoot, reload, walk
+function updateBot(room, sid, p, dt) {
+  const b = p.bot;
+  if (!p.alive || p.down) { b.target = null; b.path = null; b.seenFor = 0; return; }
+  const skill = BOT_DIFFICULTY[b.difficulty];
+  const colliders = (MAP_DEFS[room.map] || MAP_DEFS.arena).colliders;
+
+  const targets = botTargets(room, sid, p);
+  b.thinkTimer -= dt;
+  if (b.thinkTimer <= 0) {
+    b.thinkTimer = BOT_THINK;
+    const picked = pickBotTarget(room, p, targets);
+    if (!picked || !b.target || picked.id !== b.target.id) { b.seenFor = 0; b.aimHead = Math.random() < skill.headAim; }
+    b.target = picked;
+    b.goal = botGoal(room, sid, p, targets);
+  }
+  // Follow the target between decisions; drop it once it's gone or behind a wall
+  let target = b.target && targets.find(t => t.id === b.target.id);
+  if (target && (Math.hypot(target.x - p.x, target.z - p.z) > BOT_SIGHT || !hasLineOfSight(room.map, p, target))) target = null;
+  if (!target) { b.target = null; b.seenFor = 0; } else { b.seenFor += dt; b.lastSeen = { x: target.x, z: target.z }; }
+
+  let move = null;
+  if (target) {
+    const dx = target.x - p.x, dz = target.z - p.z, dist = Math.hypot(dx, dz) || 1e-6;
+    const weapon = botWeapon(room, p, dist);
+    if (weapon !== p.weapon) { p.weapon = weapon; p.reloading = null; }
+
+    // Aim: the head or the chest, with a wobble that wanders as its aim settles
+    b.wobbleTimer -= dt;
+    if (b.wobbleTimer <= 0) {
+      b.wobble = { yaw: (Math.random() - 0.5) * 2 * skill.aimError, pitch: (Math.random() - 0.5) * 2 * skill.aimError };
+      b.wobbleTimer = 0.3;
+    }
+    const aimY = target.player ? target.y + (b.aimHead ? HITBOX.headOffset : -0.8) : target.y;
+    const wantYaw = Math.atan2(-dx, -dz) + b.wobble.yaw;
+    const wantPitch = Math.atan2(aimY - p.y, dist) + b.wobble.pitch;
+    p.yaw = turnToward(p.yaw, wantYaw, skill.turnRate * dt);
+    p.pitch = turnToward(p.pitch, wantPitch, skill.turnRate * dt);
+    const onTarget = Math.abs(Math.atan2(Math.sin(wantYaw - p.yaw), Math.cos(wantYaw - p.yaw))) < BOT_AIM_TOLERANCE &&
+      Math.abs(wantPitch - p.pitch) < BOT_AIM_TOLERANCE;
+    if (onTarget && b.seenFor >= skill.reaction && dist <= WEAPONS[p.weapon].range) botFire(room, sid, p);
+
+    // Hold the weapon's distance while strafing; a flag carrier keeps running for home
+    const carrying = room.objective && room.objective.type === 'ctf' &&
+      Object.values(room.objective.flags).some(f => f.carrier === sid);
+    if (!carrying) {
+      const ideal = BOT_RANGE[p.weapon];
+      const toward = dist > ideal + 4 ? 1 : dist < ideal - 4 ? -1 : 0;
+      b.strafeTimer -= dt;
+      if (b.strafeTimer <= 0) { b.strafeDir *= -1; b.strafeTimer = 0.8 + Math.random() * 1.5; }
+      move = { x: dx / dist * toward - dz / dist * b.strafeDir, z: dz / dist * toward + dx / dist * b.strafeDir };
+      const len = Math.hypot(move.x, move.z);
+      move = { x: move.x / len, z: move.z / len };
+      if (circleBlocked(colliders, p.x + move.x * 1.5, p.z + move.z * 1.5, PLAYER_RADIUS)) b.strafeDir *= -1;
+      b.path = null;
+    }
+  }
+  if (!move && b.goal) {
+    move = followPath(room, p, b.goal, dt);
+    if (move && !target) {
+      p.yaw = turnToward(p.yaw, Math.atan2(-move.x, -move.z), skill.turnRate * dt);
+      p.pitch = turnToward(p.pitch, 0, skill.turnRate * dt);
+    }
+  }
+  if (!target && p.ammo[p.weapon].mag < WEAPONS[p.weapon].magSize / 2) startBotReload(room, sid, p);
+  if (p.ammo[p.weapon].mag <= 0) startBotReload(room, sid, p);
+
+  let keys = botKeys(p.yaw, move);
+  if (b.stuckTimer > BOT_STUCK_TIME) {
+    keys |= INPUT_KEYS.JUMP;
+    b.path = null;
+    b.strafeDir *= -1;
+    b.stuckTimer = 0;
+  }
+  const x = p.x, z = p.z;
+  movePlayer(room, sid, p, { seq: ++b.seq, dt, keys, yaw: p.yaw }, colliders);
+  b.stuckTimer = move && Math.hypot(p.x - x, p.z - z) < MOVE_SPEED * dt * 0.25 ? b.stuckTimer + dt : 0;
+}
+
+function updateBots(room, dt) {
+  for (const [sid, p] of room.players) if (p.bot) updateBot(room, sid, p, dt);
+}
+
+module.exports = {
+  BOT_DIFFICULTY, findPath, botKeys, addBot, syncBots, botFire, updateBot, updateBots,
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+// Room chat: rate limits, the word filter, mute/block and the team channel. Commands (/mute,
+// /stats, …) are server.js's (see CHAT there).
+// Each socket has a small token bucket (CHAT_BURST messages, one more every CHAT_REFILL_MS) and
+// may not repeat itself within CHAT_REPEAT_MS. Every refused message is a strike; CHAT_STRIKES
+// of them mute the sender for CHAT_MUTE_MS. Filtered words (CHAT_FILTER_FILE) are masked.
+// Mutes hide a player's messages from you; blocks hide them in both directions.
+const fs = require('fs');
+const path = require('path');
+
+const { clock } = require('./clock');
+const { io } = require('./net');
+const { isTeamMode } = require('./modes');
+
+const CHAT_MAX_LEN = 200;
+const CHAT_HISTORY = 100;
+const CHAT_BURST = 4;
+const CHAT_REFILL_MS = 1500;
+const CHAT_REPEAT_MS = 20000;
+const CHAT_STRIKES = 3;
+const CHAT_MUTE_MS = 30000;
+const CHAT_FILTER_FILE = process.env.CHAT_FILTER_FILE || path.join(__dirname, '..', 'chat-filter.json');
+
+let chatFilter = null; // RegExp matching any filtered word (and what follows it: "word", "wordy")
+
+function setChatFilter(words) {
+  const list = (words || []).map(w => String(w).trim()).filter(Boolean)
+    .map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  chatFilter = list.length ? new RegExp(`\\b(?:${list.join('|')})\\w*`, 'gi') : null;
+}
+
+function loadChatFilter(file) {
+  try {
+    setChatFilter(JSON.parse(fs.readFileSync(file, 'utf8')).words);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`[chat] could not read ${file}: ${err.message}`);
+    setChatFilter([]);
+  }
+}
+loadChatFilter(CHAT_FILTER_FILE);
+
+function filterChat(text) {
+  return chatFilter ? text.replace(chatFilter, w => '*'.repeat(w.length)) : text;
+}
+
+function createChatState() {
+  return { tokens: CHAT_BURST, refilledAt: 0, recent: [], strikes: 0, mutedUntil: 0, muted: new Set(), blocked: new Set() };
+}
+
+// Tops a token bucket ({ tokens, refilledAt }) up to `burst`, one token per `refillMs` since it
+// was last looked at; true when there is one to spend. Spending it is the caller's call.
+function refillBucket(bucket, now, burst, refillMs) {
+  bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.refilledAt) / refillMs);
+  bucket.refilledAt = now;
+  return bucket.tokens >= 1;
+}
+
+// null when the message may go out, otherwise why not
+function checkChatRate(state, text, now) {
+  if (now < state.mutedUntil) return `You are muted for ${Math.ceil((state.mutedUntil - now) / 1000)}s`;
+  const hasToken = refillBucket(state, now, CHAT_BURST, CHAT_REFILL_MS);
+  state.recent = state.recent.filter(r => now - r.t < CHAT_REPEAT_MS);
+  const key = text.trim().toLowerCase();
+  let reason = null;
+  if (!hasToken) reason = 'Slow down';
+  else if (state.recent.some(r => r.key === key)) reason = "Don't repeat yourself";
+  if (reason) {
+    if (++state.strikes >= CHAT_STRIKES) {
+      state.strikes = 0;
+      state.mutedUntil = now + CHAT_MUTE_MS;
+      return `Muted for ${CHAT_MUTE_MS / 1000}s for spamming`;
+    }
+    return reason;
+  }
+  state.tokens--;
+  state.recent.push({ key, t: now });
+  return null;
+}
+
+// Who mutes, blocks and chat lines refer to: the account, or the session without one. Never the
+// typed name — a muted player would shake it off by rejoining as someone else, and whoever took
+// the name next would be silenced in their place.
+function chatKey(p) {
+  return p.key || `session:${p.session}`;
+}
+
+// line: { from, fromKey, msg, team?, system? }; viewer: { key, team, chat }; sender's chat state if known
+function chatVisibleTo(line, viewer, senderChat) {
+  if (line.team && line.team !== viewer.team) return false;
+  if (line.system) return true;
+  if (viewer.chat && (viewer.chat.muted.has(line.fromKey) || viewer.chat.blocked.has(line.fromKey))) return false;
+  if (senderChat && senderChat.blocked.has(viewer.key)) return false;
+  return true;
+}
+
+function chatViewers(room) {
+  const viewers = [];
+  for (const [sid, p] of [...room.players, ...room.spectators]) {
+    const sock = io.socket(sid);
+    if (sock) viewers.push({ sock, key: chatKey(p), team: p.spectator ? null : p.team, chat: sock.data.chat });
+  }
+  return viewers;
+}
+
+function pushChat(room, line) {
+  room.chat.push(line);
+  if (room.chat.length > CHAT_HISTORY) room.chat.shift();
+}
+
+function publicLine({ fromKey, ...line }) {
+  return line;
+}
+
+function systemChat(room, msg) {
+  const line = { from: 'SYSTEM', msg, system: true, t: clock.now() };
+  pushChat(room, line);
+  io.to(room.code).emit('chat', line);
+}
+
+function sendChat(room, sock, sender, text, teamOnly) {
+  const team = teamOnly && isTeamMode(room.mode) && !sender.spectator ? sender.team : null;
+  const line = { from: sender.name, fromKey: chatKey(sender), msg: filterChat(text), t: clock.now() };
+  if (team) line.team = team;
+  pushChat(room, line);
+  for (const v of chatViewers(room)) {
+    if (chatVisibleTo(line, v, sock.data.chat)) v.sock.emit('chat', publicLine(line));
+  }
+}
+
+// What a newcomer sees of the room's history
+function chatHistoryFor(room, viewer) {
+  return room.chat.filter(line => chatVisibleTo(line, viewer)).map(publicLine);
+}
+
+module.exports = {
+  CHAT_MAX_LEN, CHAT_BURST, CHAT_STRIKES, setChatFilter, filterChat, createChatState, refillBucket, checkChatRate,
+  chatKey, chatVisibleTo, systemChat, sendChat, chatHistoryFor,
+};
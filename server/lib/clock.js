@@ -0,0 +1,99 @@
+'use strict';
+
+// Game time. Match timers (the room tick, the lobby return, reconnect grace, the matchmaker)
+// and every gameplay timestamp go through `clock`, so tests can swap in a FakeClock and step a
+// match tick by tick. Network plumbing (RTT probes, the cluster heartbeat, shutdown) keeps real timers.
+
+const realClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearTimeout: (t) => clearTimeout(t),
+  clearInterval: (t) => clearInterval(t),
+};
+
+let current = realClock;
+
+// A timer handle shaped like Node's, so callers can unref() it whichever clock made it
+class FakeTimer {
+  constructor(clock, fn, at, repeat) {
+    this.clock = clock;
+    this.fn = fn;
+    this.at = at;
+    this.repeat = repeat; // ms between runs, or null for a timeout
+    this.id = clock.nextId++;
+  }
+
+  ref() { return this; }
+  unref() { return this; }
+  hasRef() { return true; }
+  refresh() { this.at = this.clock.time + (this.repeat || this.delay); return this; }
+}
+
+// Time only moves when advance() is called; due timers run in order, each at its own time
+class FakeClock {
+  constructor(start = Date.UTC(2025, 0, 1)) {
+    this.time = start;
+    this.timers = new Set();
+    this.nextId = 1;
+  }
+
+  now() { return this.time; }
+
+  setTimeout(fn, ms) { return this.add(fn, ms, false); }
+  setInterval(fn, ms) { return this.add(fn, ms, true); }
+  clearTimeout(t) { this.timers.delete(t); }
+  clearInterval(t) { this.timers.delete(t); }
+
+  add(fn, ms, repeat) {
+    const delay = Math.max(1, Number(ms) || 0); // same floor as Node
+    const t = new FakeTimer(this, fn, this.time + delay, repeat ? delay : null);
+    t.delay = delay;
+    this.timers.add(t);
+    return t;
+  }
+
+  get pending() { return this.timers.size; }
+
+  advance(ms) {
+    const end = this.time + ms;
+    for (let t = this.nextDue(end); t; t = this.nextDue(end)) {
+      this.time = t.at;
+      if (t.repeat) t.at += t.repeat;
+      else this.timers.delete(t);
+      t.fn();
+    }
+    this.time = end;
+  }
+
+  nextDue(end) {
+    let next = null;
+    for (const t of this.timers) {
+      if (t.at <= end && (!next || t.at < next.at || (t.at === next.at && t.id < next.id))) next = t;
+    }
+    return next;
+  }
+}
+
+// Handles are cleared by the clock that made them, even after a swap
+const clear = (t) => {
+  if (t instanceof FakeTimer) t.clock.timers.delete(t);
+  else if (t) clearTimeout(t);
+};
+
+const clock = {
+  now: () => current.now(),
+  setTimeout: (fn, ms) => current.setTimeout(fn, ms),
+  setInterval: (fn, ms) => current.setInterval(fn, ms),
+  clearTimeout: clear,
+  clearInterval: clear,
+};
+
+// Installs a clock (null for the real one) and returns the one it replaced
+function useClock(next) {
+  const prev = current;
+  current = next || realClock;
+  return prev;
+}
+
+module.exports = { clock, FakeClock, useClock };
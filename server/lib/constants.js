@@ -0,0 +1,23 @@
+'use strict';
+
+// Game constants shared by the server and its modules
+const TICK_RATE = 20;
+const TICK_MS = 1000 / TICK_RATE;
+
+// Latency compensation: replay window in ms (100-200ms) — OPTIMIZED to 100ms
+const REPLAY_WINDOW_MS = 100;
+const POSITION_HISTORY_MS = 1000; // how much per-player history to keep for rewinds
+
+// Weapon definitions (mirrored from client for server-authoritative hit validation)
+// IMPROVEMENT #4: Updated weapon balance - Sniper dmg 100, tighter SMG spread, rocket splash
+// magSize/reserve/reloadTime: server-side ammo authority (Infinity = never runs out)
+const WEAPONS = [
+  { name: 'PISTOL',  dmg: 20,  rate: 0.3,  range: 80,  spread: 0,     bullets: 1, explosive: false, melee: false, splashRadius: 0, magSize: 12,       reserve: Infinity, reloadTime: 1.0 },
+  { name: 'SHOTGUN', dmg: 12,  rate: 0.7,  range: 40,  spread: 0.08,  bullets: 6, explosive: false, melee: false, splashRadius: 0, magSize: 8,        reserve: 32,       reloadTime: 1.5 },
+  { name: 'SMG',     dmg: 10,  rate: 0.08, range: 60,  spread: 0.025, bullets: 1, explosive: false, melee: false, splashRadius: 0, magSize: 30,       reserve: 120,      reloadTime: 1.8 }, // tighter spread
+  { name: 'ROCKET',  dmg: 80,  rate: 1.0,  range: 100, spread: 0,     bullets: 1, explosive: true,  melee: false, splashRadius: 8, magSize: 5,        reserve: 20,       reloadTime: 2.2 }, // splash damage
+  { name: 'SNIPER',  dmg: 100, rate: 1.5,  range: 150, spread: 0,     bullets: 1, explosive: false, melee: false, splashRadius: 0, magSize: 5,        reserve: 25,       reloadTime: 2.5 }, // reduced from 120 to 100
+  { name: 'KNIFE',   dmg: 50,  rate: 0.25, range: 3,   spread: 0,     bullets: 0, explosive: false, melee: true,  splashRadius: 0, magSize: Infinity, reserve: Infinity, reloadTime: 0 },
+];
+
+module.exports = { TICK_RATE, TICK_MS, REPLAY_WINDOW_MS, POSITION_HISTORY_MS, WEAPONS };
@@ -0,0 +1,205 @@
+'use strict';
+
+// Map definitions (JSON files in server/maps) and the geometry the server tests against them
+const path = require('path');
+const fs = require('fs');
+
+const MAPS_DIR = path.join(__dirname, '..', 'maps');
+
+const MAP_NAME_RE = /^[a-z0-9-]+$/;
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+const MAP_HALF_SIZE = 48; // playable area inside the boundary walls
+
+function isNum(v) { return typeof v === 'number' && Number.isFinite(v); }
+
+// Throws with a readable message if a map definition is malformed
+function validateMap(def, expectedName) {
+  const fail = (msg) => { throw new Error(`${expectedName || def?.name || 'map'}: ${msg}`); };
+  if (!def || typeof def !== 'object') fail('not an object');
+  if (typeof def.name !== 'string' || !MAP_NAME_RE.test(def.name)) fail('name must be lowercase letters, digits or dashes');
+  if (expectedName && def.name !== expectedName) fail(`name "${def.name}" does not match its file name`);
+  if (typeof def.title !== 'string' || !def.title) fail('title is required');
+
+  const t = def.theme;
+  if (!t || !COLOR_RE.test(t.base) || !COLOR_RE.test(t.emissive) || !COLOR_RE.test(t.neon)) {
+    fail('theme needs base, emissive and neon colors as #rrggbb');
+  }
+  if (t.ambient !== undefined && !(Array.isArray(t.ambient) && t.ambient.length === 2 && t.ambient.every(isNum))) {
+    fail('theme.ambient must be two frequencies');
+  }
+
+  for (const key of ['walls', 'spawns', 'hazards', 'platforms', 'powerups']) {
+    if (!Array.isArray(def[key])) fail(`${key} must be an array`);
+  }
+  if (!def.walls.length) fail('at least one wall is required');
+  def.walls.forEach((w, i) => {
+    if (![w.x, w.z, w.w, w.d, w.h].every(isNum) || w.w <= 0 || w.d <= 0 || w.h <= 0) fail(`walls[${i}] needs x, z and positive w, d, h`);
+  });
+
+  const colliders = def.walls.map(wallCollider);
+  const blocked = (x, z, r) => colliders.some(b => x + r > b.minX && x - r < b.maxX && z + r > b.minZ && z - r < b.maxZ);
+  const checkPoint = (pt, label) => {
+    if (!isNum(pt.x) || !isNum(pt.z)) fail(`${label} needs numeric x and z`);
+    if (Math.abs(pt.x) > MAP_HALF_SIZE || Math.abs(pt.z) > MAP_HALF_SIZE) fail(`${label} is outside the map`);
+    if (blocked(pt.x, pt.z, 0.5)) fail(`${label} is inside a wall`);
+  };
+  if (def.spawns.length < 2) fail('at least two spawn points are required');
+  def.spawns.forEach((pt, i) => checkPoint(pt, `spawns[${i}]`));
+  def.powerups.forEach((pt, i) => checkPoint(pt, `powerups[${i}]`));
+
+  // Objective modes: flag bases for ctf, a rotation of hill zones for koth (both optional)
+  if (def.flags !== undefined) {
+    if (!def.flags || !def.flags.red || !def.flags.blue) fail('flags needs a red and a blue base');
+    checkPoint(def.flags.red, 'flags.red');
+    checkPoint(def.flags.blue, 'flags.blue');
+  }
+  if (def.hills !== undefined) {
+    if (!Array.isArray(def.hills) || !def.hills.length) fail('hills must be a non-empty array');
+    def.hills.forEach((h, i) => {
+      checkPoint(h, `hills[${i}]`);
+      if (!isNum(h.radius) || h.radius <= 0) fail(`hills[${i}] needs a radius > 0`);
+    });
+  }
+
+  def.hazards.forEach((h, i) => {
+    if (![h.x, h.z, h.radius, h.damage].every(isNum) || h.radius <= 0 || h.damage < 0) fail(`hazards[${i}] needs x, z, radius > 0 and damage >= 0`);
+  });
+  def.platforms.forEach((pl, i) => {
+    if (![pl.x, pl.z, pl.width, pl.depth, pl.moveDist, pl.moveDuration].every(isNum) ||
+        pl.width <= 0 || pl.depth <= 0 || pl.moveDist < 0 || pl.moveDuration <= 0) {
+      fail(`platforms[${i}] needs x, z, positive width/depth/moveDuration and moveDist >= 0`);
+    }
+  });
+  return def;
+}
+
+// Loads every *.json in dir; invalid files are skipped with a warning
+function loadMaps(dir) {
+  const defs = {};
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const name = path.basename(file, '.json');
+    try {
+      const def = validateMap(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), name);
+      def.colliders = def.walls.map(wallCollider);
+      defs[name] = def;
+    } catch (err) {
+      console.warn(`[maps] skipping ${file}: ${err.message}`);
+    }
+  }
+  if (!defs.arena) throw new Error(`[maps] ${dir} must contain a valid arena.json`);
+  return defs;
+}
+
+const MAP_DEFS = loadMaps(MAPS_DIR);
+const MAPS = Object.keys(MAP_DEFS);
+
+// Client-facing copy of a map (colliders are server-only)
+function publicMap(def) {
+  const { colliders, ...rest } = def;
+  return rest;
+}
+
+// Objective modes need their flag bases or hill zones in the map file
+function mapSupportsMode(def, mode) {
+  if (mode === 'ctf') return !!def.flags;
+  if (mode === 'koth') return !!def.hills;
+  return true;
+}
+
+// Player hit volumes relative to the eye position (p.y, 1.6 above the feet)
+const HITBOX = {
+  headOffset: 0.05, headRadius: 0.28,  // sphere around the head
+  bodyBottom: -1.2, bodyTop: -0.55,    // capsule segment, feet to neck once the radius is added
+  bodyRadius: 0.4,
+};
+const HIT_TOLERANCE = 0.1; // hitbox inflation to absorb interpolation error
+
+// Walls stand on the floor: { x, z } is the centre, w/d the footprint, h the height
+function wallCollider(w) {
+  return { minX: w.x - w.w / 2, maxX: w.x + w.w / 2, minY: 0, maxY: w.h, minZ: w.z - w.d / 2, maxZ: w.z + w.d / 2 };
+}
+
+function normalize(v) {
+  const len = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+  return len > 1e-9 ? { x: v.x / len, y: v.y / len, z: v.z / len } : null;
+}
+
+// Slab test; returns the entry distance along a normalized ray, or Infinity
+function rayBox(o, d, b) {
+  let tMin = 0, tMax = Infinity;
+  for (const [oa, da, lo, hi] of [[o.x, d.x, b.minX, b.maxX], [o.y, d.y, b.minY, b.maxY], [o.z, d.z, b.minZ, b.maxZ]]) {
+    if (Math.abs(da) < 1e-9) {
+      if (oa < lo || oa > hi) return Infinity;
+      continue;
+    }
+    let t1 = (lo - oa) / da, t2 = (hi - oa) / da;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+    if (tMin > tMax) return Infinity;
+  }
+  return tMin;
+}
+
+function raySphere(o, d, c, r) {
+  const ox = o.x - c.x, oy = o.y - c.y, oz = o.z - c.z;
+  const b = ox * d.x + oy * d.y + oz * d.z;
+  const cc = ox * ox + oy * oy + oz * oz - r * r;
+  if (cc <= 0) return 0; // origin inside
+  const disc = b * b - cc;
+  if (disc < 0) return Infinity;
+  const t = -b - Math.sqrt(disc);
+  return t >= 0 ? t : Infinity;
+}
+
+// Upright capsule: segment (cx, y0, cz)–(cx, y1, cz) swept by radius r
+function rayCapsule(o, d, cx, cz, y0, y1, r) {
+  let best = Math.min(raySphere(o, d, { x: cx, y: y0, z: cz }, r), raySphere(o, d, { x: cx, y: y1, z: cz }, r));
+  const ox = o.x - cx, oz = o.z - cz;
+  const a = d.x * d.x + d.z * d.z;
+  const c = ox * ox + oz * oz - r * r;
+  if (c <= 0 && o.y >= y0 && o.y <= y1) return 0; // origin inside
+  if (a > 1e-9) {
+    const b = ox * d.x + oz * d.z;
+    const disc = b * b - a * c;
+    if (disc >= 0) {
+      const t = (-b - Math.sqrt(disc)) / a;
+      const y = o.y + d.y * t;
+      if (t >= 0 && y >= y0 && y <= y1) best = Math.min(best, t);
+    }
+  }
+  return best;
+}
+
+function rayHitsWall(map, o, d, maxDist) {
+  for (const box of (MAP_DEFS[map] || MAP_DEFS.arena).colliders) {
+    if (rayBox(o, d, box) < maxDist) return true;
+  }
+  return false;
+}
+
+function hasLineOfSight(map, from, to) {
+  const dir = normalize({ x: to.x - from.x, y: to.y - from.y, z: to.z - from.z });
+  if (!dir) return true;
+  return !rayHitsWall(map, from, dir, Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z));
+}
+
+// Trace a shot from an eye position against a player's head and body volumes.
+// Returns { headshot, distance } for the nearest volume hit in range with no wall in front.
+function traceShot(map, origin, dir, victim, range) {
+  const d = normalize(dir);
+  if (!d) return null;
+  const head = raySphere(origin, d, { x: victim.x, y: victim.y + HITBOX.headOffset, z: victim.z },
+    HITBOX.headRadius + HIT_TOLERANCE);
+  const body = rayCapsule(origin, d, victim.x, victim.z, victim.y + HITBOX.bodyBottom, victim.y + HITBOX.bodyTop,
+    HITBOX.bodyRadius + HIT_TOLERANCE);
+  const distance = Math.min(head, body);
+  if (distance > range) return null;
+  if (rayHitsWall(map, origin, d, distance)) return null;
+  return { headshot: head <= body, distance };
+}
+
+module.exports = {
+  MAP_HALF_SIZE, HITBOX, HIT_TOLERANCE, isNum, validateMap, loadMaps, MAP_DEFS, MAPS, publicMap, mapSupportsMode,
+  wallCollider, normalize, rayBox, raySphere, rayCapsule, rayHitsWall, hasLineOfSight, traceShot,
+};
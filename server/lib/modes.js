@@ -0,0 +1,891 @@
+'use strict';
+
+// The rules of play: the game-mode engine every mode-specific decision goes through, Capture the
+// Flag and King of the Hill, co-op waves, teams and spawns, and the damage, kills, hazards and
+// movement results they rule on.
+const { clock } = require('./clock');
+const { WEAPONS } = require('./constants');
+const {
+  MAP_HALF_SIZE, HIT_TOLERANCE, isNum, MAP_DEFS, normalize, rayCapsule, rayHitsWall, hasLineOfSight,
+} = require('./maps');
+const { simulateMove } = require('./physics');
+const { io, broadcast } = require('./net');
+const { GRENADE_COUNT, getAmmoState } = require('./ammo');
+const { ratingOf } = require('./ratings');
+
+const GUN_GAME_ORDER = [3, 1, 2, 0, 4, 5]; // rocket→shotgun→SMG→pistol→sniper→knife
+
+// Objective modes
+const FLAG_TOUCH_RADIUS = 2;    // units from a flag to pick it up, return or capture
+const FLAG_RETURN_TIME = 20;    // seconds a dropped flag waits before going home
+const CAPTURE_LIMIT = 3;         // default score limits, see GAME MODES
+const HILL_MOVE_TIME = 60;      // seconds before the hill moves to the next zone
+const HILL_SCORE_LIMIT = 120;   // seconds of sole control to win
+const OBJECTIVE_SYNC_TICKS = 20;
+
+// ============================================================
+//  OBJECTIVE MODES — Capture the Flag and King of the Hill
+// ============================================================
+// Both are team modes. Flag bases and hill zones come from the map file; clients
+// get the whole objective on 'objective-state' and one-off 'objective-event's for the HUD.
+function isTeamMode(mode) {
+  return !!GAME_MODES[mode]?.teams;
+}
+
+function initObjective(room) {
+  const def = MAP_DEFS[room.map] || MAP_DEFS.arena;
+  if (room.mode === 'ctf') {
+    const flag = (team) => ({ team, home: { ...def.flags[team] }, x: def.flags[team].x, z: def.flags[team].z,
+      carrier: null, atHome: true, returnTimer: 0 });
+    return { type: 'ctf', scores: { red: 0, blue: 0 }, flags: { red: flag('red'), blue: flag('blue') } };
+  }
+  if (room.mode === 'koth') {
+    return { type: 'koth', scores: { red: 0, blue: 0 }, hills: def.hills, index: 0, zone: { ...def.hills[0] },
+      moveTimer: HILL_MOVE_TIME, holder: null };
+  }
+  return null;
+}
+
+function publicObjective(room) {
+  const obj = room.objective;
+  if (!obj) return null;
+  const limit = room.rules.scoreLimit;
+  if (obj.type === 'ctf') {
+    const flag = f => ({ team: f.team, x: f.x, z: f.z, carrier: f.carrier, atHome: f.atHome, home: f.home });
+    return { type: 'ctf', scores: obj.scores, limit, flags: { red: flag(obj.flags.red), blue: flag(obj.flags.blue) } };
+  }
+  return { type: 'koth', scores: { red: Math.floor(obj.scores.red), blue: Math.floor(obj.scores.blue) },
+    limit, zone: obj.zone, holder: obj.holder, moveTimer: Math.ceil(obj.moveTimer) };
+}
+
+function objectiveEvent(room, type, data) {
+  broadcast(room, 'objective-event', { type, ...data });
+  broadcast(room, 'objective-state', publicObjective(room));
+}
+
+function returnFlag(flag) {
+  flag.x = flag.home.x; flag.z = flag.home.z;
+  flag.carrier = null; flag.atHome = true; flag.returnTimer = 0;
+}
+
+function updateCtf(room, dt) {
+  const obj = room.objective;
+  for (const flag of Object.values(obj.flags)) {
+    if (flag.carrier) {
+      const carrier = room.players.get(flag.carrier);
+      if (carrier && carrier.alive) {
+        flag.x = carrier.x; flag.z = carrier.z;
+        continue;
+      }
+      // Carrier died or left: the flag drops where they were
+      flag.carrier = null;
+      flag.returnTimer = FLAG_RETURN_TIME;
+      objectiveEvent(room, 'flag-dropped', { team: flag.team, name: carrier ? carrier.name : null, x: flag.x, z: flag.z });
+    } else if (!flag.atHome) {
+      flag.returnTimer -= dt;
+      if (flag.returnTimer <= 0) {
+        returnFlag(flag);
+        objectiveEvent(room, 'flag-returned', { team: flag.team, name: null });
+      }
+    }
+  }
+
+  for (const [sid, p] of room.players) {
+    if (!p.alive || !p.team) continue;
+    const enemy = obj.flags[p.team === 'red' ? 'blue' : 'red'];
+    const own = obj.flags[p.team];
+    const near = (x, z) => (p.x - x) ** 2 + (p.z - z) ** 2 <= FLAG_TOUCH_RADIUS ** 2;
+
+    if (!enemy.carrier && near(enemy.x, enemy.z)) {
+      enemy.carrier = sid; enemy.atHome = false; enemy.returnTimer = 0;
+      objectiveEvent(room, 'flag-taken', { team: enemy.team, player: sid, name: p.name });
+    }
+    if (!own.carrier && !own.atHome && near(own.x, own.z)) {
+      returnFlag(own);
+      p.score += 10;
+      objectiveEvent(room, 'flag-returned', { team: own.team, player: sid, name: p.name });
+    }
+    // A capture needs your own flag safe at home
+    if (enemy.carrier === sid && own.atHome && near(own.home.x, own.home.z)) {
+      returnFlag(enemy);
+      obj.scores[p.team]++;
+      p.score += 50;
+      p.captures = (p.captures || 0) + 1;
+      objectiveEvent(room, 'flag-captured', { team: p.team, flagTeam: enemy.team, player: sid, name: p.name, scores: obj.scores });
+    }
+  }
+}
+
+function updateKoth(room, dt) {
+  const obj = room.objective;
+  obj.moveTimer -= dt;
+  if (obj.moveTimer <= 0) {
+    obj.index = (obj.index + 1) % obj.hills.length;
+    obj.zone = { ...obj.hills[obj.index] };
+    obj.moveTimer = HILL_MOVE_TIME;
+    obj.holder = null;
+    objectiveEvent(room, 'hill-moved', { zone: obj.zone });
+  }
+
+  const inside = { red: 0, blue: 0 };
+  for (const p of room.players.values()) {
+    if (!p.alive || !p.team) continue;
+    if ((p.x - obj.zone.x) ** 2 + (p.z - obj.zone.z) ** 2 <= obj.zone.radius ** 2) inside[p.team]++;
+  }
+  const holder = inside.red && inside.blue ? 'contested' : inside.red ? 'red' : inside.blue ? 'blue' : null;
+  if (holder === 'red' || holder === 'blue') obj.scores[holder] += dt;
+  if (holder !== obj.holder) {
+    obj.holder = holder;
+    objectiveEvent(room, holder === 'contested' ? 'hill-contested' : holder ? 'hill-captured' : 'hill-neutral', { team: holder });
+  }
+}
+
+function updateObjective(room, dt) {
+  if (!room.objective) return;
+  if (room.objective.type === 'ctf') updateCtf(room, dt);
+  else updateKoth(room, dt);
+  if (room.tick % OBJECTIVE_SYNC_TICKS === 0) broadcast(room, 'objective-state', publicObjective(room));
+}
+
+// ============================================================
+//  GAME MODES — rules engine
+// ============================================================
+// Every mode-specific decision goes through the room's mode object. Hooks:
+//   onJoin(room, p)                   a player enters the room (team assignment)
+//   onLateJoin(room, p)               a player joins the running match; set a starting score
+//                                     (only called for modes with lateJoin: true)
+//   onStart(room)                     the countdown ended; players are about to spawn
+//   onSpawn(room, p, first)           set up the loadout and return the spawn point
+//   onTick(room, dt)                  per-tick objective logic
+//   onDamage(room, attacker, victim, dmg, info) → damage to apply; 0 blocks the hit
+//   onLethalDamage(room, victim, attacker, info) → true if the mode handles it instead of a kill
+//   onKill(room, killer, victim, info) after the kill has been credited
+//   checkWin(room, timeUp)            → winner or null; must pick one once time is up
+//   scoreboard(room)                  → game-over rows
+// defineMode fills in free-for-all behaviour for any hook a mode leaves out.
+const DEFAULT_RULES = { scoreLimit: 30, timeLimit: 600, respawnDelay: 3, friendlyFire: false };
+const RULE_LIMITS = { scoreLimit: [1, 1000], timeLimit: [60, 3600], respawnDelay: [0, 30] };
+
+function scoreboardRow(sid, p) {
+  return { id: sid, name: p.name, kills: p.kills, deaths: p.deaths, score: p.score, team: p.team,
+    captures: p.captures || 0 };
+}
+
+function teamKills(room) {
+  const kills = { red: 0, blue: 0 };
+  for (const p of room.players.values()) if (p.team in kills) kills[p.team] += p.kills;
+  return kills;
+}
+
+// Team past the limit, or the leading team once time is up
+function teamWinner(scores, limit, timeUp) {
+  if (scores.red >= limit) return { type: 'team', team: 'red' };
+  if (scores.blue >= limit) return { type: 'team', team: 'blue' };
+  return timeUp ? { type: 'team', team: scores.red >= scores.blue ? 'red' : 'blue' } : null;
+}
+
+const BASE_MODE = {
+  teams: false,
+  lateJoin: false, // whether rooms can offer joining a match in progress
+  onJoin(room, p) { p.team = this.teams ? getTeam(room) : null; },
+  onLateJoin() {},
+  onStart() {},
+  onSpawn(room, p, first) {
+    if (first) p.weapon = 0;
+    return getRandomSpawn(room.map);
+  },
+  onTick() {},
+  onDamage(room, attacker, victim, dmg) {
+    const teammate = this.teams && attacker && attacker !== victim && attacker.team === victim.team;
+    return teammate && !room.rules.friendlyFire ? 0 : dmg;
+  },
+  onLethalDamage() { return false; },
+  onKill() {},
+  checkWin(room, timeUp) {
+    let best = null;
+    for (const [sid, p] of room.players) {
+      if (p.kills >= room.rules.scoreLimit) return { type: 'player', id: sid, name: p.name };
+      if (!best || p.kills > best.kills) best = { type: 'player', id: sid, name: p.name, kills: p.kills };
+    }
+    return timeUp ? best : null;
+  },
+  scoreboard(room) {
+    return [...room.players].map(([sid, p]) => scoreboardRow(sid, p)).sort((a, b) => b.kills - a.kills);
+  },
+};
+
+function defineMode(name, mode) {
+  return { ...BASE_MODE, ...mode, name, rules: { ...DEFAULT_RULES, ...mode.rules } };
+}
+
+const GAME_MODES = {
+  // Late joiners start level with whoever is last, so they neither lead nor trail hopelessly
+  'deathmatch': defineMode('deathmatch', {
+    lateJoin: true,
+    onLateJoin(room, p) {
+      const others = [...room.players.values()].filter(o => o !== p);
+      p.kills = others.length ? Math.min(...others.map(o => o.kills)) : 0;
+      p.score = others.length ? Math.min(...others.map(o => o.score)) : 0;
+    },
+  }),
+
+  'team-deathmatch': defineMode('team-deathmatch', {
+    teams: true,
+    checkWin(room, timeUp) { return teamWinner(teamKills(room), room.rules.scoreLimit, timeUp); },
+  }),
+
+  // Each kill advances you to the next weapon; a kill with the last one wins
+  'gungame': defineMode('gungame', {
+    rules: { scoreLimit: GUN_GAME_ORDER.length },
+    onSpawn(room, p, first) {
+      if (first) p.gunGameLevel = 0;
+      p.weapon = GUN_GAME_ORDER[Math.min(p.gunGameLevel, GUN_GAME_ORDER.length - 1)];
+      return getRandomSpawn(room.map);
+    },
+    onKill(room, killer) {
+      killer.gunGameLevel++;
+      killer.weapon = GUN_GAME_ORDER[Math.min(killer.gunGameLevel, GUN_GAME_ORDER.length - 1)];
+    },
+    // A lower score limit shortens the ladder
+    checkWin(room, timeUp) {
+      const levels = Math.min(room.rules.scoreLimit, GUN_GAME_ORDER.length);
+      let best = null;
+      for (const [sid, p] of room.players) {
+        if (p.gunGameLevel >= levels) return { type: 'player', id: sid, name: p.name };
+        if (!best || p.gunGameLevel > best.level || (p.gunGameLevel === best.level && p.kills > best.kills)) {
+          best = { type: 'player', id: sid, name: p.name, level: p.gunGameLevel, kills: p.kills };
+        }
+      }
+      return timeUp ? best : null;
+    },
+    scoreboard(room) {
+      return [...room.players].sort(([, a], [, b]) => b.gunGameLevel - a.gunGameLevel || b.kills - a.kills)
+        .map(([sid, p]) => scoreboardRow(sid, p));
+    },
+  }),
+
+  // Players respawn in the half of the map nearest their own flag
+  'ctf': defineMode('ctf', {
+    teams: true,
+    rules: { scoreLimit: CAPTURE_LIMIT },
+    onStart(room) { room.objective = initObjective(room); },
+    onSpawn(room, p, first) {
+      if (first) p.weapon = 0;
+      return getRandomSpawn(room.map, room.objective.flags[p.team].home);
+    },
+    onTick: updateObjective,
+    checkWin(room, timeUp) { return teamWinner(room.objective.scores, room.rules.scoreLimit, timeUp); },
+    scoreboard(room) {
+      return BASE_MODE.scoreboard(room).sort((a, b) => b.captures - a.captures || b.kills - a.kills);
+    },
+  }),
+
+  'koth': defineMode('koth', {
+    teams: true,
+    rules: { scoreLimit: HILL_SCORE_LIMIT },
+    onStart(room) { room.objective = initObjective(room); },
+    onTick: updateObjective,
+    checkWin(room, timeUp) { return teamWinner(room.objective.scores, room.rules.scoreLimit, timeUp); },
+  }),
+
+  // Co-op waves (see CO-OP WAVES); sizes and pacing match single player before squad scaling
+  'survival': coopMode('survival', {
+    waveBase: n => 5 + n * 3,
+    spawnInterval: n => Math.max(0.3, 2 - n * 0.1),
+    pickEnemy(n) {
+      const r = Math.random();
+      if (n >= 5 && r < 0.08) return ENEMY.GHOST;
+      if (n >= 3 && r < 0.15) return ENEMY.SNIPER;
+      if (n >= 2 && r < 0.3) return ENEMY.TANK;
+      return r < 0.5 ? ENEMY.RUSHER : ENEMY.GRUNT;
+    },
+  }),
+
+  'zombie': coopMode('zombie', {
+    waveBase: n => 15 + n * 5,
+    spawnInterval: n => Math.max(0.1, 1 - n * 0.05),
+    pickEnemy: () => ENEMY.ZOMBIE,
+  }),
+};
+const MODES = Object.keys(GAME_MODES);
+
+function modeOf(room) {
+  return GAME_MODES[room.mode] || GAME_MODES.deathmatch;
+}
+
+// Mode defaults with the room creator's overrides, clamped to sane ranges
+function resolveRules(mode, overrides = {}) {
+  const rules = { ...mode.rules };
+  for (const [key, [min, max]] of Object.entries(RULE_LIMITS)) {
+    if (isNum(overrides[key])) rules[key] = Math.max(min, Math.min(max, Math.round(overrides[key])));
+  }
+  if (typeof overrides.friendlyFire === 'boolean') rules.friendlyFire = overrides.friendlyFire;
+  return rules;
+}
+
+function getTeam(room) {
+  // Balance teams: head count first, then total rating
+  const count = { red: 0, blue: 0 }, rating = { red: 0, blue: 0 };
+  for (const p of room.players.values()) {
+    if (p.team !== 'red' && p.team !== 'blue') continue;
+    count[p.team]++;
+    rating[p.team] += ratingOf(p);
+  }
+  if (count.red !== count.blue) return count.red < count.blue ? 'red' : 'blue';
+  return rating.red <= rating.blue ? 'red' : 'blue';
+}
+
+// Re-deals everyone: strongest first, each to the side with the lower total rating while the
+// head counts stay within one
+function balanceTeams(room) {
+  const players = [...room.players.values()].sort((a, b) => ratingOf(b) - ratingOf(a));
+  const half = Math.ceil(players.length / 2);
+  const count = { red: 0, blue: 0 }, rating = { red: 0, blue: 0 };
+  for (const p of players) {
+    let team = rating.red <= rating.blue ? 'red' : 'blue';
+    if (count[team] >= half) team = team === 'red' ? 'blue' : 'red';
+    p.team = team;
+    count[team]++;
+    rating[team] += ratingOf(p);
+  }
+}
+
+// With `near` set (a CTF team's flag base), only the closer half of the spawn points is used
+function getRandomSpawn(map, near) {
+  let pts = (MAP_DEFS[map] || MAP_DEFS.arena).spawns;
+  if (near) {
+    const d = pt => (pt.x - near.x) ** 2 + (pt.z - near.z) ** 2;
+    pts = [...pts].sort((a, b) => d(a) - d(b)).slice(0, Math.ceil(pts.length / 2));
+  }
+  const p = pts[Math.random() * pts.length | 0];
+  return { x: p.x + (Math.random() - 0.5) * 4, y: 1.6, z: p.z + (Math.random() - 0.5) * 4 };
+}
+
+// Joining a running match: the player sits out one respawn delay, then spawns like anyone else
+function lateJoin(room, p) {
+  p.alive = false;
+  p.respawnTimer = room.rules.respawnDelay;
+  modeOf(room).onLateJoin(room, p);
+  p.startKills = p.kills; // granted, not earned: kept out of career stats
+}
+
+// All player damage — hits, splash, hazards, falls — goes through here so modes see it.
+// `attacker` is null for the environment. Returns the damage actually dealt.
+function applyDamage(room, victim, dmg, attacker, info = {}) {
+  if (!victim.alive || victim.down) return 0;
+  const mode = modeOf(room);
+  dmg = mode.onDamage(room, attacker, victim, dmg, info);
+  if (!(dmg > 0)) return 0;
+  const absorbed = Math.min(victim.shield || 0, dmg);
+  if (absorbed) victim.shield -= absorbed;
+  victim.hp -= dmg - absorbed;
+  if (victim.hp <= 0) {
+    if (!mode.onLethalDamage(room, victim, attacker, info)) killPlayer(room, victim, attacker, info);
+  } else if (attacker && attacker !== victim) {
+    victim.assists.set(attacker.id, clock.now()); // IMPROVEMENT #10: assist credit
+  }
+  return dmg;
+}
+
+function killPlayer(room, victim, killer, info = {}) {
+  victim.hp = 0;
+  victim.alive = false;
+  victim.deaths++;
+  victim.respawnTimer = room.rules.respawnDelay;
+  if (!killer || killer === victim) return; // environment and self-inflicted deaths credit nobody
+
+  killer.kills++;
+  killer.killStreak++;
+  killer.bestStreak = Math.max(killer.bestStreak, killer.killStreak);
+  // IMPROVEMENT #10: Scoring system with assists
+  killer.score += info.headshot ? 25 : 10;
+  for (const [aidId, aidTime] of victim.assists) {
+    if (clock.now() - aidTime >= 5000) continue; // 5 second assist window
+    const aider = room.players.get(aidId);
+    if (aider && aider !== killer) {
+      aider.score += 5;
+      aider.assistCount++;
+    }
+  }
+  victim.assists.clear();
+  modeOf(room).onKill(room, killer, victim, info);
+
+  broadcast(room, 'kill', {
+    killer: killer.id, killerName: killer.name,
+    victim: victim.id, victimName: victim.name,
+    weapon: info.weapon,
+    cause: info.cause, // set for grenades, which aren't a weapon slot
+    headshot: !!info.headshot,
+    killStreak: killer.killStreak,
+    effect: killer.effectId,
+  });
+}
+
+// ============================================================
+//  CO-OP WAVES — Survival and Zombie Horde
+// ============================================================
+// The squad fights server-driven enemy waves. The mirror of the client's ENEMY_TYPES lives
+// here; clients draw enemies and powerups from 'wave-state' (every tick) and one-off
+// 'wave-event's (spawns are implicit, deaths/shots/teleports/downs are explicit).
+// Lethal damage downs a player instead of killing them: a squadmate standing close revives
+// them, otherwise they bleed out and sit out until the wave is cleared.
+const ENEMY_TYPES = [
+  { name: 'Grunt',  hp: 60,  speed: 3,   size: 0.5,  dmg: 8,  range: 25,  fireRate: 1.5, score: 10 },
+  { name: 'Rusher', hp: 40,  speed: 7,   size: 0.45, dmg: 12, range: 5,   fireRate: 0.8, score: 15 },
+  { name: 'Tank',   hp: 200, speed: 1.5, size: 0.8,  dmg: 15, range: 20,  fireRate: 2,   score: 25 },
+  { name: 'Sniper', hp: 50,  speed: 2.5, size: 0.45, dmg: 25, range: 45,  fireRate: 2.5, score: 20 },
+  { name: 'Zombie', hp: 80,  speed: 1.8, size: 0.55, dmg: 20, range: 2.5, fireRate: 0.6, score: 8, melee: true },
+  { name: 'Ghost',  hp: 45,  speed: 4,   size: 0.4,  dmg: 18, range: 8,   fireRate: 1.2, score: 30, ghost: true },
+];
+const ENEMY = { GRUNT: 0, RUSHER: 1, TANK: 2, SNIPER: 3, ZOMBIE: 4, GHOST: 5 };
+const MAX_ENEMIES = 40;             // alive at once; the rest of the wave waits
+const WAVE_BREAK = 5;               // seconds between waves
+const ENEMY_SPAWN_MIN_DIST = 12;    // from every player
+const ENEMY_ACCURACY = 0.85;        // point blank; falls off towards max range
+const LEAP_CHANCE = 0.6;            // per second while a rusher is in leap range
+const PLAYER_SCALE = 0.5;           // each extra player adds 50% more enemies...
+const PLAYER_HP_SCALE = 0.25;       // ...with 25% more health
+const WAVE_HP_SCALE = 0.03;         // and every wave toughens them a little
+const BLEED_OUT_TIME = 30;
+const REVIVE_TIME = 3;              // seconds a squadmate must stay close
+const REVIVE_RADIUS = 2.5;
+const REVIVE_HP = 30;
+const COOP_POWERUPS = ['HEALTH', 'SHIELD', 'SPEED', 'DAMAGE', 'AMMO', 'GRENADE']; // client POWERUP_TYPES order
+const POWERUP_KINDS = [0, 1, 3, 4, 5]; // no SPEED: movement is predicted, so it stays single-player
+const POWERUP_DROP_CHANCE = 0.15;
+const POWERUP_SPAWN_INTERVAL = 20;  // seconds between map spawns
+const POWERUP_LIFETIME = 30;
+const POWERUP_TOUCH_RADIUS = 1.5;
+const MAX_POWERUPS = 5;
+const MAX_SHIELD = 50;
+const DAMAGE_BOOST_TIME = 8;
+
+function waveEvent(room, type, data) {
+  broadcast(room, 'wave-event', { type, ...data });
+}
+
+function squad(room) {
+  return [...room.players.values()];
+}
+
+function isUp(p) {
+  return p.alive && !p.down;
+}
+
+// Enemy counts scale with the squad; the mode supplies the single-player base
+function waveSize(room, base) {
+  return Math.round(base * (1 + PLAYER_SCALE * (room.players.size - 1)));
+}
+
+function startWave(room, n) {
+  const mode = modeOf(room);
+  const coop = room.coop;
+  coop.wave = n;
+  coop.total = waveSize(room, mode.waveBase(n));
+  coop.spawned = 0;
+  coop.left = coop.total;
+  coop.spawnTimer = 0;
+  coop.breakTimer = 0;
+  waveEvent(room, 'wave-start', { wave: n, total: coop.total });
+}
+
+// Random open floor away from everyone
+function enemySpawnPoint(room) {
+  const colliders = (MAP_DEFS[room.map] || MAP_DEFS.arena).colliders;
+  let x = 0, z = 0;
+  for (let tries = 0; tries < 50; tries++) {
+    x = (Math.random() - 0.5) * 80;
+    z = (Math.random() - 0.5) * 80;
+    const open = !circleBlocked(colliders, x, z, 1);
+    if (open && squad(room).every(p => Math.hypot(p.x - x, p.z - z) >= ENEMY_SPAWN_MIN_DIST)) break;
+  }
+  return { x, z };
+}
+
+function circleBlocked(colliders, x, z, r) {
+  return Math.abs(x) > MAP_HALF_SIZE || Math.abs(z) > MAP_HALF_SIZE ||
+    colliders.some(b => x + r > b.minX && x - r < b.maxX && z + r > b.minZ && z - r < b.maxZ);
+}
+
+function spawnEnemy(room, type, at = enemySpawnPoint(room)) {
+  const t = ENEMY_TYPES[type];
+  const hp = Math.round(t.hp * (1 + PLAYER_HP_SCALE * (room.players.size - 1)) * (1 + WAVE_HP_SCALE * (room.coop.wave - 1)));
+  const e = {
+    id: room.coop.nextId++, type, x: at.x, y: 0, z: at.z, yaw: 0, hp, maxHp: hp,
+    attackTimer: t.fireRate, strafeDir: Math.random() > 0.5 ? 1 : -1, strafeTimer: 0,
+    teleportTimer: 3 + Math.random() * 3, leaping: false, leapVel: null, retreating: false,
+  };
+  room.coop.enemies.push(e);
+  return e;
+}
+
+function nearestUpPlayer(room, x, z) {
+  let best = null, bestDist = Infinity;
+  for (const [sid, p] of room.players) {
+    if (!isUp(p)) continue;
+    const d = Math.hypot(p.x - x, p.z - z);
+    if (d < bestDist) { best = [sid, p]; bestDist = d; }
+  }
+  return best;
+}
+
+// Enemies deal damage as the environment: nobody gets credit and, in co-op, it downs you
+function enemyHurts(room, e, sid, p, dmg) {
+  if (p.spawnProtectionTimer > 0 || p.dashTimer > 0) return; // dashing dodges, as in single player
+  if (applyDamage(room, p, dmg, null, { cause: 'enemy', enemy: e.type }) && p.alive && !p.down) {
+    broadcast(room, 'player-damage', { id: sid, hp: p.hp, attackerId: null, isHeadshot: false });
+  }
+}
+
+// Same behaviours as the single-player AI: chase, strafe, retreat when hurt, dodge grenades,
+// rusher leaps, sniper kiting, ghost teleports — against the nearest player still standing
+function updateEnemy(room, e, dt) {
+  const t = ENEMY_TYPES[e.type];
+  const colliders = (MAP_DEFS[room.map] || MAP_DEFS.arena).colliders;
+  const found = nearestUpPlayer(room, e.x, e.z);
+  if (!found) return;
+  const [sid, target] = found;
+  const tx = target.x - e.x, tz = target.z - e.z;
+  const dist = Math.hypot(tx, tz) || 1e-6;
+  const dir = { x: tx / dist, z: tz / dist };
+  e.yaw = Math.atan2(dir.x, dir.z);
+
+  e.strafeTimer -= dt;
+  if (e.strafeTimer <= 0) { e.strafeDir *= -1; e.strafeTimer = 1 + Math.random() * 2; }
+  const strafe = { x: -dir.z * e.strafeDir, z: dir.x * e.strafeDir };
+  const mix = (a, s) => ({ x: dir.x * a + strafe.x * s, z: dir.z * a + strafe.z * s });
+
+  let move = dir;
+  if (e.type === ENEMY.RUSHER) {
+    if (dist < 8 && dist > 3 && !e.leaping && Math.random() < LEAP_CHANCE * dt) {
+      e.leaping = true;
+      e.leapVel = { x: dir.x * 15, y: 5, z: dir.z * 15 };
+      waveEvent(room, 'enemy-leap', { id: e.id });
+    }
+  } else if (e.type === ENEMY.SNIPER) {
+    move = dist < 20 ? mix(-1, 0) : dist < 30 ? strafe : { x: 0, z: 0 };
+  } else if (e.type === ENEMY.TANK) {
+    move = mix(1, 0.3);
+  } else if (e.type === ENEMY.GHOST) {
+    e.teleportTimer -= dt;
+    if (e.teleportTimer <= 0) {
+      const angle = Math.random() * Math.PI * 2, r = 5 + Math.random() * 5;
+      const nx = target.x + Math.cos(angle) * r, nz = target.z + Math.sin(angle) * r;
+      if (!circleBlocked(colliders, nx, nz, 0.5)) {
+        waveEvent(room, 'enemy-teleport', { id: e.id, fromX: e.x, fromZ: e.z, x: nx, z: nz });
+        e.x = nx; e.z = nz;
+      }
+      e.teleportTimer = 3 + Math.random() * 4;
+    }
+  } else if (e.type === ENEMY.GRUNT) {
+    move = mix(1, 0.5);
+  }
+
+  if (e.retreating && !t.melee && !t.ghost) {
+    move = mix(-1, 0.5);
+    if (e.hp > e.maxHp * 0.4) e.retreating = false;
+  }
+
+  for (const pr of room.projectiles) {
+    if (pr.type !== 'grenade') continue;
+    const ax = e.x - pr.x, az = e.z - pr.z, ad = Math.hypot(ax, az);
+    if (ad < 6 && ad > 1e-6) move = { x: move.x + ax / ad * 2, z: move.z + az / ad * 2 };
+  }
+
+  // Steer around the wall ahead
+  let len = Math.hypot(move.x, move.z);
+  if (len > 1e-6) {
+    move = { x: move.x / len, z: move.z / len };
+    if (circleBlocked(colliders, e.x + move.x * 2, e.z + move.z * 2, 0.6)) {
+      const perp = { x: -move.z, z: move.x };
+      move = !circleBlocked(colliders, e.x + perp.x * 2, e.z + perp.z * 2, 0.6) ? perp : { x: -perp.x, z: -perp.z };
+    }
+    len = 1;
+  }
+
+  const slide = (dx, dz) => {
+    if (!circleBlocked(colliders, e.x + dx, e.z, t.size)) e.x += dx;
+    if (!circleBlocked(colliders, e.x, e.z + dz, t.size)) e.z += dz;
+  };
+  if (e.leaping) {
+    e.leapVel.y -= 15 * dt;
+    slide(e.leapVel.x * dt, e.leapVel.z * dt);
+    e.y += e.leapVel.y * dt;
+    if (e.y <= 0) {
+      e.y = 0;
+      e.leaping = false;
+      if (Math.hypot(target.x - e.x, target.z - e.z) < 3) enemyHurts(room, e, sid, target, t.dmg * 1.5);
+    }
+  } else if (len > 0) {
+    slide(move.x * t.speed * dt, move.z * t.speed * dt);
+  }
+
+  e.attackTimer -= dt;
+  if (e.attackTimer > 0 || dist >= t.range) return;
+  if (t.melee) {
+    e.attackTimer = t.fireRate;
+    waveEvent(room, 'enemy-melee', { id: e.id, target: sid });
+    enemyHurts(room, e, sid, target, t.dmg);
+    return;
+  }
+  const muzzle = { x: e.x, y: t.size * 2.4, z: e.z };
+  const aim = { x: target.x, y: target.y - 0.6, z: target.z };
+  if (!hasLineOfSight(room.map, muzzle, aim)) return;
+  e.attackTimer = t.fireRate;
+  const hit = Math.random() < ENEMY_ACCURACY * (1 - 0.5 * dist / t.range);
+  waveEvent(room, 'enemy-shot', { id: e.id, target: sid, hit, x: muzzle.x, y: muzzle.y, z: muzzle.z,
+    tx: aim.x, ty: aim.y, tz: aim.z });
+  if (hit) enemyHurts(room, e, sid, target, t.dmg);
+}
+
+// Player damage to an enemy; returns true if it died
+function damageEnemy(room, e, dmg, attacker, info = {}) {
+  if (e.hp <= 0) return false;
+  e.hp -= dmg;
+  if (e.hp > 0) {
+    if (e.hp < e.maxHp * 0.25) e.retreating = true;
+    return false;
+  }
+  const coop = room.coop;
+  coop.enemies = coop.enemies.filter(o => o !== e);
+  coop.left--;
+  if (attacker) {
+    attacker.kills++;
+    attacker.killStreak++;
+    attacker.bestStreak = Math.max(attacker.bestStreak, attacker.killStreak);
+    attacker.score += ENEMY_TYPES[e.type].score;
+  }
+  waveEvent(room, 'enemy-death', { id: e.id, enemy: e.type, x: e.x, z: e.z,
+    killer: attacker ? attacker.id : null, killerName: attacker ? attacker.name : null,
+    weapon: info.weapon, cause: info.cause, killStreak: attacker ? attacker.killStreak : 0 });
+  if (Math.random() < POWERUP_DROP_CHANCE) dropPowerup(room, e.x, e.z);
+  return true;
+}
+
+// Ray against an enemy's upright capsule, sized like the client's meshes
+function traceEnemy(map, origin, dir, e, range) {
+  const d = normalize(dir);
+  if (!d) return null;
+  const s = ENEMY_TYPES[e.type].size;
+  const distance = rayCapsule(origin, d, e.x, e.z, e.y + s * 0.5, e.y + s * 2.5, s + HIT_TOLERANCE * 2);
+  if (distance > range || rayHitsWall(map, origin, d, distance)) return null;
+  return { distance };
+}
+
+function dropPowerup(room, x, z) {
+  const coop = room.coop;
+  if (coop.powerups.length >= MAX_POWERUPS) return;
+  const kind = POWERUP_KINDS[Math.random() * POWERUP_KINDS.length | 0];
+  coop.powerups.push({ id: coop.nextId++, kind, x, z, ttl: POWERUP_LIFETIME });
+}
+
+// Powerups are shared: whoever touches one, the whole squad still standing gets it
+function collectPowerup(room, pu, collector) {
+  for (const [sid, p] of room.players) {
+    if (!isUp(p)) continue;
+    if (pu.kind === 0) p.hp = Math.min(100, p.hp + 40);
+    else if (pu.kind === 1) p.shield = Math.min(MAX_SHIELD, (p.shield || 0) + 25);
+    else if (pu.kind === 3) p.dmgTimer = DAMAGE_BOOST_TIME;
+    else if (pu.kind === 4) p.ammo.forEach((a, i) => { a.reserve = Math.min(WEAPONS[i].reserve, a.reserve + Math.ceil(WEAPONS[i].reserve * 0.3)); });
+    else if (pu.kind === 5) p.grenades = Math.min(GRENADE_COUNT, p.grenades + 2);
+    if (pu.kind === 4 || pu.kind === 5) io.to(sid).emit('ammo', getAmmoState(p));
+  }
+  waveEvent(room, 'powerup', { id: pu.id, kind: pu.kind, name: COOP_POWERUPS[pu.kind], player: collector.id, playerName: collector.name });
+}
+
+function updatePowerups(room, dt) {
+  const coop = room.coop;
+  coop.powerupTimer -= dt;
+  if (coop.powerupTimer <= 0) {
+    coop.powerupTimer = POWERUP_SPAWN_INTERVAL;
+    const spots = (MAP_DEFS[room.map] || MAP_DEFS.arena).powerups;
+    if (spots.length) {
+      const s = spots[Math.random() * spots.length | 0];
+      dropPowerup(room, s.x, s.z);
+    }
+  }
+  coop.powerups = coop.powerups.filter(pu => {
+    pu.ttl -= dt;
+    if (pu.ttl <= 0) return false;
+    const collector = squad(room).find(p => isUp(p) && Math.hypot(p.x - pu.x, p.z - pu.z) < POWERUP_TOUCH_RADIUS);
+    if (!collector) return true;
+    collectPowerup(room, pu, collector);
+    return false;
+  });
+}
+
+function downPlayer(room, p) {
+  p.hp = 0;
+  p.down = 1;
+  p.downTimer = BLEED_OUT_TIME;
+  p.reviveProgress = 0;
+  p.reloading = null;
+  p.killStreak = 0;
+  waveEvent(room, 'downed', { player: p.id, name: p.name });
+}
+
+function reviveAll(room) {
+  for (const p of room.players.values()) {
+    if (p.down === 1) {
+      p.down = 0; p.hp = REVIVE_HP;
+      waveEvent(room, 'revived', { player: p.id, name: p.name, by: null });
+    } else if (p.down === 2) {
+      p.respawnTimer = 0; // back in on the next tick
+    }
+  }
+}
+
+function updateDowned(room, dt) {
+  for (const p of room.players.values()) {
+    if (p.dmgTimer > 0) p.dmgTimer = Math.max(0, p.dmgTimer - dt);
+    if (p.down !== 1) continue;
+    const reviver = squad(room).find(o => o !== p && isUp(o) && Math.hypot(o.x - p.x, o.z - p.z) < REVIVE_RADIUS);
+    p.reviveProgress = reviver ? p.reviveProgress + dt : 0;
+    if (reviver && p.reviveProgress >= REVIVE_TIME) {
+      p.down = 0; p.hp = REVIVE_HP; p.reviveProgress = 0;
+      reviver.score += 20;
+      waveEvent(room, 'revived', { player: p.id, name: p.name, by: reviver.id, byName: reviver.name });
+      continue;
+    }
+    p.downTimer -= dt;
+    if (p.downTimer <= 0) {
+      // Out until the wave is cleared
+      p.down = 2; p.downTimer = 0; p.alive = false; p.deaths++;
+      p.respawnTimer = Infinity;
+      waveEvent(room, 'bled-out', { player: p.id, name: p.name });
+    }
+  }
+}
+
+function updateWaves(room, dt) {
+  const mode = modeOf(room);
+  const coop = room.coop;
+  updateDowned(room, dt);
+
+  if (coop.left <= 0) {
+    if (coop.cleared < coop.wave) {
+      coop.breakTimer = WAVE_BREAK;
+      coop.cleared = coop.wave;
+      reviveAll(room);
+      waveEvent(room, 'wave-cleared', { wave: coop.wave });
+    }
+    coop.breakTimer -= dt;
+    if (coop.breakTimer <= 0 && coop.cleared < room.rules.scoreLimit) startWave(room, coop.wave + 1);
+  } else if (coop.spawned < coop.total && coop.enemies.length < MAX_ENEMIES) {
+    coop.spawnTimer -= dt;
+    if (coop.spawnTimer <= 0) {
+      spawnEnemy(room, mode.pickEnemy(coop.wave));
+      coop.spawned++;
+      coop.spawnTimer = mode.spawnInterval(coop.wave);
+    }
+  }
+
+  for (const e of coop.enemies) updateEnemy(room, e, dt);
+  updatePowerups(room, dt);
+
+  const r2 = v => Math.round(v * 100) / 100;
+  io.to(room.code).emit('wave-state', {
+    w: [coop.wave, coop.left],
+    e: coop.enemies.map(e => [e.id, e.type, r2(e.x), r2(e.y), r2(e.z), Math.ceil(e.hp), e.maxHp]),
+    p: coop.powerups.map(pu => [pu.id, pu.kind, r2(pu.x), r2(pu.z)]),
+  });
+}
+
+function coopMode(name, mode) {
+  return defineMode(name, {
+    coop: true,
+    rules: { scoreLimit: 20, timeLimit: 3600 }, // waves to clear; surviving the clock also wins
+    onStart(room) {
+      room.coop = { wave: 0, total: 0, spawned: 0, left: 0, cleared: 0, spawnTimer: 0, breakTimer: 0,
+        enemies: [], powerups: [], nextId: 1, powerupTimer: POWERUP_SPAWN_INTERVAL };
+      startWave(room, 1);
+    },
+    onSpawn(room, p, first) {
+      if (first) p.weapon = 0;
+      p.down = 0; p.downTimer = 0; p.shield = 0; p.dmgTimer = 0;
+      return getRandomSpawn(room.map);
+    },
+    onTick: updateWaves,
+    onLethalDamage(room, victim) {
+      downPlayer(room, victim);
+      return true;
+    },
+    checkWin(room, timeUp) {
+      const coop = room.coop;
+      if (squad(room).every(p => p.down)) return { type: 'coop', won: false, wave: coop.wave };
+      if (coop.cleared >= room.rules.scoreLimit || timeUp) return { type: 'coop', won: true, wave: coop.cleared };
+      return null;
+    },
+    scoreboard(room) {
+      return BASE_MODE.scoreboard(room).sort((a, b) => b.score - a.score);
+    },
+    ...mode,
+  });
+}
+
+// ============================================================
+//  MAP FEATURES & PHYSICS HELPERS
+// ============================================================
+function updateMapFeatures(room, dt) {
+  for (const feature of room.features) {
+    if (feature.type === 'platform' && feature.moving) {
+      // Oscillate platform
+      feature.movePhase = (feature.movePhase + dt / feature.moveDuration) % 2;
+      const offset = feature.movePhase < 1 
+        ? feature.moveDist * feature.movePhase 
+        : feature.moveDist * (2 - feature.movePhase);
+      feature.currentY = offset;
+    }
+    if (feature.type === 'hazard') {
+      // Check which players are in hazard and damage them
+      for (const [, p] of room.players) {
+        if (!p.alive) continue;
+        const dx = p.x - feature.x, dz = p.z - feature.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        if (dist < feature.radius) {
+          applyDamage(room, p, feature.damage * dt, null, { cause: 'hazard' });
+        }
+      }
+    }
+  }
+}
+
+// ============================================================
+//  MOVEMENT — clients send sequenced inputs, the server simulates them
+// ============================================================
+// Inputs are sanitized and simulated by lib/physics.js; the room hears about the results here.
+
+// One accepted input: turn, move, and tell the room about jumps, landings and falls
+function movePlayer(room, sid, p, input, colliders) {
+  p.yaw = input.yaw;
+  const moved = simulateMove(p, input, colliders);
+  if (moved.jumped) io.to(room.code).emit('player-jump', { id: sid, x: p.x, y: p.y, z: p.z });
+  if (moved.landed) io.to(room.code).emit('player-land', { id: sid, x: p.x, y: p.y, z: p.z });
+  if (moved.fallDamage > 0) applyDamage(room, p, moved.fallDamage, null, { cause: 'fall' });
+}
+
+// ============================================================
+//  HITS — fire rate, rays and rewinds are checked by lib/validation.js
+// ============================================================
+// A validated hitscan hit; returns the damage dealt
+function applyHit(room, attackerId, attacker, victimId, victim, weaponIdx, headshot) {
+  let dmg = WEAPONS[weaponIdx].dmg;
+
+  // IMPROVEMENT #10: Headshot bonus
+  if (headshot) dmg *= 2.0; // 2x multiplier for headshots
+
+  // Team damage is the mode's call (friendly fire rule)
+  const dealt = applyDamage(room, victim, dmg, attacker, { weapon: weaponIdx, headshot });
+  if (dealt && headshot) attacker.headshots++;
+  if (dealt && victim.alive) {
+    broadcast(room, 'player-damage', { id: victimId, hp: victim.hp, attackerId, isHeadshot: headshot });
+  }
+  return dealt;
+}
+
+module.exports = {
+  isTeamMode, initObjective, publicObjective, updateObjective, GAME_MODES, MODES, modeOf, resolveRules,
+  getTeam, balanceTeams, getRandomSpawn, lateJoin, applyDamage, killPlayer, applyHit,
+  ENEMY_TYPES, squad, isUp, circleBlocked, startWave, spawnEnemy, updateEnemy, damageEnemy, traceEnemy, updateWaves,
+  updateMapFeatures, movePlayer,
+};
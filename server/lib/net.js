@@ -0,0 +1,262 @@
+'use strict';
+
+// What clients are sent: gameplay events, and per-client delta snapshots of the game state.
+// Every client gets its own game-state. Player fields are quantized to integers and
+// only fields that differ from the last snapshot the client acknowledged (the `ack`
+// on its input packets) are sent. Far players out of sight refresh less often.
+// Clients that joined with { binary: true } get the same message packed in a Buffer.
+const { hasLineOfSight } = require('./maps');
+
+// lib/ reaches clients through `io`, which forwards to the Socket.io server that server.js
+// installs with useIo. Without one (lib/ tested on its own) nothing goes out.
+const nowhere = { emit() {} };
+let server = null;
+
+const io = {
+  to: (target) => server ? server.to(target) : nowhere,
+  socket: (id) => server ? server.sockets.sockets.get(id) : undefined, // a connected socket by id
+};
+
+// Installs the Socket.io server (null for none) and returns the one it replaced
+function useIo(next) {
+  const prev = server;
+  server = next || null;
+  return prev;
+}
+
+// Sends a gameplay event to everyone in the room and keeps it for the replay
+function broadcast(room, type, data) {
+  io.to(room.code).emit(type, data);
+  if (room.replay) room.replay.event(room, type, data);
+}
+
+const SNAPSHOT_HISTORY = 32;     // unacknowledged snapshots kept per client
+const INTEREST_NEAR = 30;        // units; closer players update every tick
+const INTEREST_FAR_TICKS = 2;    // far but in line of sight
+const INTEREST_HIDDEN_TICKS = 5; // far and behind walls
+const FEATURE_SYNC_TICKS = 40;   // moving platform phases resync every 2s
+const POS_SCALE = 100;           // 1cm
+const ANGLE_SCALE = 65536 / (Math.PI * 2);
+const PITCH_SCALE = 32767 / (Math.PI / 2);
+const TIMER_SCALE = 100;
+const PHASE_SCALE = 10000;
+
+const TAU = Math.PI * 2;
+const NET_FIELDS = [
+  { key: 'x', type: 'i16', scale: POS_SCALE, get: p => p.x },
+  { key: 'y', type: 'i16', scale: POS_SCALE, get: p => p.y },
+  { key: 'z', type: 'i16', scale: POS_SCALE, get: p => p.z },
+  { key: 'yaw', type: 'u16', scale: ANGLE_SCALE, get: p => ((p.yaw % TAU) + TAU) % TAU },
+  { key: 'pitch', type: 'i16', scale: PITCH_SCALE, get: p => p.pitch },
+  { key: 'hp', type: 'u8', scale: 1, get: p => Math.ceil(p.hp) },
+  { key: 'alive', type: 'u8', scale: 1, get: p => +p.alive },
+  { key: 'weapon', type: 'u8', scale: 1, get: p => p.weapon },
+  { key: 'kills', type: 'u16', scale: 1, get: p => p.kills },
+  { key: 'deaths', type: 'u16', scale: 1, get: p => p.deaths },
+  { key: 'score', type: 'u16', scale: 1, get: p => p.score },
+  { key: 'respawnTimer', type: 'u8', scale: 1, get: p => p.respawnTimer > 0 ? Math.ceil(p.respawnTimer) : 0 },
+  { key: 'spawnProtected', type: 'u8', scale: 1, get: p => +(p.spawnProtectionTimer > 0) },
+  { key: 'down', type: 'u8', scale: 1, get: p => p.down || 0 }, // co-op: 1 downed, 2 out until the wave ends
+];
+// Only the owner needs these, to reconcile its prediction
+const NET_SELF_FIELDS = [
+  { key: 'vy', type: 'i16', scale: POS_SCALE, get: p => p.vy },
+  { key: 'kx', type: 'i16', scale: POS_SCALE, get: p => p.kx },
+  { key: 'kz', type: 'i16', scale: POS_SCALE, get: p => p.kz },
+  { key: 'grounded', type: 'u8', scale: 1, get: p => +p.grounded },
+  { key: 'dashTimer', type: 'u16', scale: TIMER_SCALE, get: p => p.dashTimer },
+  { key: 'dashCooldown', type: 'u16', scale: TIMER_SCALE, get: p => p.dashCooldown },
+  { key: 'seq', type: 'u32', scale: 1, get: p => p.lastInputSeq },
+  { key: 'shield', type: 'u8', scale: 1, get: p => p.shield || 0 },
+  { key: 'downTimer', type: 'u8', scale: 1, get: p => Math.ceil(p.downTimer || 0) },
+];
+const ALL_NET_FIELDS = NET_FIELDS.concat(NET_SELF_FIELDS);
+const NET_SCHEMA = ALL_NET_FIELDS.map(f => [f.key, f.type, f.scale]); // sent in game-start
+const FIELD_HP = NET_FIELDS.findIndex(f => f.key === 'hp');
+const FIELD_ALIVE = NET_FIELDS.findIndex(f => f.key === 'alive');
+const TYPE_RANGE = { u8: [0, 255], i16: [-32768, 32767], u16: [0, 65535], u32: [0, 4294967295] };
+const TYPE_SIZE = { u8: 1, i16: 2, u16: 2, u32: 4 };
+
+function quantize(f, v) {
+  const [lo, hi] = TYPE_RANGE[f.type];
+  return Math.max(lo, Math.min(hi, Math.round(v * f.scale)));
+}
+
+function quantizePlayer(p, self) {
+  return (self ? ALL_NET_FIELDS : NET_FIELDS).map(f => quantize(f, f.get(p)));
+}
+
+function createNetState(binary) {
+  return { binary: !!binary, nextId: 1, ack: 0, snapshots: new Map() };
+}
+
+// Lowest free small id for a room member; snapshots key players by it, not by socket id
+function allocNetId(room) {
+  const used = new Set([...room.players.values()].map(p => p.nid));
+  for (let n = 1; n < 256; n++) if (!used.has(n)) return n;
+  return 0;
+}
+
+function acknowledgeSnapshot(net, id) {
+  if (!Number.isInteger(id) || id <= net.ack || !net.snapshots.has(id)) return;
+  net.ack = id;
+  for (const old of net.snapshots.keys()) if (old < id) net.snapshots.delete(old);
+}
+
+// Near players always update; alive/hp changes always go out so deaths are never late
+function isInterested(room, viewer, p, prev, vals) {
+  if (prev[FIELD_ALIVE] !== vals[FIELD_ALIVE] || prev[FIELD_HP] !== vals[FIELD_HP]) return true;
+  const dx = viewer.x - p.x, dz = viewer.z - p.z;
+  if (dx * dx + dz * dz <= INTEREST_NEAR * INTEREST_NEAR) return true;
+  const every = hasLineOfSight(room.map, viewer, p) ? INTEREST_FAR_TICKS : INTEREST_HIDDEN_TICKS;
+  return (room.tick + p.nid) % every === 0;
+}
+
+function featurePhases(room) {
+  return room.features.filter(f => f.moving).map(f => Math.round(f.movePhase * PHASE_SCALE));
+}
+
+// { id, base, t, e: [[nid, mask, ...changed values]], g: [gone nids], fp?: [phases] }
+function buildSnapshot(room, sid, viewer) {
+  const net = viewer.net;
+  const base = net.ack ? net.snapshots.get(net.ack) : null;
+  const ents = new Map();
+  const e = [];
+  for (const [osid, p] of room.players) {
+    const self = osid === sid;
+    const vals = quantizePlayer(p, self);
+    const prev = base && base.get(p.nid);
+    if (prev && !self && !viewer.spectator && !isInterested(room, viewer, p, prev, vals)) {
+      ents.set(p.nid, prev); // the client keeps what it had
+      continue;
+    }
+    ents.set(p.nid, vals);
+    let mask = 0;
+    const entry = [p.nid, 0];
+    vals.forEach((v, i) => {
+      if (!prev || prev[i] !== v) { mask |= 1 << i; entry.push(v); }
+    });
+    if (mask) { entry[1] = mask; e.push(entry); }
+  }
+  const g = base ? [...base.keys()].filter(n => !ents.has(n)) : [];
+
+  const id = net.nextId++;
+  net.snapshots.set(id, ents);
+  net.snapshots.delete(id - SNAPSHOT_HISTORY);
+  const msg = { id, base: base ? net.ack : 0, t: Math.max(0, Math.round(room.gameTimer * 10)), e, g };
+  if (!base || room.tick % FEATURE_SYNC_TICKS === 0) {
+    const fp = featurePhases(room);
+    if (fp.length) msg.fp = fp;
+  }
+  return msg;
+}
+
+function encodeSnapshot(msg) {
+  let size = 4 + 4 + 2 + 1 + 1 + msg.g.length + 1 + (msg.fp ? msg.fp.length * 2 : 0);
+  for (const [, mask] of msg.e) {
+    size += 1 + 4;
+    ALL_NET_FIELDS.forEach((f, i) => { if (mask & (1 << i)) size += TYPE_SIZE[f.type]; });
+  }
+  const buf = Buffer.alloc(size);
+  let o = 0;
+  o = buf.writeUInt32LE(msg.id, o);
+  o = buf.writeUInt32LE(msg.base, o);
+  o = buf.writeUInt16LE(Math.min(65535, msg.t), o);
+  o = buf.writeUInt8(msg.e.length, o);
+  for (const [nid, mask, ...vals] of msg.e) {
+    o = buf.writeUInt8(nid, o);
+    o = buf.writeUInt32LE(mask >>> 0, o);
+    let v = 0;
+    ALL_NET_FIELDS.forEach((f, i) => {
+      if (!(mask & (1 << i))) return;
+      const x = vals[v++];
+      if (f.type === 'u8') o = buf.writeUInt8(x, o);
+      else if (f.type === 'i16') o = buf.writeInt16LE(x, o);
+      else if (f.type === 'u16') o = buf.writeUInt16LE(x, o);
+      else o = buf.writeUInt32LE(x, o);
+    });
+  }
+  o = buf.writeUInt8(msg.g.length, o);
+  for (const nid of msg.g) o = buf.writeUInt8(nid, o);
+  o = buf.writeUInt8(msg.fp ? msg.fp.length : 0, o);
+  for (const ph of msg.fp || []) o = buf.writeUInt16LE(ph, o);
+  return buf;
+}
+
+// Reference decoder (the client carries the same logic); used by tests and tooling
+function decodeSnapshot(buf) {
+  let o = 0;
+  const id = buf.readUInt32LE(o); o += 4;
+  const base = buf.readUInt32LE(o); o += 4;
+  const t = buf.readUInt16LE(o); o += 2;
+  const e = [];
+  for (let n = buf.readUInt8(o++); n > 0; n--) {
+    const nid = buf.readUInt8(o++);
+    const mask = buf.readUInt32LE(o); o += 4;
+    const entry = [nid, mask];
+    ALL_NET_FIELDS.forEach((f, i) => {
+      if (!(mask & (1 << i))) return;
+      if (f.type === 'u8') entry.push(buf.readUInt8(o));
+      else if (f.type === 'i16') entry.push(buf.readInt16LE(o));
+      else if (f.type === 'u16') entry.push(buf.readUInt16LE(o));
+      else entry.push(buf.readUInt32LE(o));
+      o += TYPE_SIZE[f.type];
+    });
+    e.push(entry);
+  }
+  const g = [];
+  for (let n = buf.readUInt8(o++); n > 0; n--) g.push(buf.readUInt8(o++));
+  const fpCount = buf.readUInt8(o++);
+  const msg = { id, base, t, e, g };
+  if (fpCount) {
+    msg.fp = [];
+    for (let n = 0; n < fpCount; n++) { msg.fp.push(buf.readUInt16LE(o)); o += 2; }
+  }
+  return msg;
+}
+
+function resetNetStats(room) {
+  room.netStats = { since: Date.now(), ticks: 0, messages: 0, bytesSent: 0, legacyBytes: 0 };
+}
+
+// What the old broadcast (every player's full state to everyone) would have cost this tick
+function legacyStateBytes(room) {
+  const players = [];
+  for (const [sid, p] of room.players) {
+    players.push({ id: sid, x: p.x, y: p.y, z: p.z, yaw: p.yaw, pitch: p.pitch, hp: p.hp, alive: p.alive,
+      kills: p.kills, deaths: p.deaths, score: p.score, weapon: p.weapon, team: p.team,
+      respawnTimer: p.respawnTimer > 0 ? Math.ceil(p.respawnTimer) : 0 });
+  }
+  return Buffer.byteLength(JSON.stringify({ t: room.gameTimer, players })) * room.players.size;
+}
+
+function broadcastGameState(room) {
+  const stats = room.netStats;
+  stats.ticks++;
+  stats.legacyBytes += legacyStateBytes(room);
+  for (const [sid, viewer] of [...room.players, ...room.spectators]) {
+    if (viewer.bot) continue; // nobody to send it to
+    const msg = buildSnapshot(room, sid, viewer);
+    const payload = viewer.net.binary ? encodeSnapshot(msg) : msg;
+    stats.messages++;
+    stats.bytesSent += viewer.net.binary ? payload.length : Buffer.byteLength(JSON.stringify(payload));
+    io.to(sid).emit('game-state', payload);
+  }
+}
+
+function getBandwidthStats(room) {
+  const s = room.netStats;
+  const seconds = Math.max(0.001, (Date.now() - s.since) / 1000);
+  return {
+    code: room.code, state: room.state, players: room.players.size,
+    seconds: +seconds.toFixed(1), ticks: s.ticks, messages: s.messages,
+    bytesSent: s.bytesSent, bytesPerSecond: Math.round(s.bytesSent / seconds),
+    legacyBytes: s.legacyBytes,
+    savings: s.legacyBytes ? +(1 - s.bytesSent / s.legacyBytes).toFixed(3) : 0,
+  };
+}
+
+module.exports = {
+  io, useIo, broadcast, NET_SCHEMA, createNetState, allocNetId, acknowledgeSnapshot, buildSnapshot, encodeSnapshot,
+  decodeSnapshot, resetNetStats, broadcastGameState, getBandwidthStats,
+};
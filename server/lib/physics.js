@@ -0,0 +1,122 @@
+'use strict';
+
+// Player movement, simulated by the server from the inputs clients send
+const { isNum, MAP_HALF_SIZE } = require('./maps');
+
+// IMPROVEMENT #3: Physics constants (mirrored by the client's prediction in simulateMove)
+const GRAVITY = 20;           // units/s²
+const JUMP_POWER = 8;         // initial vertical velocity
+const FALL_DAMAGE_THRESHOLD = 15; // fall height (units) before landing hurts
+const FALL_DAMAGE_PER_UNIT = 5;
+const EYE_HEIGHT = 1.6;
+const MOVE_SPEED = 8;         // units/s on foot
+const DASH_SPEED_MULT = 3;
+const DASH_TIME = 0.2;
+const DASH_COOLDOWN = 2;
+const PLAYER_RADIUS = 0.4;
+const MAX_INPUT_DT = 0.05;    // longest frame a single input may cover
+const MAX_MOVE_BUDGET = 0.5;  // seconds of simulation a client may bank against jitter
+const MAX_INPUTS_PER_PACKET = 30;
+const KNOCKBACK_AIR_DRAG = 1.5;    // per second; blast impulse carries through the air...
+const KNOCKBACK_GROUND_DRAG = 8;   // ...and dies out quickly once you land
+
+// One input covers one client frame: { seq, dt, keys, yaw }. The client runs the
+// same simulateMove to predict, then replays unacknowledged inputs on top of the
+// position and `seq` it gets back in game-state.
+const INPUT_KEYS = { FORWARD: 1, BACK: 2, LEFT: 4, RIGHT: 8, JUMP: 16, DASH: 32 };
+
+function sanitizeInput(raw) {
+  if (!raw || !Number.isInteger(raw.seq) || raw.seq < 0) return null;
+  if (!isNum(raw.dt) || raw.dt <= 0 || !isNum(raw.yaw)) return null;
+  return { seq: raw.seq, dt: Math.min(raw.dt, MAX_INPUT_DT), keys: raw.keys | 0, yaw: raw.yaw };
+}
+
+function resetMovement(p, spawn) {
+  p.x = spawn.x; p.y = spawn.y; p.z = spawn.z;
+  p.vx = 0; p.vy = 0; p.vz = 0;
+  p.kx = 0; p.kz = 0;
+  p.grounded = true;
+  p.peakY = spawn.y;
+  p.dashTimer = 0; p.dashCooldown = 0;
+  p.moveBudget = MAX_INPUT_DT;
+}
+
+// Axis-separated slide against the map's walls, same as the client's moveWithCollision
+function slideAgainstWalls(p, dx, dz, colliders) {
+  const r = PLAYER_RADIUS;
+  const blocked = (x, z) => colliders.some(b => x + r > b.minX && x - r < b.maxX && z + r > b.minZ && z - r < b.maxZ);
+  if (!blocked(p.x + dx, p.z)) p.x += dx;
+  if (!blocked(p.x, p.z + dz)) p.z += dz;
+  p.x = Math.max(-MAP_HALF_SIZE, Math.min(MAP_HALF_SIZE, p.x));
+  p.z = Math.max(-MAP_HALF_SIZE, Math.min(MAP_HALF_SIZE, p.z));
+}
+
+// Advances p by one input. Returns { jumped, landed, fallDamage } for the caller to broadcast.
+function simulateMove(p, input, colliders) {
+  const dt = input.dt, k = input.keys;
+  const result = { jumped: false, landed: false, fallDamage: 0 };
+
+  if ((k & INPUT_KEYS.DASH) && p.dashCooldown <= 0 && p.dashTimer <= 0) {
+    p.dashTimer = DASH_TIME;
+    p.dashCooldown = DASH_COOLDOWN;
+  }
+  const speed = MOVE_SPEED * (p.dashTimer > 0 ? DASH_SPEED_MULT : 1);
+  p.dashTimer = p.dashTimer - dt > 1e-6 ? p.dashTimer - dt : 0; // no float residue extending the dash
+  p.dashCooldown = Math.max(0, p.dashCooldown - dt);
+
+  let fx = ((k & INPUT_KEYS.RIGHT) ? 1 : 0) - ((k & INPUT_KEYS.LEFT) ? 1 : 0);
+  let fz = ((k & INPUT_KEYS.BACK) ? 1 : 0) - ((k & INPUT_KEYS.FORWARD) ? 1 : 0);
+  const len = Math.sqrt(fx * fx + fz * fz);
+  if (len > 0) { fx /= len; fz /= len; }
+  const sin = Math.sin(input.yaw), cos = Math.cos(input.yaw);
+  p.vx = (fx * cos + fz * sin) * speed;
+  p.vz = (-fx * sin + fz * cos) * speed;
+
+  if ((k & INPUT_KEYS.JUMP) && p.grounded) {
+    p.vy = JUMP_POWER;
+    p.grounded = false;
+    result.jumped = true;
+  }
+
+  // Gravity is applied here and only here
+  p.vy -= GRAVITY * dt;
+  p.y += p.vy * dt;
+  if (p.y <= EYE_HEIGHT) {
+    const fallHeight = Math.max(0, p.peakY - EYE_HEIGHT);
+    if (!p.grounded) {
+      result.landed = true;
+      if (fallHeight > FALL_DAMAGE_THRESHOLD) result.fallDamage = (fallHeight - FALL_DAMAGE_THRESHOLD) * FALL_DAMAGE_PER_UNIT;
+    }
+    p.y = EYE_HEIGHT;
+    p.vy = 0;
+    p.grounded = true;
+    p.peakY = EYE_HEIGHT;
+  } else {
+    p.grounded = false;
+    p.peakY = Math.max(p.peakY, p.y);
+  }
+
+  // Blast knockback rides on top of the walking velocity and decays on its own
+  slideAgainstWalls(p, (p.vx + p.kx) * dt, (p.vz + p.kz) * dt, colliders);
+  const drag = Math.exp(-(p.grounded ? KNOCKBACK_GROUND_DRAG : KNOCKBACK_AIR_DRAG) * dt);
+  p.kx = Math.abs(p.kx * drag) > 0.01 ? p.kx * drag : 0;
+  p.kz = Math.abs(p.kz * drag) > 0.01 ? p.kz * drag : 0;
+  return result;
+}
+
+// Spend real time banked by the tick loop; inputs beyond it are speed hacks and are dropped
+function spendMoveBudget(p, dt) {
+  if (dt > p.moveBudget + 1e-6) return false;
+  p.moveBudget -= dt;
+  return true;
+}
+
+// The unit vector a player looks along; simulateMove walks forward along (-sin yaw, -cos yaw)
+function aimVector(yaw, pitch) {
+  return { x: -Math.sin(yaw) * Math.cos(pitch), y: Math.sin(pitch), z: -Math.cos(yaw) * Math.cos(pitch) };
+}
+
+module.exports = {
+  GRAVITY, JUMP_POWER, EYE_HEIGHT, MOVE_SPEED, PLAYER_RADIUS, MAX_INPUT_DT, MAX_MOVE_BUDGET, MAX_INPUTS_PER_PACKET,
+  INPUT_KEYS, sanitizeInput, resetMovement, slideAgainstWalls, simulateMove, spendMoveBudget, aimVector,
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+// A room member: the state kept for each player or bot, and the roster as clients see it.
+const crypto = require('crypto');
+
+const { PositionHistory } = require('./validation');
+const { createNetState, allocNetId } = require('./net');
+
+function newSessionToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// A fresh roster entry, for a socket (addPlayer) or a bot (see lib/bots.js)
+function newPlayerState(room, id, { name, key, account, gear, binary, address }) {
+  return {
+    name,
+    key, // stats, XP and cosmetics
+    account, // stored once a match is filed under it (see ACCOUNTS)
+    color: gear.color,
+    hat: gear.hat,
+    ready: false,
+    id,
+    team: null,
+    x: 0, y: 1.6, z: 0,
+    yaw: 0, pitch: 0,
+    vx: 0, vy: 0, vz: 0, // IMPROVEMENT #3: Physics velocity
+    kx: 0, kz: 0,        // blast knockback
+    down: 0, downTimer: 0, shield: 0, dmgTimer: 0, // co-op
+    hp: 100, alive: true,
+    kills: 0, deaths: 0, score: 0,
+    weapon: 0, lastShot: 0,
+    gunGameLevel: 0,
+    respawnTimer: 0,
+    grounded: true, peakY: 1.6,
+    dashTimer: 0, dashCooldown: 0,
+    moveBudget: 0, lastInputSeq: 0, // IMPROVEMENT #3: server-simulated movement
+    nid: allocNetId(room), net: createNetState(binary), // IMPROVEMENT #5: snapshot deltas
+    spawnProtectionTimer: 0,
+    skinId: gear.skinId,
+    effectId: gear.effectId,
+    // IMPROVEMENT #10: Scoring stats
+    headshots: 0,
+    killStreak: 0,
+    bestStreak: 0,
+    assists: new Map(),
+    assistCount: 0,
+    // IMPROVEMENT #2: Latency compensation
+    history: new PositionHistory(),
+    session: newSessionToken(), disconnected: false, graceTimer: null,
+    address, // for host bans
+    aim: null, seen: new Map(), // anti-cheat telemetry
+  };
+}
+
+function serializePlayers(room) {
+  const list = [];
+  for (const [sid, p] of room.players) {
+    list.push({ id: sid, nid: p.nid, name: p.name, color: p.color, hat: p.hat, skinId: p.skinId, effectId: p.effectId, team: p.team,
+      x: p.x, y: p.y, z: p.z, weapon: p.weapon, hp: p.hp, alive: p.alive, bot: !!p.bot });
+  }
+  return list;
+}
+
+function humanCount(room) {
+  let n = 0;
+  for (const p of room.players.values()) if (!p.bot) n++;
+  return n;
+}
+
+module.exports = { newSessionToken, newPlayerState, serializePlayers, humanCount };
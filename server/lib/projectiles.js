@@ -0,0 +1,157 @@
+'use strict';
+
+// Rockets and grenades, simulated by the server. Clients only render them: 'projectile-spawn'
+// carries the launch state (grenades follow the same bounce rules client-side) and
+// 'projectile-detonate' the authoritative blast.
+const { WEAPONS } = require('./constants');
+const { MAP_HALF_SIZE, HITBOX, MAP_DEFS, isNum, normalize, rayBox, rayCapsule, hasLineOfSight } = require('./maps');
+const { GRAVITY } = require('./physics');
+const { broadcast } = require('./net');
+const { ENEMY_TYPES, applyDamage, damageEnemy, traceEnemy } = require('./modes');
+
+const ROCKET_SPEED = 60;          // units/s, matches the client's projSpeed
+const GRENADE_SPEED = 20;
+const GRENADE_LOFT = 8;           // extra upward velocity on a throw
+const GRENADE_FUSE = 2;           // seconds
+const GRENADE_DMG = 100;
+const GRENADE_RADIUS = 6;
+const GRENADE_COOLDOWN = 0.8;     // seconds between throws
+const GRENADE_SIZE = 0.15;        // collision radius
+const WALL_RESTITUTION = 0.5;
+const FLOOR_RESTITUTION = 0.4;
+const FLOOR_FRICTION = 0.8;
+const SELF_DAMAGE_MULT = 0.5;     // your own blasts hurt, but less
+const BLAST_KNOCKBACK = 14;       // units/s of impulse at the centre of a blast
+const MAX_LAUNCH_OFFSET = 3;      // how far a reported muzzle may be from the server's eye position
+
+let nextProjectileId = 1;
+
+function spawnProjectile(room, ownerId, type, origin, dir) {
+  const rocket = type === 'rocket';
+  const speed = rocket ? ROCKET_SPEED : GRENADE_SPEED;
+  const pr = {
+    id: nextProjectileId++, type, owner: ownerId,
+    x: origin.x, y: origin.y, z: origin.z,
+    vx: dir.x * speed, vy: dir.y * speed + (rocket ? 0 : GRENADE_LOFT), vz: dir.z * speed,
+    life: rocket ? WEAPONS[3].range / ROCKET_SPEED : GRENADE_FUSE,
+    weapon: rocket ? 3 : undefined,
+    dmg: rocket ? WEAPONS[3].dmg : GRENADE_DMG,
+    radius: rocket ? WEAPONS[3].splashRadius : GRENADE_RADIUS,
+  };
+  room.projectiles.push(pr);
+  broadcast(room, 'projectile-spawn', {
+    id: pr.id, type, owner: ownerId, x: pr.x, y: pr.y, z: pr.z, vx: pr.vx, vy: pr.vy, vz: pr.vz, life: pr.life,
+  });
+  return pr;
+}
+
+// Launch from the client's muzzle if it is plausibly where the server has them, else their eye
+function launchOrigin(p, data) {
+  const o = { x: data.x, y: data.y, z: data.z };
+  if (![o.x, o.y, o.z].every(isNum)) return { x: p.x, y: p.y, z: p.z };
+  if (Math.hypot(o.x - p.x, o.y - p.y, o.z - p.z) > MAX_LAUNCH_OFFSET) return { x: p.x, y: p.y, z: p.z };
+  return o;
+}
+
+// Rockets fly straight and burst on the first wall, floor or player along this tick's path
+function stepRocket(room, pr, dt) {
+  const speed = Math.hypot(pr.vx, pr.vy, pr.vz);
+  const d = { x: pr.vx / speed, y: pr.vy / speed, z: pr.vz / speed };
+  let t = speed * dt, hit = false;
+  for (const box of (MAP_DEFS[room.map] || MAP_DEFS.arena).colliders) {
+    const tb = rayBox(pr, d, box);
+    if (tb <= t) { t = tb; hit = true; }
+  }
+  if (d.y < 0 && pr.y / -d.y <= t) { t = pr.y / -d.y; hit = true; }
+  for (const [sid, p] of room.players) {
+    if (sid === pr.owner || !p.alive) continue;
+    const tc = rayCapsule(pr, d, p.x, p.z, p.y + HITBOX.bodyBottom, p.y + HITBOX.headOffset, HITBOX.bodyRadius);
+    if (tc <= t) { t = tc; hit = true; }
+  }
+  for (const e of room.coop ? room.coop.enemies : []) {
+    const te = traceEnemy(room.map, pr, d, e, t);
+    if (te && te.distance <= t) { t = te.distance; hit = true; }
+  }
+  // Stop just short of the surface so the blast's line-of-sight checks start in open air
+  const move = hit ? Math.max(0, t - 0.05) : t;
+  pr.x += d.x * move; pr.y += d.y * move; pr.z += d.z * move;
+  return hit;
+}
+
+// Grenades arc under gravity and bounce; sub-stepped so fast throws can't tunnel through walls
+function stepGrenade(room, pr, dt) {
+  const colliders = (MAP_DEFS[room.map] || MAP_DEFS.arena).colliders;
+  const r = GRENADE_SIZE;
+  const blocked = (x, y, z) => Math.abs(x) > MAP_HALF_SIZE || Math.abs(z) > MAP_HALF_SIZE || colliders.some(b =>
+    x + r > b.minX && x - r < b.maxX && z + r > b.minZ && z - r < b.maxZ && y - r < b.maxY);
+  const steps = Math.max(1, Math.ceil(Math.hypot(pr.vx, pr.vy, pr.vz) * dt / 0.25));
+  const h = dt / steps;
+  for (let i = 0; i < steps; i++) {
+    pr.vy -= GRAVITY * h;
+    if (blocked(pr.x + pr.vx * h, pr.y, pr.z)) pr.vx *= -WALL_RESTITUTION; else pr.x += pr.vx * h;
+    if (blocked(pr.x, pr.y, pr.z + pr.vz * h)) pr.vz *= -WALL_RESTITUTION; else pr.z += pr.vz * h;
+    const ny = pr.y + pr.vy * h;
+    if (ny < r || blocked(pr.x, ny, pr.z)) {
+      if (ny < r) pr.y = r;
+      pr.vy = Math.abs(pr.vy) > 1 ? -pr.vy * FLOOR_RESTITUTION : 0; // settle instead of jittering
+      pr.vx *= FLOOR_FRICTION; pr.vz *= FLOOR_FRICTION;
+    } else {
+      pr.y = ny;
+    }
+  }
+  return false; // only the fuse sets a grenade off
+}
+
+function updateProjectiles(room, dt) {
+  room.projectiles = room.projectiles.filter(pr => {
+    pr.life -= dt;
+    const hit = pr.type === 'rocket' ? stepRocket(room, pr, dt) : stepGrenade(room, pr, dt);
+    if (!hit && pr.life > 0) return true;
+    detonate(room, pr);
+    return false;
+  });
+}
+
+// Linear falloff from the centre of the blast to its edge, measured to the body's surface.
+// The owner takes SELF_DAMAGE_MULT of it; everyone in range is pushed away (rocket jumps).
+function detonate(room, pr) {
+  const owner = room.players.get(pr.owner) || null;
+  const hits = [];
+  for (const [sid, p] of room.players) {
+    if (!p.alive) continue;
+    const center = { x: p.x, y: p.y + (HITBOX.bodyBottom + HITBOX.bodyTop) / 2, z: p.z };
+    const dist = Math.max(0, Math.hypot(center.x - pr.x, center.y - pr.y, center.z - pr.z) - HITBOX.bodyRadius);
+    if (dist >= pr.radius || !hasLineOfSight(room.map, pr, center)) continue; // walls absorb splash
+    const falloff = 1 - dist / pr.radius;
+
+    const push = normalize({ x: center.x - pr.x, y: center.y - pr.y, z: center.z - pr.z }) || { x: 0, y: 1, z: 0 };
+    p.kx += push.x * BLAST_KNOCKBACK * falloff;
+    p.kz += push.z * BLAST_KNOCKBACK * falloff;
+    p.vy += push.y * BLAST_KNOCKBACK * falloff;
+    if (p.vy > 0) p.grounded = false;
+
+    if (p.spawnProtectionTimer > 0) continue;
+    const dmg = pr.dmg * falloff * (p === owner ? SELF_DAMAGE_MULT : 1);
+    const dealt = applyDamage(room, p, dmg, owner, { weapon: pr.weapon, cause: pr.type, splash: true });
+    if (!dealt) continue;
+    hits.push({ id: sid, dmg: Math.round(dealt) });
+    if (p.alive) broadcast(room, 'player-damage', { id: sid, hp: p.hp, attackerId: pr.owner, isHeadshot: false });
+  }
+  if (room.coop) {
+    const boost = owner && owner.dmgTimer > 0 ? 2 : 1;
+    for (const e of [...room.coop.enemies]) {
+      const s = ENEMY_TYPES[e.type].size;
+      const center = { x: e.x, y: e.y + s * 1.5, z: e.z };
+      const dist = Math.max(0, Math.hypot(center.x - pr.x, center.y - pr.y, center.z - pr.z) - s);
+      if (dist >= pr.radius || !hasLineOfSight(room.map, pr, center)) continue;
+      damageEnemy(room, e, pr.dmg * (1 - dist / pr.radius) * boost, owner, { weapon: pr.weapon, cause: pr.type });
+    }
+  }
+  broadcast(room, 'projectile-detonate', {
+    id: pr.id, type: pr.type, owner: pr.owner, x: pr.x, y: pr.y, z: pr.z, radius: pr.radius, hits,
+  });
+}
+
+module.exports = {
+  GRENADE_COOLDOWN, spawnProjectile, launchOrigin, updateProjectiles, detonate,
+};
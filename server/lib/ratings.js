@@ -0,0 +1,38 @@
+'use strict';
+
+// Skill estimates for matchmaking and team balance: Elo with a Glicko-style deviation. `rd` says
+// how unsure we are of a rating. New players move fast (K 45) and settle as rd shrinks with every
+// rated match (down to K 16).
+const { isNum } = require('./maps');
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const MIN_RD = 60;
+
+function ratingK(rd) {
+  return 10 + rd / 10;
+}
+
+function ratingOf(p) {
+  return isNum(p.rating) ? p.rating : DEFAULT_RATING;
+}
+
+// Every player is scored against every opponent — 1 for finishing above them, 0.5 level,
+// 0 below — and moves by K times the average surprise. Teammates aren't compared.
+// entries: [{ rating, rd, place, team }], lower place is better. Returns [{ rating, rd }].
+function rateMatch(entries) {
+  return entries.map((a, i) => {
+    let surprise = 0, opponents = 0;
+    entries.forEach((b, j) => {
+      if (i === j || (a.team && a.team === b.team)) return;
+      const expected = 1 / (1 + 10 ** ((b.rating - a.rating) / 400));
+      const actual = a.place < b.place ? 1 : a.place === b.place ? 0.5 : 0;
+      surprise += actual - expected;
+      opponents++;
+    });
+    if (!opponents) return { rating: a.rating, rd: a.rd };
+    return { rating: Math.round(a.rating + ratingK(a.rd) * surprise / opponents), rd: Math.max(MIN_RD, Math.round(a.rd * 0.9)) };
+  });
+}
+
+module.exports = { DEFAULT_RATING, DEFAULT_RD, MIN_RD, ratingOf, rateMatch };
@@ -0,0 +1,73 @@
+'use strict';
+
+// Match recording: one ReplayRecorder per playing match (see lib/tick.js) takes a frame every
+// tick and keeps the events broadcast in the room. Writing the file is server.js's (see REPLAYS).
+const { clock } = require('./clock');
+const { TICK_MS } = require('./constants');
+
+const REPLAY_VERSION = 1;
+const REPLAY_PLAYER_FIELDS = ['x', 'y', 'z', 'yaw', 'pitch', 'hp', 'alive', 'weapon', 'team', 'down'];
+
+function replayValue(v) {
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (typeof v === 'number') return Math.round(v * 100) / 100;
+  return v === undefined ? null : v;
+}
+
+class ReplayRecorder {
+  constructor(room) {
+    this.startTick = room.tick;
+    this.header = { version: REPLAY_VERSION, code: room.code, name: room.name, mode: room.mode, map: room.map,
+      rules: room.rules, tickMs: TICK_MS, startedAt: clock.now(), fields: REPLAY_PLAYER_FIELDS };
+    this.players = [];      // roster: everyone who appeared in the match
+    this.index = new Map(); // socket id → roster index
+    this.frames = [];
+    this.events = [];
+  }
+
+  tick(room) {
+    return room.tick - this.startTick;
+  }
+
+  rosterIndex(id, p) {
+    if (!this.index.has(id)) {
+      this.index.set(id, this.players.length);
+      this.players.push({ id, name: p.name, color: p.color, hat: p.hat, skinId: p.skinId, team: p.team });
+    }
+    return this.index.get(id);
+  }
+
+  // A resumed player keeps their roster slot under the new socket id
+  rekey(oldId, newId) {
+    if (!this.index.has(oldId)) return;
+    const i = this.index.get(oldId);
+    this.index.delete(oldId);
+    this.index.set(newId, i);
+    this.players[i].id = newId;
+  }
+
+  frame(room) {
+    const players = [];
+    for (const [sid, p] of room.players) {
+      players.push(this.rosterIndex(sid, p));
+      for (const f of REPLAY_PLAYER_FIELDS) players.push(replayValue(p[f]));
+    }
+    const enemies = [];
+    if (room.coop) {
+      for (const e of room.coop.enemies) enemies.push(e.id, e.type, replayValue(e.x), replayValue(e.y), replayValue(e.z), Math.ceil(e.hp));
+    }
+    this.frames.push([this.tick(room), players, enemies]);
+  }
+
+  event(room, type, data) {
+    this.events.push([this.tick(room), type, data]);
+  }
+
+  finish(room, winner, scoreboard) {
+    const endedAt = clock.now();
+    return { ...this.header, id: `${endedAt}-${room.code}`, endedAt, ticks: this.tick(room),
+      winner, scoreboard, players: this.players, frames: this.frames, events: this.events };
+  }
+}
+
+module.exports = { REPLAY_VERSION, REPLAY_PLAYER_FIELDS, ReplayRecorder };
@@ -0,0 +1,205 @@
+'use strict';
+
+// The rooms this instance runs: creating them, lobby settings and rotation, the host, and the room
+// state clients are sent. Who joins and leaves is lib/roster.js; the match is lib/tick.js; teams,
+// spawns and rules are the mode's (lib/modes.js).
+const { EventEmitter } = require('events');
+
+const { clock } = require('./clock');
+const { isNum, MAP_DEFS, MAPS, mapSupportsMode } = require('./maps');
+const { resetNetStats } = require('./net');
+const { ratingOf } = require('./ratings');
+const { GAME_MODES, MODES, resolveRules, balanceTeams } = require('./modes');
+const { humanCount } = require('./players');
+const { BOT_DIFFICULTY, syncBots } = require('./bots');
+
+const MAX_ROTATION = 10; // map/mode entries a host can queue
+
+/** @type {Map<string, Room>} */
+const rooms = new Map();
+
+// 'changed': a room opened, closed or changed, or players came or went (server.js tells the lobby
+// and the other instances, see CLUSTER)
+const roomEvents = new EventEmitter();
+
+function roomsChanged() {
+  roomEvents.emit('changed');
+}
+
+function generateCode(taken) {
+  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let code;
+  do { code = Array.from({ length: 6 }, () => chars[Math.random() * chars.length | 0]).join(''); }
+  while (rooms.has(code) || taken(code));
+  return code;
+}
+
+// `taken(code)`: whether the code is in use elsewhere, so it is unique across the cluster
+function createRoom(opts, { taken = () => false } = {}) {
+  const code = generateCode(taken);
+  const mode = MODES.includes(opts.mode) ? opts.mode : 'deathmatch';
+  // Objective modes need flags/hills in the map; the arena has both
+  const map = MAPS.includes(opts.map) && mapSupportsMode(MAP_DEFS[opts.map], mode) ? opts.map : 'arena';
+  const room = {
+    code,
+    name: (opts.name || 'Room ' + code).substring(0, 30),
+    maxPlayers: Math.min(8, Math.max(2, opts.maxPlayers || 8)),
+    mode,
+    map,
+    state: 'lobby',     // lobby | countdown | playing | results
+    players: new Map(),  // socketId → player state
+    spectators: new Map(), // socketId → { id, name, net } — watch only, never in the match
+    joinInProgress: !!opts.joinInProgress && GAME_MODES[mode].lateJoin,
+    host: null,          // socket id of the player who runs the room; the creator, then the longest-present player
+    password: roomPassword(opts.password), // '' = open
+    private: !!opts.private, // hidden from the room list, joinable by code
+    bans: new Set(),     // addresses the host has banned
+    rotation: normalizeRotation(opts.rotation), // [{ mode, map }] played in turn after each match
+    rotationIndex: -1,
+    botFill: Math.max(0, Math.min(8, opts.bots | 0)), // keep the room topped up to this many players with bots
+    botDifficulty: BOT_DIFFICULTY[opts.botDifficulty] ? opts.botDifficulty : 'normal',
+    chat: [],
+    countdownTimer: 0,
+    gameTimer: 0,
+    rules: resolveRules(GAME_MODES[mode], opts), // scoreLimit, timeLimit (s), respawnDelay (s), friendlyFire
+    tickInterval: null,
+    tickStats: { count: 0, lastMs: 0, avgMs: 0, maxMs: 0, overruns: 0 },
+    createdAt: clock.now(),
+    // IMPROVEMENT #2: Per-client delta snapshots and their bandwidth
+    tick: 0,
+    netStats: null,
+    // IMPROVEMENT #6: Map feature instances
+    features: initMapFeatures(map),
+    objective: null, // ctf flags / koth hill, set up when a match starts
+    projectiles: [],  // rockets and grenades in flight
+    coop: null,       // wave, enemies and powerups in co-op modes
+    replay: null,     // ReplayRecorder while a match is playing
+    // IMPROVEMENT #10: Scoring system
+    assists: new Map(), // killerId -> victimId -> time
+  };
+  resetNetStats(room);
+  rooms.set(code, room);
+  return room;
+}
+
+function roomPassword(pw) {
+  return typeof pw === 'string' ? pw.trim().substring(0, 20) : '';
+}
+
+function normalizeRotation(list) {
+  if (!Array.isArray(list)) return [];
+  return list.slice(0, MAX_ROTATION)
+    .filter(e => e && MODES.includes(e.mode) && MAPS.includes(e.map) && mapSupportsMode(MAP_DEFS[e.map], e.mode))
+    .map(e => ({ mode: e.mode, map: e.map }));
+}
+
+// Host-editable lobby settings. Rules the host leaves out keep their current values, unless the
+// mode changes — then they start from the new mode's defaults. A map that can't host the mode
+// (objective modes need flags/hills) falls back to the current map, then the arena.
+function applyRoomSettings(room, settings = {}) {
+  const mode = MODES.includes(settings.mode) ? settings.mode : room.mode;
+  const map = [settings.map, room.map, 'arena'].find(m => MAPS.includes(m) && mapSupportsMode(MAP_DEFS[m], mode));
+  const modeChanged = mode !== room.mode;
+  room.rules = resolveRules(GAME_MODES[mode], modeChanged ? settings : { ...room.rules, ...settings });
+  const jip = typeof settings.joinInProgress === 'boolean' ? settings.joinInProgress : room.joinInProgress;
+  room.mode = mode;
+  room.joinInProgress = jip && GAME_MODES[mode].lateJoin;
+  if (map !== room.map) { room.map = map; room.features = initMapFeatures(map); }
+  if (modeChanged) {
+    for (const p of room.players.values()) p.team = null;
+    for (const p of room.players.values()) GAME_MODES[mode].onJoin(room, p);
+    if (GAME_MODES[mode].teams) balanceTeams(room);
+  }
+  if (typeof settings.name === 'string' && settings.name.trim()) room.name = settings.name.trim().substring(0, 30);
+  if (isNum(settings.maxPlayers)) room.maxPlayers = Math.min(8, Math.max(2, humanCount(room), Math.round(settings.maxPlayers)));
+  if (typeof settings.password === 'string') room.password = roomPassword(settings.password);
+  if (typeof settings.private === 'boolean') room.private = settings.private;
+  if (Array.isArray(settings.rotation)) { room.rotation = normalizeRotation(settings.rotation); room.rotationIndex = -1; }
+  if (isNum(settings.bots)) room.botFill = Math.max(0, Math.min(8, Math.round(settings.bots)));
+  if (BOT_DIFFICULTY[settings.botDifficulty]) {
+    room.botDifficulty = settings.botDifficulty;
+    for (const p of room.players.values()) if (p.bot) p.bot.difficulty = settings.botDifficulty;
+  }
+  syncBots(room);
+  return room;
+}
+
+// After a match: move on to the next rotation entry, if the host set one up
+function advanceRotation(room) {
+  if (!room.rotation.length) return null;
+  room.rotationIndex = (room.rotationIndex + 1) % room.rotation.length;
+  const next = room.rotation[room.rotationIndex];
+  applyRoomSettings(room, next);
+  return next;
+}
+
+// Two or more players, and everyone but the host (who starts it) ready
+function canStartMatch(room) {
+  if (room.state !== 'lobby' || room.players.size < 2) return false;
+  for (const [sid, p] of room.players) if (sid !== room.host && !p.ready) return false;
+  return true;
+}
+
+// The room a socket runs, or null unless it is that room's host
+function hostedRoom(sock) {
+  const room = rooms.get(sock.data.roomCode);
+  return room && room.host === sock.id ? room : null;
+}
+
+// Keeps the host among the players: the first remaining player takes over when the host leaves.
+// Returns true when the host changed.
+function ensureHost(room) {
+  if (room.matchmade || room.players.has(room.host)) return false; // matchmade rooms run themselves
+  const next = [...room.players].find(([, p]) => !p.bot); // bots never host
+  room.host = next ? next[0] : null;
+  return true;
+}
+
+// IMPROVEMENT #6: Initialize map features (hazards and moving platforms from the map file)
+function initMapFeatures(mapName) {
+  const def = MAP_DEFS[mapName] || MAP_DEFS.arena;
+  const templates = [
+    ...def.hazards.map(h => ({ type: 'hazard', ...h })),
+    ...def.platforms.map(pl => ({ type: 'platform', moving: pl.moveDist > 0, ...pl })),
+  ];
+  const features = [];
+  templates.forEach(t => {
+    const f = JSON.parse(JSON.stringify(t));
+    f.id = Math.random().toString(36).substring(7);
+    if (f.moving) f.movePhase = 0; // 0-1 for lerp
+    if (f.type === 'wall' && f.health) f.currentHealth = f.health;
+    features.push(f);
+  });
+  return features;
+}
+
+function getRoomList() {
+  const list = [];
+  for (const [code, r] of rooms) {
+    if (r.private) continue;
+    list.push({
+      code, name: r.name, mode: r.mode, map: r.map,
+      players: humanCount(r), bots: r.players.size - humanCount(r), maxPlayers: r.maxPlayers, state: r.state,
+      spectators: r.spectators.size, joinInProgress: r.joinInProgress, locked: !!r.password,
+    });
+  }
+  return list;
+}
+
+function getRoomState(room) {
+  const plist = [];
+  for (const [sid, p] of room.players) {
+    plist.push({ id: sid, nid: p.nid, name: p.name, color: p.color, hat: p.hat, skinId: p.skinId, ready: p.ready, team: p.team,
+      reconnecting: !!p.disconnected, rating: Math.round(ratingOf(p)), bot: p.bot ? p.bot.difficulty : null });
+  }
+  const spectators = [...room.spectators.values()].map(s => ({ id: s.id, name: s.name }));
+  return { code: room.code, name: room.name, mode: room.mode, map: room.map, rules: room.rules,
+    joinInProgress: room.joinInProgress, maxPlayers: room.maxPlayers, state: room.state, players: plist, spectators,
+    host: room.host, locked: !!room.password, private: room.private,
+    rotation: room.rotation, rotationIndex: room.rotationIndex, bots: room.botFill, botDifficulty: room.botDifficulty };
+}
+
+module.exports = {
+  MAX_ROTATION, rooms, roomEvents, roomsChanged, createRoom, applyRoomSettings, advanceRotation, canStartMatch,
+  hostedRoom, ensureHost, initMapFeatures, getRoomList, getRoomState,
+};
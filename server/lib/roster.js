@@ -0,0 +1,193 @@
+'use strict';
+
+// Who is in a room: joining, watching, leaving, kicks, and holding a dropped player's slot.
+// Joining a room issues a session token. When the socket drops, the player's slot (stats, team,
+// gungame level, position) stays in the room for RECONNECT_GRACE_MS; a new socket presenting the
+// token takes it back under its own id. Everything that refers to a player by socket id is re-keyed.
+const { clock } = require('./clock');
+const { io, createNetState } = require('./net');
+const { resetAmmo, getAmmoState } = require('./ammo');
+const { modeOf, lateJoin } = require('./modes');
+const { chatKey, chatHistoryFor, systemChat } = require('./chat');
+const { newPlayerState, serializePlayers, humanCount } = require('./players');
+const { syncBots } = require('./bots');
+const { rooms, roomsChanged, ensureHost, getRoomState } = require('./rooms');
+const { stopRoomTick, gameStartPayload } = require('./tick');
+
+const MAX_SPECTATORS = 8;         // per room, on top of maxPlayers
+const RECONNECT_GRACE_MS = 30000; // a dropped player's slot is held this long for them to resume
+
+function findSession(token) {
+  if (typeof token !== 'string' || !token) return null;
+  for (const room of rooms.values()) {
+    for (const [sid, p] of room.players) {
+      if (p.session === token) return { room, sid, p };
+    }
+  }
+  return null;
+}
+
+function rekeyPlayer(room, oldId, newId) {
+  // Rebuilt rather than delete/set so the roster keeps its order
+  room.players = new Map([...room.players].map(([sid, p]) => [sid === oldId ? newId : sid, p]));
+  const p = room.players.get(newId);
+  p.id = newId;
+  for (const other of room.players.values()) {
+    if (other.assists.has(oldId)) { other.assists.set(newId, other.assists.get(oldId)); other.assists.delete(oldId); }
+    if (other.seen.has(oldId)) { other.seen.set(newId, other.seen.get(oldId)); other.seen.delete(oldId); }
+  }
+  if (room.objective && room.objective.flags) {
+    for (const flag of Object.values(room.objective.flags)) if (flag.carrier === oldId) flag.carrier = newId;
+  }
+  for (const pr of room.projectiles || []) if (pr.owner === oldId) pr.owner = newId;
+  if (room.replay) room.replay.rekey(oldId, newId);
+  if (room.host === oldId) room.host = newId;
+  return p;
+}
+
+// The socket is gone but the slot is kept; the player stands where they were until they resume
+function suspendPlayer(room, sid, graceMs = RECONNECT_GRACE_MS) {
+  const p = room.players.get(sid);
+  if (!p) return;
+  p.disconnected = true;
+  p.graceTimer = clock.setTimeout(() => {
+    if (rooms.get(room.code) === room) removePlayer(room, p.id);
+  }, graceMs);
+  io.to(room.code).emit('player-reconnecting', { id: sid, name: p.name });
+  systemChat(room, `${p.name} lost connection — reconnecting…`);
+  io.to(room.code).emit('room-state', getRoomState(room));
+}
+
+function resumePlayer(room, oldId, newId, binary) {
+  const p = room.players.get(oldId);
+  clock.clearTimeout(p.graceTimer);
+  p.graceTimer = null;
+  p.disconnected = false;
+  rekeyPlayer(room, oldId, newId);
+  p.net = createNetState(binary); // the new client has no snapshot baseline
+  p.lastInputSeq = 0;
+  return p;
+}
+
+// Puts a connected socket into a room's roster (a joined player, or one placed by the matchmaker).
+// `who` is who it plays as: name, key, account, gear, rating and address (server.js's
+// playerIdentity). `onAdded(p)` runs once the player is in, before the match state is sent to them.
+function addPlayer(sock, room, who, binary, onAdded) {
+  leaveCurrentRoom(sock); // Leave any current room
+
+  const pState = newPlayerState(room, sock.id, { ...who, binary });
+  pState.rating = who.rating; // team balance
+  resetAmmo(pState);
+  syncBots(room, 1); // a bot gives up its slot, or the first human brings the room's bots in
+  modeOf(room).onJoin(room, pState);
+  room.players.set(sock.id, pState);
+  ensureHost(room);
+  sock.join(room.code);
+  sock.data.roomCode = room.code;
+
+  onAdded?.(pState);
+  sock.emit('chat-history', chatHistoryFor(room, { key: chatKey(pState), team: pState.team, chat: sock.data.chat }));
+  if (room.state === 'playing') {
+    lateJoin(room, pState);
+    sock.emit('game-start', gameStartPayload(room));
+    sock.emit('ammo', getAmmoState(pState));
+    sock.to(room.code).emit('player-joined', serializePlayers(room).find(pl => pl.id === sock.id));
+  }
+  io.to(room.code).emit('room-state', getRoomState(room));
+  systemChat(room, `${pState.name} joined`);
+  roomsChanged();
+  return pState;
+}
+
+// Spectators get every broadcast and the full game-state stream, but never touch the match.
+// `who` is as for addPlayer; `cb` answers the socket's 'join-room'.
+function addSpectator(sock, room, who, binary, cb) {
+  if (room.spectators.size >= MAX_SPECTATORS) return cb?.({ error: 'Too many spectators' });
+  leaveCurrentRoom(sock);
+  const spec = { id: sock.id, name: who.name, key: who.key, spectator: true, net: createNetState(binary),
+    address: who.address };
+  room.spectators.set(sock.id, spec);
+  sock.join(room.code);
+  sock.data.roomCode = room.code;
+
+  cb?.({ ok: true, spectator: true });
+  sock.emit('chat-history', chatHistoryFor(room, { key: chatKey(spec), team: null, chat: sock.data.chat }));
+  if (room.state === 'playing') sock.emit('game-start', gameStartPayload(room));
+  io.to(room.code).emit('room-state', getRoomState(room));
+  systemChat(room, `${spec.name} is spectating`);
+  roomsChanged();
+}
+
+// `dropped`: the connection was lost rather than the player leaving, so their slot is held
+function leaveCurrentRoom(sock, dropped = false) {
+  const code = sock.data.roomCode;
+  if (!code) return;
+  const room = rooms.get(code);
+  if (!room) return;
+
+  if (room.spectators.delete(sock.id)) {
+    sock.leave(code);
+    sock.data.roomCode = null;
+    io.to(code).emit('room-state', getRoomState(room));
+    roomsChanged();
+    return;
+  }
+
+  sock.leave(code);
+  sock.data.roomCode = null;
+  if (dropped) suspendPlayer(room, sock.id);
+  else removePlayer(room, sock.id);
+}
+
+// Host kick (or ban, by address) of a player or spectator. Returns who was removed.
+function kickFromRoom(room, id, ban, by = 'the host', reason) {
+  const target = room.players.get(id) || room.spectators.get(id);
+  if (!target) return null;
+  if (ban && target.address) room.bans.add(target.address);
+  const ts = io.socket(id);
+  if (ts && ts.data.roomCode === room.code) {
+    ts.emit('kicked', { banned: !!ban, reason });
+    leaveCurrentRoom(ts);
+  } else {
+    removePlayer(room, id); // dropped and waiting to reconnect
+  }
+  systemChat(room, `${target.name} was ${ban ? 'banned' : 'kicked'} by ${by}`);
+  return target;
+}
+
+// Final removal: an explicit leave, or a grace period that ran out. Closes the room when it empties.
+function removePlayer(room, sid) {
+  const p = room.players.get(sid);
+  if (!p) return;
+  clock.clearTimeout(p.graceTimer);
+  room.players.delete(sid);
+
+  io.to(room.code).emit('player-left', { id: sid, name: p.name });
+  systemChat(room, `${p.name} left`);
+
+  if (!humanCount(room)) {
+    closeRoom(room); // nothing left to watch (bots don't play on alone)
+  } else {
+    if (!p.bot) syncBots(room);
+    if (ensureHost(room)) systemChat(room, `${room.players.get(room.host).name} is now the host`);
+    io.to(room.code).emit('room-state', getRoomState(room));
+  }
+  roomsChanged();
+}
+
+// Ends a room outright; whoever is still in it (spectators, or everyone when an admin closes it)
+// goes back to the menu
+function closeRoom(room, reason) {
+  stopRoomTick(room);
+  rooms.delete(room.code);
+  for (const [id, member] of [...room.players, ...room.spectators]) {
+    clock.clearTimeout(member.graceTimer);
+    const s = io.socket(id);
+    if (s && s.data.roomCode === room.code) { s.leave(room.code); s.data.roomCode = null; s.emit('room-closed', { reason }); }
+  }
+}
+
+module.exports = {
+  MAX_SPECTATORS, RECONNECT_GRACE_MS, findSession, rekeyPlayer, suspendPlayer, resumePlayer, newPlayerState,
+  addPlayer, addSpectator, leaveCurrentRoom, kickFromRoom, removePlayer, closeRoom,
+};
@@ -0,0 +1,186 @@
+'use strict';
+
+// The server-authoritative loop, one per room: the countdown, every playing tick (respawns,
+// reloads, bots, projectiles, the mode's rules, rewind history) and the end of a match. It runs
+// on `clock`, so tests can step a match tick by tick. What the server does around a match comes in
+// `hooks`, given to startCountdown; each one is optional:
+//   onTick(room, now)                 every playing tick, once everyone's pose is recorded
+//   onEnd(room, winner, scoreboard)   the match is over (careers, the replay file)
+//   onTickTime(room, ms)              how long a tick took
+const { clock } = require('./clock');
+const { TICK_MS } = require('./constants');
+const { MAX_MOVE_BUDGET, resetMovement } = require('./physics');
+const { io, broadcast, NET_SCHEMA, createNetState, resetNetStats, broadcastGameState } = require('./net');
+const { resetAmmo, finishReload, getAmmoState } = require('./ammo');
+const { modeOf, publicObjective, updateMapFeatures } = require('./modes');
+const { updateProjectiles } = require('./projectiles');
+const { ReplayRecorder } = require('./replays');
+const { systemChat } = require('./chat');
+const { serializePlayers } = require('./players');
+const { syncBots, updateBots } = require('./bots');
+const { rooms, roomsChanged, advanceRotation, getRoomState } = require('./rooms');
+
+const SPAWN_PROTECTION_TIME = 2; // seconds
+
+function startCountdown(room, hooks = {}, seconds = 3) {
+  room.state = 'countdown';
+  room.countdownTimer = seconds;
+  startRoomTick(room, hooks);
+  io.to(room.code).emit('room-state', getRoomState(room));
+}
+
+function startRoomTick(room, hooks = {}) {
+  if (room.tickInterval) return;
+  room.tickInterval = clock.setInterval(() => {
+    const start = process.hrtime.bigint();
+    roomTick(room, hooks);
+    hooks.onTickTime?.(room, Number(process.hrtime.bigint() - start) / 1e6);
+  }, TICK_MS);
+}
+
+function stopRoomTick(room) {
+  if (room.tickInterval) { clock.clearInterval(room.tickInterval); room.tickInterval = null; }
+}
+
+function roomTick(room, hooks = {}) {
+  if (room.state === 'countdown') {
+    room.countdownTimer -= TICK_MS / 1000;
+    if (room.countdownTimer <= 0) {
+      room.state = 'playing';
+      room.gameTimer = room.rules.timeLimit;
+      room.objective = null;
+      room.projectiles = [];
+      room.coop = null;
+      room.replay = new ReplayRecorder(room);
+      const mode = modeOf(room);
+      mode.onStart(room);
+      // Spawn all players (IMPROVEMENT #9: with spawn protection)
+      for (const [sid, p] of room.players) {
+        resetMovement(p, mode.onSpawn(room, p, true));
+        p.lastInputSeq = 0;
+        p.net = createNetState(p.net.binary);
+        p.hp = 100; p.alive = true; p.kills = 0; p.deaths = 0; p.score = 0;
+        p.lastShot = 0; p.respawnTimer = 0;
+        resetAmmo(p);
+        // IMPROVEMENT #9: Spawn protection invulnerability
+        p.spawnProtectionTimer = SPAWN_PROTECTION_TIME;
+        // IMPROVEMENT #2: Position history for latency compensation
+        p.history.clear();
+        p.assists = new Map();
+        p.headshots = 0;
+        p.killStreak = 0;
+        p.bestStreak = 0;
+        p.assistCount = 0;
+        p.captures = 0;
+        p.startKills = 0;
+        p.aim = null;
+        p.seen.clear();
+      }
+      for (const s of room.spectators.values()) s.net = createNetState(s.net.binary);
+      resetNetStats(room);
+      io.to(room.code).emit('game-start', gameStartPayload(room));
+      for (const [sid, p] of room.players) io.to(sid).emit('ammo', getAmmoState(p));
+    } else {
+      io.to(room.code).emit('countdown', Math.ceil(room.countdownTimer));
+    }
+    return;
+  }
+
+  if (room.state !== 'playing') return;
+
+  room.gameTimer -= TICK_MS / 1000;
+  room.tick++;
+  
+  // IMPROVEMENT #6: Update moving platforms and hazards
+  updateMapFeatures(room, TICK_MS / 1000);
+
+  const mode = modeOf(room);
+
+  // IMPROVEMENT #3: Physics simulation and respawn timers
+  for (const [sid, p] of room.players) {
+    if (!p.alive) {
+      p.respawnTimer -= TICK_MS / 1000;
+      if (p.respawnTimer <= 0) {
+        resetMovement(p, mode.onSpawn(room, p, false));
+        p.hp = 100; p.alive = true;
+        p.killStreak = 0; // however they died, the streak ends
+        p.spawnProtectionTimer = SPAWN_PROTECTION_TIME;
+        resetAmmo(p);
+        broadcast(room, 'player-respawn', { id: sid, x: p.x, y: p.y, z: p.z, weapon: p.weapon, spawnProtected: true });
+        io.to(sid).emit('ammo', getAmmoState(p));
+      }
+    }
+
+    // Timed reloads
+    if (p.reloading) {
+      if (!p.alive) {
+        p.reloading = null;
+      } else {
+        p.reloading.timer -= TICK_MS / 1000;
+        if (p.reloading.timer <= 0) {
+          finishReload(p);
+          io.to(sid).emit('ammo', getAmmoState(p));
+        }
+      }
+    }
+    
+    // Movement itself runs on 'input'; the tick only banks the real time inputs may spend
+    if (p.alive) {
+      p.moveBudget = Math.min(MAX_MOVE_BUDGET, p.moveBudget + TICK_MS / 1000);
+    }
+    
+    // Spawn protection cooldown
+    if (p.spawnProtectionTimer > 0) {
+      p.spawnProtectionTimer -= TICK_MS / 1000;
+    }
+  }
+  updateBots(room, TICK_MS / 1000);
+
+  updateProjectiles(room, TICK_MS / 1000);
+  mode.onTick(room, TICK_MS / 1000);
+
+  // IMPROVEMENT #2: Record every player's pose each tick for hit rewinds
+  const now = clock.now();
+  for (const p of room.players.values()) p.history.record(now, p);
+  hooks.onTick?.(room, now);
+  if (room.replay) room.replay.frame(room);
+
+  // Score limit, or the leader once time runs out
+  const winner = mode.checkWin(room, room.gameTimer <= 0);
+  if (winner) {
+    endGame(room, winner, hooks);
+    return;
+  }
+
+  // IMPROVEMENT #5: Per-client delta snapshots (see lib/net.js)
+  broadcastGameState(room);
+}
+
+function endGame(room, winner, hooks = {}) {
+  room.state = 'results';
+  stopRoomTick(room);
+  const scoreboard = modeOf(room).scoreboard(room);
+  io.to(room.code).emit('game-over', { winner, scoreboard, objective: publicObjective(room) });
+  hooks.onEnd?.(room, winner, scoreboard);
+
+  // Return to lobby after 10 seconds
+  clock.setTimeout(() => {
+    if (!rooms.has(room.code)) return;
+    room.state = 'lobby';
+    for (const p of room.players.values()) { p.ready = !!p.bot; }
+    const next = advanceRotation(room);
+    syncBots(room); // bots only join in the lobby, so gaps left mid-match fill now
+    io.to(room.code).emit('room-state', getRoomState(room));
+    if (next) systemChat(room, `Next up: ${next.mode} on ${next.map}`);
+    roomsChanged(); // the rotation, or the bots that came and went, change the room list
+  }, 10000);
+}
+
+function gameStartPayload(room) {
+  return { map: room.map, mode: room.mode, players: serializePlayers(room), netSchema: NET_SCHEMA,
+    rules: room.rules, objective: publicObjective(room) };
+}
+
+module.exports = {
+  SPAWN_PROTECTION_TIME, startCountdown, startRoomTick, stopRoomTick, roomTick, endGame, gameStartPayload,
+};
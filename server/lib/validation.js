@@ -0,0 +1,83 @@
+'use strict';
+
+// Server-side checks on what clients report: fire rate, hitscan rays and lag compensation
+const { clock } = require('./clock');
+const { TICK_MS, REPLAY_WINDOW_MS, POSITION_HISTORY_MS, WEAPONS } = require('./constants');
+const { traceShot } = require('./maps');
+
+// IMPROVEMENT #2: Latency compensation — timestamped per-player positions, recorded every tick
+class PositionHistory {
+  constructor(windowMs = POSITION_HISTORY_MS) {
+    this.windowMs = windowMs;
+    this.entries = []; // { time, x, y, z, alive }, oldest first
+  }
+
+  record(time, p) {
+    this.entries.push({ time, x: p.x, y: p.y, z: p.z, alive: p.alive });
+    // Keep one entry older than the window so sampling at its edge can still interpolate
+    while (this.entries.length > 2 && this.entries[1].time <= time - this.windowMs) this.entries.shift();
+  }
+
+  // Pose at `time`, interpolated between the surrounding ticks and clamped to the recorded range
+  sample(time) {
+    const e = this.entries;
+    if (!e.length) return null;
+    if (time <= e[0].time) return { ...e[0] };
+    for (let i = e.length - 1; i > 0; i--) {
+      const a = e[i - 1], b = e[i];
+      if (time >= b.time) return { ...b };
+      if (time >= a.time) {
+        const t = (time - a.time) / (b.time - a.time);
+        return {
+          time,
+          x: a.x + (b.x - a.x) * t,
+          y: a.y + (b.y - a.y) * t,
+          z: a.z + (b.z - a.z) * t,
+          alive: a.alive && b.alive, // never rewind onto a death/respawn teleport
+        };
+      }
+    }
+    return { ...e[0] };
+  }
+
+  clear() { this.entries = []; }
+}
+
+// The weapon slot a client packet names, or null unless it is a whole index into WEAPONS
+function weaponIndex(data) {
+  if (!data || typeof data !== 'object') return null;
+  return Number.isInteger(data.weapon) && data.weapon >= 0 && data.weapon < WEAPONS.length ? data.weapon : null;
+}
+
+function validateFireRate(p, weaponIdx) {
+  const w = WEAPONS[weaponIdx];
+  if (!w) return false;
+  const now = clock.now() / 1000;
+  if (now - p.lastShot < w.rate * 0.8) return false; // 80% tolerance
+  p.lastShot = now;
+  return true;
+}
+
+// IMPROVEMENT #1: Raycasting hit validation
+// IMPROVEMENT #8: Anti-cheat hitscan validation — full 3D ray against the victim's
+// head/body volumes and the map's walls. The server, not the client, decides headshots.
+function validateHitWithRaycast(attacker, victim, weaponIdx, attackDir, map = 'arena') {
+  const w = WEAPONS[weaponIdx];
+  if (!w || !attackDir) return null;
+  const dir = { x: attackDir.dx || 0, y: attackDir.dy || 0, z: attackDir.dz || 0 };
+  return traceShot(map, { x: attacker.x, y: attacker.y, z: attacker.z }, dir, victim, w.range * 1.2);
+}
+
+// IMPROVEMENT #2: When the attacker fired, they saw the victim as of half a round trip
+// ago plus one tick of client-side interpolation. Rewind at most REPLAY_WINDOW_MS.
+function estimateViewTime(rtt, now) {
+  return now - Math.min(REPLAY_WINDOW_MS, (rtt || 0) / 2 + TICK_MS);
+}
+
+function getLagCompensatedPose(victim, rtt, now) {
+  return victim.history.sample(estimateViewTime(rtt, now)) || victim;
+}
+
+module.exports = {
+  PositionHistory, weaponIndex, validateFireRate, validateHitWithRaycast, estimateViewTime, getLagCompensatedPose,
+};
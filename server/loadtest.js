@@ -0,0 +1,56 @@
+'use strict';
+
+// Load test without a browser: fills rooms with bots, runs their matches on the real tick loop
+// and reports tick times. Nothing is listened on and nothing is written to disk.
+//
+//   node loadtest.js [--rooms 10] [--bots 8] [--seconds 30] [--mode deathmatch] [--map arena] [--difficulty hard]
+
+const {
+  rooms, TICK_MS, metrics, createRoom, syncBots, startCountdown, closeRoom,
+  MemoryStatsStore, setStatsStore, setReplayStore,
+} = require('./server');
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > 0 && process.argv[i + 1] !== undefined ? process.argv[i + 1] : fallback;
+}
+
+const roomCount = Math.max(1, parseInt(option('rooms', 10), 10) || 1);
+const seconds = Math.max(1, Number(option('seconds', 30)) || 1);
+const opts = {
+  mode: option('mode', 'deathmatch'), map: option('map', 'arena'),
+  bots: parseInt(option('bots', 8), 10) || 2, botDifficulty: option('difficulty', 'hard'),
+  maxPlayers: 8, scoreLimit: 1000, timeLimit: 3600, // nobody wins before we're done
+};
+
+setStatsStore(new MemoryStatsStore());
+setReplayStore({ save() {} });
+
+const started = [];
+for (let i = 0; i < roomCount; i++) {
+  const room = createRoom({ ...opts, name: `Load test ${i + 1}` });
+  syncBots(room);
+  startCountdown(room, 0);
+  started.push(room);
+}
+const bots = started.reduce((n, r) => n + r.players.size, 0);
+console.log(`${roomCount} ${started[0].mode} rooms on ${started[0].map}, ${bots} ${opts.botDifficulty} bots, ${seconds}s`);
+
+const cpuStart = process.cpuUsage();
+const ticksStart = metrics.ticks;
+setTimeout(() => {
+  const cpu = process.cpuUsage(cpuStart);
+  const ticks = metrics.ticks - ticksStart;
+  for (const room of started) {
+    const t = room.tickStats;
+    const kills = [...room.players.values()].reduce((n, p) => n + p.kills, 0);
+    console.log(`  ${room.code}  ${room.state.padEnd(9)} avg ${t.avgMs.toFixed(2)}ms  max ${t.maxMs.toFixed(2)}ms  ` +
+      `overruns ${t.overruns}  kills ${kills}`);
+  }
+  const worst = Math.max(...started.map(r => r.tickStats.maxMs));
+  console.log(`ticks ${ticks} (${(ticks / seconds / roomCount).toFixed(1)}/s per room, target ${1000 / TICK_MS})  ` +
+    `worst ${worst.toFixed(2)}ms  overruns ${metrics.tickOverruns}  ` +
+    `cpu ${((cpu.user + cpu.system) / 1e4 / seconds).toFixed(0)}%  rss ${Math.round(process.memoryUsage().rss / 1048576)}MB`);
+  for (const room of started) if (rooms.has(room.code)) closeRoom(room);
+  process.exit(metrics.tickOverruns ? 1 : 0);
+}, seconds * 1000);
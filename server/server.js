@@ -8,634 +8,1572 @@
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
+const { Adapter } = require('socket.io-adapter');
+const { RedisAdapter } = require('@socket.io/redis-adapter');
+const { createClient } = require('redis');
 const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+// Game logic that stands on its own; see lib/ (rooms and the tick loop run on `clock`, and send through `io`)
+const { clock } = require('./lib/clock');
+const { TICK_MS, REPLAY_WINDOW_MS, WEAPONS } = require('./lib/constants');
+const {
+  isNum, validateMap, loadMaps, MAP_DEFS, MAPS, publicMap, mapSupportsMode, normalize, hasLineOfSight, traceShot,
+} = require('./lib/maps');
+const {
+  MAX_INPUTS_PER_PACKET, INPUT_KEYS, sanitizeInput, resetMovement, simulateMove, spendMoveBudget, aimVector,
+} = require('./lib/physics');
+const {
+  PositionHistory, weaponIndex, validateFireRate, validateHitWithRaycast, estimateViewTime, getLagCompensatedPose,
+} = require('./lib/validation');
+const {
+  useIo, NET_SCHEMA, createNetState, acknowledgeSnapshot, buildSnapshot, encodeSnapshot, decodeSnapshot,
+  resetNetStats, broadcastGameState, getBandwidthStats,
+} = require('./lib/net');
+const { getAmmoState, canReload, consumeAmmo, grantShotCredits, useShotCredit } = require('./lib/ammo');
+const { DEFAULT_RATING, DEFAULT_RD, rateMatch } = require('./lib/ratings');
+const {
+  isTeamMode, initObjective, publicObjective, updateObjective, GAME_MODES, MODES, modeOf, resolveRules,
+  getTeam, balanceTeams, lateJoin, applyDamage, killPlayer, applyHit,
+  ENEMY_TYPES, isUp, startWave, spawnEnemy, updateEnemy, damageEnemy, traceEnemy, updateWaves,
+  movePlayer,
+} = require('./lib/modes');
+const {
+  CHAT_MAX_LEN, CHAT_BURST, CHAT_STRIKES, setChatFilter, filterChat, createChatState, refillBucket, checkChatRate,
+  chatKey, chatVisibleTo, systemChat, sendChat, chatHistoryFor,
+} = require('./lib/chat');
+const { GRENADE_COOLDOWN, spawnProjectile, launchOrigin, updateProjectiles, detonate } = require('./lib/projectiles');
+const { ReplayRecorder } = require('./lib/replays');
+const { newPlayerState, humanCount } = require('./lib/players');
+const {
+  BOT_DIFFICULTY, findPath, botKeys, addBot, syncBots, botFire, updateBot, updateBots,
+} = require('./lib/bots');
+const {
+  rooms, roomEvents, roomsChanged, createRoom, applyRoomSettings, advanceRotation, canStartMatch, hostedRoom,
+  ensureHost, getRoomList, getRoomState,
+} = require('./lib/rooms');
+const { startCountdown, gameStartPayload } = require('./lib/tick');
+const {
+  RECONNECT_GRACE_MS, findSession, rekeyPlayer, suspendPlayer, resumePlayer,
+  addPlayer, addSpectator, leaveCurrentRoom, kickFromRoom, removePlayer, closeRoom,
+} = require('./lib/roster');
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, { cors: { origin: '*' } });
+useIo(io);
 
 const PORT = process.env.PORT || 3000;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const TRUST_PROXY = Math.max(0, parseInt(process.env.TRUST_PROXY, 10) || 0); // proxies in front of us, see clientAddress
+
+app.set('trust proxy', TRUST_PROXY);
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Room code route — serves the same client
+// Room code route — serves the same client, or sends the link on to the instance running the room
 app.get('/room/:code', (req, res) => {
+  const owner = roomOwner(req.params.code.toUpperCase());
+  if (owner) return res.redirect(302, `${owner.url}/room/${encodeURIComponent(req.params.code)}`);
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
 // ============================================================
 //  CONSTANTS & CONFIGURATION
 // ============================================================
-const TICK_RATE = 20;
-const TICK_MS = 1000 / TICK_RATE;
-const MAX_SPEED = 14;           // max units/s for anti-cheat
 const MAX_ROOMS = 100;
-const MAPS = ['arena'];
-const MODES = ['deathmatch', 'team-deathmatch', 'gungame'];
-
-// Latency compensation: replay window in ms (100-200ms) — OPTIMIZED to 100ms
-const REPLAY_WINDOW_MS = 100;
-
-// Weapon definitions (mirrored from client for server-authoritative hit validation)
-// IMPROVEMENT #4: Updated weapon balance - Sniper dmg 100, tighter SMG spread, rocket splash
-const WEAPONS = [
-  { name: 'PISTOL',  dmg: 20,  rate: 0.3,  range: 80,  spread: 0,     bullets: 1, explosive: false, melee: false, splashRadius: 0 },
-  { name: 'SHOTGUN', dmg: 12,  rate: 0.7,  range: 40,  spread: 0.08,  bullets: 6, explosive: false, melee: false, splashRadius: 0 },
-  { name: 'SMG',     dmg: 10,  rate: 0.08, range: 60,  spread: 0.025, bullets: 1, explosive: false, melee: false, splashRadius: 0 }, // tighter spread
-  { name: 'ROCKET',  dmg: 80,  rate: 1.0,  range: 100, spread: 0,     bullets: 1, explosive: true,  melee: false, splashRadius: 8 }, // splash damage
-  { name: 'SNIPER',  dmg: 100, rate: 1.5,  range: 150, spread: 0,     bullets: 1, explosive: false, melee: false, splashRadius: 0 }, // reduced from 120 to 100
-  { name: 'KNIFE',   dmg: 50,  rate: 0.25, range: 3,   spread: 0,     bullets: 0, explosive: false, melee: true,  splashRadius: 0 },
-];
 
-const GUN_GAME_ORDER = [3, 1, 2, 0, 4, 5]; // rocket→shotgun→SMG→pistol→sniper→knife
+const RTT_PROBE_MS = 2000;        // how often the server measures each socket's round trip
 
-// IMPROVEMENT #3: Physics constants
-const GRAVITY = 20;           // units/s²
-const JUMP_POWER = 8;         // initial vertical velocity
-const FALL_DAMAGE_THRESHOLD = 15; // damage multiplier for fall height
-const SPAWN_PROTECTION_TIME = 2; // seconds
 
-// Spawn points per map (IMPROVEMENT #9: spawn protection zones)
-const SPAWN_POINTS = {
-  arena:     [[-30,0,-30],[30,0,30],[30,0,-30],[-30,0,30],[0,0,-35],[0,0,35],[-35,0,0],[35,0,0]],
-};
 
-// IMPROVEMENT #6: Map features (hazards, platforms)
-const MAP_FEATURES = {
-  arena: [
-    { type: 'hazard', x: 0, z: 0, radius: 8, damage: 5, name: 'LAVA' },
-    { type: 'platform', x: -20, z: 20, width: 6, depth: 6, moving: true, moveDist: 15, moveDuration: 4 },
-  ],
-};
+// ============================================================
+//  MAPS — JSON definitions in server/maps, shared with the client via /maps
+// ============================================================
+// Loading, validation and the ray tests live in lib/maps.js
+app.get('/maps', (req, res) => {
+  res.json(MAPS.map(name => publicMap(MAP_DEFS[name])));
+});
+
+app.get('/maps/:name', (req, res) => {
+  // An own key only: '__proto__' and 'constructor' aren't maps
+  if (!Object.hasOwn(MAP_DEFS, req.params.name)) return res.status(404).json({ error: 'Map not found' });
+  const def = MAP_DEFS[req.params.name];
+  res.json(publicMap(def));
+});
 
 // ============================================================
-//  DATA STRUCTURES
+//  STATS STORE — career stats and leaderboards across matches
 // ============================================================
-/** @type {Map<string, Room>} */
-const rooms = new Map();
+// A store implements recordMatch(match), getLeaderboard({ mode, sort, limit }), getPlayer(name),
+// getRating(name) (see RATINGS below) and getProfile(name) (see PROGRESSION). MemoryStatsStore keeps everything in process; FileStatsStore
+// (the default) persists it to STATS_FILE so leaderboards survive restarts. Records are filed under a
+// line's `key` when it has one (an account, see ACCOUNTS) and its name otherwise.
+const STATS_FILE = process.env.STATS_FILE || path.join(__dirname, 'data', 'stats.json');
+const STAT_FIELDS = ['matches', 'wins', 'kills', 'deaths', 'headshots', 'assists'];
+const LEADERBOARD_SORTS = ['kills', 'wins', 'headshots', 'assists', 'bestStreak', 'kd'];
+const RECENT_MATCHES = 20; // per player
+
+function statKey(name) {
+  return String(name).trim().toLowerCase();
+}
 
-/** @type {Map<string, PlayerSocket>} */
-const players = new Map(); // socketId → player data
+function emptyStats() {
+  const s = { bestStreak: 0 };
+  for (const f of STAT_FIELDS) s[f] = 0;
+  return s;
+}
 
-// Online player counter
-let totalPlayersOnline = 0;
+function addStats(total, line) {
+  for (const f of STAT_FIELDS) total[f] += line[f];
+  total.bestStreak = Math.max(total.bestStreak, line.bestStreak);
+}
 
-// IMPROVEMENT #2: Client-side prediction replay buffer — OPTIMIZED for performance
-class ReplayBuffer {
-  constructor(maxEntries = 5) {
-    this.maxEntries = maxEntries;
-    this.entries = [];
-    this.lastServerTime = 0;
+function withRatio(s) {
+  return { ...s, kd: s.deaths ? +(s.kills / s.deaths).toFixed(2) : s.kills };
+}
+
+// Records live in a Map: keys are names players pick, so '__proto__' must be just another name
+class MemoryStatsStore {
+  constructor(data) {
+    this.players = new Map(Object.entries((data && data.players) || {}));
   }
-  
-  add(time, state) {
-    this.entries.push({ time, state: JSON.parse(JSON.stringify(state)) });
-    if (this.entries.length > this.maxEntries) this.entries.shift();
-    this.lastServerTime = time;
+
+  // match: { mode, map, endedAt, players: [{ name, key?, kills, deaths, headshots, assists, bestStreak, won, rating?, rd?, xp? }] }
+  recordMatch(match) {
+    const keys = [];
+    for (const line of match.players) {
+      const key = statKey(line.key || line.name);
+      if (!key) continue;
+      keys.push(key);
+      if (!this.players.has(key)) this.players.set(key, { name: line.name, ...emptyStats(), modes: {}, recent: [] });
+      const rec = this.players.get(key);
+      const entry = { matches: 1, wins: line.won ? 1 : 0, kills: line.kills, deaths: line.deaths,
+        headshots: line.headshots, assists: line.assists, bestStreak: line.bestStreak };
+      rec.name = line.name; // keep the latest capitalisation
+      if (isNum(line.rating)) { rec.rating = line.rating; rec.rd = line.rd; }
+      addStats(rec, entry);
+      addStats(rec.modes[match.mode] || (rec.modes[match.mode] = emptyStats()), entry);
+      awardProgress(rec, line);
+      rec.recent.unshift({ mode: match.mode, map: match.map, endedAt: match.endedAt, won: line.won,
+        kills: line.kills, deaths: line.deaths, headshots: line.headshots, assists: line.assists });
+      rec.recent.length = Math.min(rec.recent.length, RECENT_MATCHES);
+    }
+    this.changed(keys);
   }
-  
-  getAtTime(time) {
-    // Find closest entry before or at the given time
-    for (let i = this.entries.length - 1; i >= 0; i--) {
-      if (this.entries[i].time <= time) return this.entries[i].state;
+
+  getLeaderboard({ mode, sort = 'kills', limit = 10 } = {}) {
+    const rows = [];
+    for (const rec of this.players.values()) {
+      const s = mode ? rec.modes[mode] : rec;
+      if (s) rows.push({ name: rec.name, ...withRatio(s) });
     }
-    return this.entries[0]?.state;
+    const key = LEADERBOARD_SORTS.includes(sort) ? sort : 'kills';
+    rows.sort((a, b) => b[key] - a[key] || b.kills - a.kills || a.name.localeCompare(b.name));
+    return rows.slice(0, limit).map(({ modes, recent, ...row }) => row);
   }
-  
-  clear() { this.entries = []; }
-}
-
-function generateCode() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-  let code;
-  do { code = Array.from({ length: 6 }, () => chars[Math.random() * chars.length | 0]).join(''); }
-  while (rooms.has(code));
-  return code;
-}
-
-function createRoom(opts) {
-  const code = generateCode();
-  const room = {
-    code,
-    name: (opts.name || 'Room ' + code).substring(0, 30),
-    maxPlayers: Math.min(8, Math.max(2, opts.maxPlayers || 8)),
-    mode: MODES.includes(opts.mode) ? opts.mode : 'deathmatch',
-    map: MAPS.includes(opts.map) ? opts.map : 'arena',
-    state: 'lobby',     // lobby | countdown | playing | results
-    players: new Map(),  // socketId → player state
-    chat: [],
-    countdownTimer: 0,
-    gameTimer: 0,
-    timeLimit: 600,      // 10 minutes
-    scoreLimit: 30,
-    tickInterval: null,
-    createdAt: Date.now(),
-    // IMPROVEMENT #2: Delta state tracking — OPTIMIZED: send full state less frequently
-    lastFullStateTick: 0,
-    deltaInterval: 5, // send full state every 5 ticks (reduced update frequency)
-    // IMPROVEMENT #6: Map feature instances
-    features: initMapFeatures(opts.map || 'arena'),
-    // IMPROVEMENT #10: Scoring system
-    assists: new Map(), // killerId -> victimId -> time
-  };
-  rooms.set(code, room);
-  return room;
-}
-
-// IMPROVEMENT #6: Initialize map features
-function initMapFeatures(mapName) {
-  const templates = MAP_FEATURES[mapName] || [];
-  const features = [];
-  templates.forEach(t => {
-    const f = JSON.parse(JSON.stringify(t));
-    f.id = Math.random().toString(36).substring(7);
-    if (f.moving) f.movePhase = 0; // 0-1 for lerp
-    if (f.type === 'wall' && f.health) f.currentHealth = f.health;
-    features.push(f);
+
+  getPlayer(name) {
+    const rec = this.players.get(statKey(name));
+    if (!rec) return null;
+    const modes = {};
+    for (const [m, s] of Object.entries(rec.modes)) modes[m] = withRatio(s);
+    const { modes: _, recent, ...totals } = rec;
+    return { ...withRatio(totals), modes, recent };
+  }
+
+  getRating(name) {
+    const rec = this.players.get(statKey(name));
+    return rec && isNum(rec.rating) ? { rating: rec.rating, rd: rec.rd } : { rating: DEFAULT_RATING, rd: DEFAULT_RD };
+  }
+
+  getProfile(name) {
+    const rec = this.players.get(statKey(name));
+    return { name: rec ? rec.name : String(name).trim(), xp: (rec && rec.xp) || 0, achievements: (rec && rec.achievements) || [] };
+  }
+
+  // Raw records by key, for sharing them between instances (see CLUSTER)
+  records() {
+    return this.players.entries();
+  }
+
+  record(key) {
+    return this.players.get(key) || null;
+  }
+
+  // Other instances' copies of records, as [key, record] pairs
+  put(records) {
+    for (const [key, rec] of records) this.players.set(key, rec);
+    this.save();
+  }
+
+  // After every change: written out (FileStatsStore) and passed to the other instances (CLUSTER)
+  changed(keys) {
+    this.save();
+    this.onChange?.(keys);
+  }
+
+  save() {}
+
+  toJSON() {
+    return { players: Object.fromEntries(this.players) };
+  }
+}
+
+// Writes through a temp file, so a crash never leaves half a file behind
+async function writeFileAtomic(file, data) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(`${file}.tmp`, data);
+  await fs.promises.rename(`${file}.tmp`, file);
+}
+
+class FileStatsStore extends MemoryStatsStore {
+  constructor(file) {
+    let data = null;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[stats] could not read ${file}: ${err.message}`);
+    }
+    super(data);
+    this.file = file;
+    this.writing = Promise.resolve();
+  }
+
+  // Writes are chained, so an older snapshot never lands on top of a newer one
+  save() {
+    const json = JSON.stringify(this);
+    this.writing = this.writing.then(() => writeFileAtomic(this.file, json))
+      .catch(err => console.error(`[stats] could not write ${this.file}: ${err.message}`));
+    return this.writing;
+  }
+}
+
+let statsStore = new FileStatsStore(STATS_FILE);
+
+function setStatsStore(store) {
+  statsStore = store;
+}
+
+function parseLimit(q) {
+  const n = parseInt(q, 10);
+  return Number.isFinite(n) ? Math.max(1, Math.min(100, n)) : 10;
+}
+
+app.get('/api/leaderboard', (req, res) => {
+  res.json(statsStore.getLeaderboard({ sort: req.query.sort, limit: parseLimit(req.query.limit) }));
+});
+
+app.get('/api/leaderboard/:mode', (req, res) => {
+  if (!MODES.includes(req.params.mode)) return res.status(404).json({ error: 'Unknown mode' });
+  res.json(statsStore.getLeaderboard({ mode: req.params.mode, sort: req.query.sort, limit: parseLimit(req.query.limit) }));
+});
+
+app.get('/api/players/:name', (req, res) => {
+  const stats = statsStore.getPlayer(statsKeyForName(req.params.name));
+  if (!stats) return res.status(404).json({ error: 'Player not found' });
+  res.json(stats);
+});
+
+// ============================================================
+//  RATINGS — skill estimates for matchmaking and team balance
+// ============================================================
+// The rating math is lib/ratings.js; what a match result means for it is decided here.
+
+// Finishing places from endGame's result: winners 0 and losers 1 in team modes (all level on a
+// draw); scoreboard order otherwise, with identical lines sharing a place
+function matchPlaces(room, winner, scoreboard) {
+  const places = new Map();
+  if (isTeamMode(room.mode)) {
+    for (const [sid, p] of room.players) places.set(sid, winner && winner.type === 'team' && p.team !== winner.team ? 1 : 0);
+    return places;
+  }
+  scoreboard.forEach((row, i) => {
+    const prev = scoreboard[i - 1];
+    places.set(row.id, prev && prev.score === row.score && prev.kills === row.kills ? places.get(prev.id) : i);
   });
-  return features;
+  return places;
 }
 
-function getRandomSpawn(map) {
-  const pts = SPAWN_POINTS[map] || SPAWN_POINTS.arena;
-  const p = pts[Math.random() * pts.length | 0];
-  return { x: p[0] + (Math.random() - 0.5) * 4, y: 1.6, z: p[2] + (Math.random() - 0.5) * 4 };
+// ============================================================
+//  PROGRESSION — XP, levels, achievements and the cosmetics they unlock
+// ============================================================
+// Every match pays XP from the scoreboard stats already tracked (score, headshots, best kill
+// streak) plus a win bonus. XP and achievements live on the stats-store record, so a profile is
+// whatever the store knows about a name. Cosmetics unlock at a level or with an achievement;
+// joining a room equips only what the profile owns, anything else falls back to the default.
+const XP_MATCH = 20;       // for playing a match out
+const XP_WIN = 50;
+const XP_PER_SCORE = 2;
+const XP_PER_HEADSHOT = 5;
+const XP_PER_STREAK = 10;  // per kill of the best streak past 2
+const LEVEL_XP = 100;      // level n → n + 1 costs n × LEVEL_XP
+const MAX_LEVEL = 50;
+const DEFAULT_COLOR = '#00ffff';
+
+// `career` is the stats record after the match is added; `line` the match itself
+const ACHIEVEMENTS = [
+  { id: 'first-blood', name: 'First Blood', desc: 'Get your first kill', test: career => career.kills >= 1 },
+  { id: 'headhunter', name: 'Headhunter', desc: '5 headshots in one match', test: (career, line) => line.headshots >= 5 },
+  { id: 'rampage', name: 'Rampage', desc: 'A 10-kill streak', test: (career, line) => line.bestStreak >= 10 },
+  { id: 'sharpshooter', name: 'Sharpshooter', desc: '100 career headshots', test: career => career.headshots >= 100 },
+  { id: 'team-player', name: 'Team Player', desc: '100 career assists', test: career => career.assists >= 100 },
+  { id: 'veteran', name: 'Veteran', desc: 'Play 50 matches', test: career => career.matches >= 50 },
+  { id: 'champion', name: 'Champion', desc: 'Win 25 matches', test: career => career.wins >= 25 },
+];
+
+// The first entry of each slot is the free default
+const COSMETICS = {
+  hat: [
+    { id: 'none', name: 'None' },
+    { id: 'tophat', name: 'Top Hat', level: 3 },
+    { id: 'horns', name: 'Devil Horns', level: 8 },
+    { id: 'halo', name: 'Halo', achievement: 'team-player' },
+    { id: 'crown', name: 'Crown', achievement: 'champion' },
+  ],
+  skin: [
+    { id: 'default', name: 'Standard' },
+    { id: 'stripes', name: 'Stripes', level: 5 },
+    { id: 'chrome', name: 'Chrome', level: 12 },
+    { id: 'glitch', name: 'Glitch', level: 20 },
+    { id: 'gold', name: 'Gold', achievement: 'sharpshooter' },
+  ],
+  effect: [
+    { id: 'default', name: 'Shatter' },
+    { id: 'confetti', name: 'Confetti', achievement: 'first-blood' },
+    { id: 'pixels', name: 'Pixels', level: 10 },
+    { id: 'lightning', name: 'Lightning', achievement: 'headhunter' },
+    { id: 'inferno', name: 'Inferno', achievement: 'rampage' },
+  ],
+};
+
+function matchXp({ score = 0, headshots = 0, bestStreak = 0, won = false }) {
+  return XP_MATCH + (won ? XP_WIN : 0) + Math.max(0, score) * XP_PER_SCORE + headshots * XP_PER_HEADSHOT
+    + Math.max(0, bestStreak - 2) * XP_PER_STREAK;
 }
 
-function getRoomList() {
-  const list = [];
-  for (const [code, r] of rooms) {
-    list.push({
-      code, name: r.name, mode: r.mode, map: r.map,
-      players: r.players.size, maxPlayers: r.maxPlayers, state: r.state,
-    });
+// XP needed to reach `level` from nothing
+function levelStartXp(level) {
+  return LEVEL_XP * (level - 1) * level / 2;
+}
+
+function levelForXp(xp) {
+  let level = 1;
+  while (level < MAX_LEVEL && xp >= levelStartXp(level + 1)) level++;
+  return level;
+}
+
+// Adds a match to a stats record's XP and achievements; returns the achievement ids it earned
+function awardProgress(rec, line) {
+  rec.xp = (rec.xp || 0) + (line.xp || 0);
+  rec.achievements = rec.achievements || [];
+  const earned = ACHIEVEMENTS.filter(a => !rec.achievements.includes(a.id) && a.test(rec, line)).map(a => a.id);
+  rec.achievements.push(...earned);
+  return earned;
+}
+
+function ownsCosmetic(profile, slot, id) {
+  const item = (COSMETICS[slot] || []).find(c => c.id === id);
+  if (!item) return false;
+  if (item.level && levelForXp(profile.xp) < item.level) return false;
+  return !item.achievement || profile.achievements.includes(item.achievement);
+}
+
+// What a player asked to wear, cut down to what their profile owns
+function equipCosmetics(profile, { color, hat, skinId, effectId } = {}) {
+  const pick = (slot, id) => (ownsCosmetic(profile, slot, id) ? id : COSMETICS[slot][0].id);
+  return {
+    color: typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color) ? color.toLowerCase() : DEFAULT_COLOR,
+    hat: pick('hat', hat),
+    skinId: pick('skin', skinId),
+    effectId: pick('effect', effectId),
+  };
+}
+
+function ownedCosmetics(profile) {
+  const owned = [];
+  for (const [slot, items] of Object.entries(COSMETICS)) {
+    for (const c of items) if (ownsCosmetic(profile, slot, c.id)) owned.push(`${slot}:${c.id}`);
   }
-  return list;
+  return owned;
 }
 
-function getTeam(room) {
-  // Balance teams
-  let red = 0, blue = 0;
-  for (const p of room.players.values()) {
-    if (p.team === 'red') red++;
-    else if (p.team === 'blue') blue++;
+// The locker's view of a profile: level progress, every achievement, every cosmetic and its unlock
+function describeProfile(profile) {
+  const level = levelForXp(profile.xp);
+  const unlock = c => (c.level ? `Level ${c.level}` : c.achievement ? ACHIEVEMENTS.find(a => a.id === c.achievement).name : null);
+  const cosmetics = {};
+  for (const [slot, items] of Object.entries(COSMETICS)) {
+    cosmetics[slot] = items.map(c => ({ id: c.id, name: c.name, owned: ownsCosmetic(profile, slot, c.id), unlock: unlock(c) }));
   }
-  return red <= blue ? 'red' : 'blue';
+  return {
+    name: profile.name, xp: profile.xp, level,
+    levelXp: levelStartXp(level), nextLevelXp: level < MAX_LEVEL ? levelStartXp(level + 1) : null,
+    achievements: ACHIEVEMENTS.map(a => ({ id: a.id, name: a.name, desc: a.desc, earned: profile.achievements.includes(a.id) })),
+    cosmetics,
+  };
 }
 
-function updatePlayerCount() {
-  // Count all connected players across all rooms
-  let count = 0;
-  for (const room of rooms.values()) {
-    count += room.players.size;
-  }
-  totalPlayersOnline = count;
-  // Broadcast to all connected clients
-  io.emit('player-count', { total: totalPlayersOnline });
-}
-
-// ============================================================
-//  GAME TICK — server-authoritative loop per room
-// ============================================================
-function startRoomTick(room) {
-  if (room.tickInterval) return;
-  room.tickInterval = setInterval(() => roomTick(room), TICK_MS);
-}
-
-function stopRoomTick(room) {
-  if (room.tickInterval) { clearInterval(room.tickInterval); room.tickInterval = null; }
-}
-
-function roomTick(room) {
-  if (room.state === 'countdown') {
-    room.countdownTimer -= TICK_MS / 1000;
-    if (room.countdownTimer <= 0) {
-      room.state = 'playing';
-      room.gameTimer = room.timeLimit;
-      // Spawn all players (IMPROVEMENT #9: with spawn protection)
-      for (const [sid, p] of room.players) {
-        const sp = getRandomSpawn(room.map);
-        p.x = sp.x; p.y = sp.y; p.z = sp.z;
-        p.hp = 100; p.alive = true; p.kills = 0; p.deaths = 0; p.score = 0;
-        p.gunGameLevel = 0;
-        p.weapon = room.mode === 'gungame' ? GUN_GAME_ORDER[0] : 0;
-        p.lastShot = 0; p.respawnTimer = 0;
-        // IMPROVEMENT #9: Spawn protection invulnerability
-        p.spawnProtectionTimer = SPAWN_PROTECTION_TIME;
-        // IMPROVEMENT #3: Physics velocity
-        p.vx = 0; p.vy = 0; p.vz = 0;
-        p.grounded = true;
-        p.lastFloorY = sp.y;
-        // IMPROVEMENT #2: Replay buffer for latency compensation
-        p.replayBuffer = new ReplayBuffer(10);
-        // IMPROVEMENT #10: Cosmetics progression
-        p.skinId = 'default';
-        p.effectId = 'default';
-        p.assists = new Map();
-        p.headshots = 0;
-        p.killStreak = 0;
-        p.replayBuffer = new ReplayBuffer(5);
-      }
-      io.to(room.code).emit('game-start', {
-        map: room.map, mode: room.mode,
-        players: serializePlayers(room),
-      });
-    } else {
-      io.to(room.code).emit('countdown', Math.ceil(room.countdownTimer));
-    }
-    return;
+app.get('/api/profile/:name', (req, res) => {
+  const profile = statsStore.getProfile(statsKeyForName(req.params.name));
+  const account = accountStore.findByUsername(req.params.name);
+  res.json(describeProfile(account ? { ...profile, name: account.username } : profile));
+});
+
+// ============================================================
+//  ACCOUNTS — guest tokens, registered usernames and reserved names
+// ============================================================
+// Every connection belongs to an account. A socket that shows up without a token gets a fresh
+// guest account on connect and is sent its token ('account'); the client keeps it and presents it
+// in the handshake (`auth: { token }`) from then on. A guest is only stored once it has something
+// worth keeping — a finished match or a username — so drive-by connections cost nothing. socket.data.account is that account and
+// socket.data.playerId its stable id, which keys the player's stats, XP and cosmetics — so they
+// follow the person, not whatever name they type. A guest can register a username and password
+// and keeps the same id. Registered usernames are reserved: the owner always plays under theirs,
+// nobody else can join with it. Tokens are stored as SHA-256 hashes, passwords as salted scrypt.
+const ACCOUNTS_FILE = process.env.ACCOUNTS_FILE || path.join(__dirname, 'data', 'accounts.json');
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,12}$/;
+const PASSWORD_MIN = 6;
+const PASSWORD_MAX = 128;  // scrypt cost grows with the input
+const ACCOUNT_TOKENS = 5;  // devices logged in at once; the oldest is signed out
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve({ salt, hash: key.toString('hex') })));
+  });
+}
+
+async function checkPassword(account, password) {
+  const { hash } = await hashPassword(password, account.password ? account.password.salt : '');
+  return !!account.password && crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(account.password.hash, 'hex'));
+}
+
+// What the stats store files an account's matches under; typed names are too short to clash
+function accountKey(account) {
+  return `acct:${account.id}`;
+}
+
+function publicAccount(account) {
+  return { id: account.id, username: account.username, guest: !account.username };
+}
+
+class MemoryAccountStore {
+  constructor(data) {
+    // id -> { id, username, password: { salt, hash } | null, tokens: [sha256], createdAt }
+    this.accounts = (data && data.accounts) || {};
+    this.byToken = new Map();
+    this.byUsername = new Map();
+    for (const account of Object.values(this.accounts)) this.index(account);
   }
 
-  if (room.state !== 'playing') return;
+  index(account) {
+    for (const t of account.tokens) this.byToken.set(t, account.id);
+    if (account.username) this.byUsername.set(statKey(account.username), account.id);
+  }
 
-  room.gameTimer -= TICK_MS / 1000;
-  
-  // IMPROVEMENT #6: Update moving platforms and hazards
-  updateMapFeatures(room, TICK_MS / 1000);
-
-  // IMPROVEMENT #3: Physics simulation and respawn timers
-  for (const [sid, p] of room.players) {
-    if (!p.alive && p.respawnTimer > 0) {
-      p.respawnTimer -= TICK_MS / 1000;
-      if (p.respawnTimer <= 0) {
-        const sp = getRandomSpawn(room.map);
-        p.x = sp.x; p.y = sp.y; p.z = sp.z;
-        p.vx = 0; p.vy = 0; p.vz = 0;
-        p.grounded = true;
-        p.lastFloorY = sp.y;
-        p.hp = 100; p.alive = true;
-        p.spawnProtectionTimer = SPAWN_PROTECTION_TIME;
-        p.weapon = room.mode === 'gungame' ? GUN_GAME_ORDER[Math.min(p.gunGameLevel, GUN_GAME_ORDER.length - 1)] : p.weapon;
-        io.to(room.code).emit('player-respawn', { id: sid, x: p.x, y: p.y, z: p.z, weapon: p.weapon, spawnProtected: true });
-      }
+  // Returns { account, token }; the token is only ever seen here. The guest isn't stored until keep().
+  createGuest(now = Date.now()) {
+    const account = { id: crypto.randomBytes(8).toString('hex'), username: null, password: null, tokens: [], createdAt: now };
+    return { account, token: this.issueToken(account) };
+  }
+
+  // Stores a guest from createGuest(), so its token works from now on
+  keep(account) {
+    if (!account || this.accounts[account.id]) return;
+    this.accounts[account.id] = account;
+    this.index(account);
+    this.changed(account);
+  }
+
+  issueToken(account) {
+    const token = crypto.randomBytes(24).toString('hex');
+    const hash = hashToken(token);
+    account.tokens.unshift(hash);
+    for (const old of account.tokens.splice(ACCOUNT_TOKENS)) this.byToken.delete(old);
+    if (this.accounts[account.id] !== account) return token;
+    this.byToken.set(hash, account.id);
+    this.changed(account);
+    return token;
+  }
+
+  revokeToken(token) {
+    const hash = hashToken(token);
+    const account = this.accounts[this.byToken.get(hash)];
+    if (!account) return;
+    this.byToken.delete(hash);
+    account.tokens = account.tokens.filter(t => t !== hash);
+    this.changed(account);
+  }
+
+  findByToken(token) {
+    if (typeof token !== 'string' || !token) return null;
+    return this.accounts[this.byToken.get(hashToken(token))] || null;
+  }
+
+  findByUsername(name) {
+    return this.accounts[this.byUsername.get(statKey(name))] || null;
+  }
+
+  // Claims `username` for a guest; false if it is already someone's
+  register(account, username, password) {
+    if (account.username || this.findByUsername(username)) return false;
+    account.username = username;
+    account.password = password;
+    if (this.accounts[account.id] !== account) {
+      this.keep(account); // a guest's first save, username and all
+      return true;
     }
-    
-    // Physics: Apply gravity
-    if (p.alive) {
-      p.vy -= GRAVITY * (TICK_MS / 1000);
-      p.y += p.vy * (TICK_MS / 1000);
-      
-      // Floor collision (grounded at y=1.6)
-      if (p.y <= 1.6) {
-        const fallHeight = Math.max(0, p.lastFloorY - 1.6);
-        if (fallHeight > FALL_DAMAGE_THRESHOLD && p.vy < 0) {
-          const fallDamage = (fallHeight - FALL_DAMAGE_THRESHOLD) * 5;
-          p.hp -= fallDamage;
-          if (p.hp <= 0) { p.hp = 0; p.alive = false; p.deaths++; p.respawnTimer = 3; }
-        }
-        p.y = 1.6;
-        p.vy = 0;
-        p.grounded = true;
-        p.lastFloorY = 1.6;
+    this.byUsername.set(statKey(username), account.id);
+    this.changed(account);
+    return true;
+  }
+
+  // Raw records by id, for sharing them between instances (see CLUSTER)
+  records() {
+    return Object.entries(this.accounts);
+  }
+
+  record(id) {
+    return this.accounts[id] || null;
+  }
+
+  // Other instances' copies of accounts, as [id, account] pairs. One we have is updated in place,
+  // so sockets holding it see the change.
+  put(records) {
+    for (const [id, account] of records) {
+      const mine = this.accounts[id];
+      if (mine) {
+        for (const t of mine.tokens) this.byToken.delete(t);
+        Object.assign(mine, account);
       } else {
-        p.grounded = false;
+        this.accounts[id] = account;
       }
+      this.index(this.accounts[id]);
     }
-    
-    // Spawn protection cooldown
-    if (p.spawnProtectionTimer > 0) {
-      p.spawnProtectionTimer -= TICK_MS / 1000;
+    this.save();
+  }
+
+  // After every change: written out (FileAccountStore) and passed to the other instances (CLUSTER)
+  changed(account) {
+    this.save();
+    this.onChange?.([account.id]);
+  }
+
+  save() {}
+
+  toJSON() {
+    return { accounts: this.accounts };
+  }
+}
+
+class FileAccountStore extends MemoryAccountStore {
+  constructor(file) {
+    let data = null;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[accounts] could not read ${file}: ${err.message}`);
     }
+    super(data);
+    this.file = file;
+    this.writing = Promise.resolve();
+  }
+
+  save() {
+    const json = JSON.stringify(this);
+    this.writing = this.writing.then(() => writeFileAtomic(this.file, json))
+      .catch(err => console.error(`[accounts] could not write ${this.file}: ${err.message}`));
+    return this.writing;
+  }
+}
+
+let accountStore = new FileAccountStore(ACCOUNTS_FILE);
+
+function setAccountStore(store) {
+  accountStore = store;
+}
+
+// Handshake middleware: the token presented picks the account, no (or an unknown) token opens a guest
+function authenticateSocket(socket, next) {
+  const { token } = socket.handshake.auth || {};
+  let account = accountStore.findByToken(token);
+  if (!account) ({ account, token: socket.data.newToken } = accountStore.createGuest());
+  socket.data.account = account;
+  socket.data.playerId = account.id;
+  next();
+}
+
+function checkCredentials(username, password) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) return 'Usernames are 3-12 letters, digits or _';
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN || password.length > PASSWORD_MAX) {
+    return `Passwords are ${PASSWORD_MIN}-${PASSWORD_MAX} characters`;
   }
+  return null;
+}
+
+async function registerAccount(account, username, password) {
+  if (account.username) return { error: 'Already registered' };
+  const invalid = checkCredentials(username, password);
+  if (invalid) return { error: invalid };
+  if (accountStore.findByUsername(username)) return { error: 'Username taken' };
+  const hashed = await hashPassword(password);
+  if (!await claimUsername(username, account)) return { error: 'Username taken' }; // on another instance
+  if (!accountStore.register(account, username, hashed)) return { error: 'Username taken' }; // lost a race
+  return { ok: true, account: publicAccount(account) };
+}
 
-  // Check win conditions
-  let winner = null;
-  if (room.gameTimer <= 0) {
-    winner = getWinner(room);
-  } else {
-    // Score limit check
-    for (const [sid, p] of room.players) {
-      if (room.mode === 'gungame') {
-        if (p.gunGameLevel >= GUN_GAME_ORDER.length) { winner = { type: 'player', id: sid, name: p.name }; break; }
-      } else if (room.mode === 'deathmatch') {
-        if (p.kills >= room.scoreLimit) { winner = { type: 'player', id: sid, name: p.name }; break; }
+// Password attempts come out of three token buckets (see refillBucket): the socket's, its
+// address's and the username's, LOGIN_BURST at once and one more every LOGIN_REFILL_MS. An
+// attempt needs a token from each and is refused before any hashing, so neither one client
+// nor a crowd of them can grind through passwords for an account.
+const LOGIN_BURST = 5;
+const LOGIN_REFILL_MS = 60000;
+const LOGIN_TRACKED = 10000; // address and username buckets kept before full ones are dropped
+const loginBuckets = new Map(); // 'address:…' / 'user:…' -> { tokens, refilledAt }
+
+function loginBucket(key) {
+  let bucket = loginBuckets.get(key);
+  if (!bucket) {
+    if (loginBuckets.size >= LOGIN_TRACKED) {
+      const now = clock.now();
+      for (const [k, b] of loginBuckets) {
+        if (b.tokens + (now - b.refilledAt) / LOGIN_REFILL_MS >= LOGIN_BURST) loginBuckets.delete(k);
       }
     }
-    if (!winner && room.mode === 'team-deathmatch') {
-      let redScore = 0, blueScore = 0;
-      for (const p of room.players.values()) {
-        if (p.team === 'red') redScore += p.kills;
-        else blueScore += p.kills;
-      }
-      if (redScore >= room.scoreLimit) winner = { type: 'team', team: 'red' };
-      else if (blueScore >= room.scoreLimit) winner = { type: 'team', team: 'blue' };
+    bucket = { tokens: LOGIN_BURST, refilledAt: 0 };
+    loginBuckets.set(key, bucket);
+  }
+  return bucket;
+}
+
+// null when the socket may try this username now, otherwise why not
+function checkLoginRate(sock, username, now) {
+  sock.data.login ||= { tokens: LOGIN_BURST, refilledAt: 0 };
+  const buckets = [sock.data.login, loginBucket(`address:${clientAddress(sock)}`), loginBucket(`user:${statKey(username)}`)];
+  if (!buckets.every(b => refillBucket(b, now, LOGIN_BURST, LOGIN_REFILL_MS))) {
+    return 'Too many login attempts, try again in a minute';
+  }
+  for (const b of buckets) b.tokens--;
+  return null;
+}
+
+// Unknown names still pay for a hash, so a miss takes as long as a wrong password
+async function loginAccount(username, password) {
+  if (checkCredentials(username, password)) return { error: 'Wrong username or password' };
+  const account = accountStore.findByUsername(username) || { password: null };
+  if (!await checkPassword(account, password)) return { error: 'Wrong username or password' };
+  return { ok: true, account, token: accountStore.issueToken(account) };
+}
+
+// What a client typed as its name, cut to length; anything that isn't text plays as ANON
+function typedName(name) {
+  return typeof name === 'string' && name ? name.substring(0, 12) : 'ANON';
+}
+
+// The name a socket plays under: its username once registered, otherwise what it typed —
+// unless that is somebody's username
+function reservedNameError(sock, name) {
+  const account = sock.data.account;
+  if (account && account.username) return null;
+  return accountStore.findByUsername(typedName(name)) ? 'That name belongs to a registered player' : null;
+}
+
+function playerNameFor(sock, name) {
+  const account = sock.data.account;
+  if (account && account.username) return account.username;
+  return reservedNameError(sock, name) ? 'ANON' : typedName(name);
+}
+
+// Who a socket joins a room as (see lib/roster.js): its name and account, the cosmetics it owns
+// out of those it picked, its rating for team balance and its address for bans
+function playerIdentity(sock, data) {
+  const account = sock.data.account;
+  const name = playerNameFor(sock, data && data.name);
+  const key = account ? accountKey(account) : undefined;
+  return { name, key, account, gear: equipCosmetics(statsStore.getProfile(key || name), data),
+    rating: statsStore.getRating(key || name).rating, address: clientAddress(sock) };
+}
+
+// Becoming someone else mid-match would file the match under the wrong account, so switching leaves
+function switchAccount(sock, account, token) {
+  dequeue(sock.id);
+  leaveCurrentRoom(sock);
+  sock.data.account = account;
+  sock.data.playerId = account.id;
+  return { ok: true, account: publicAccount(account), token };
+}
+
+// Stats-store key for an in-room player; players without an account (tests) fall back to the name
+function statsKeyOf(p) {
+  return p.key || p.name;
+}
+
+// Public lookups by name: a registered username means that account, anything else the old name-keyed record
+function statsKeyForName(name) {
+  const account = accountStore.findByUsername(name);
+  return account ? accountKey(account) : name;
+}
+
+// ============================================================
+//  REPLAYS — match recording and playback files
+// ============================================================
+// Every match is recorded while it plays and written to REPLAY_DIR when endGame runs: gzipped
+// JSON holding the room header, the roster, one frame per tick and the gameplay events that
+// were broadcast, each stamped with the tick it happened on. A frame is
+// [tick, players, enemies] where players repeats [rosterIndex, ...REPLAY_PLAYER_FIELDS] and
+// enemies repeats [id, type, x, y, z, hp] (co-op only). Only the newest MAX_REPLAYS are kept.
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, 'data', 'replays');
+const MAX_REPLAYS = parseInt(process.env.MAX_REPLAYS, 10) || 50;
+const REPLAY_ID = /^[\w-]+$/;
+
+// Replay files plus an index.json listing them, so the list never has to unzip anything
+class ReplayStore {
+  constructor(dir, limit = MAX_REPLAYS) {
+    this.dir = dir;
+    this.limit = limit;
+    this.entries = [];
+    try {
+      this.entries = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[replays] could not read the index in ${dir}: ${err.message}`);
     }
+    this.writing = Promise.resolve();
   }
 
-  if (winner) {
-    endGame(room, winner);
+  list() {
+    return this.entries;
+  }
+
+  file(id) {
+    if (!REPLAY_ID.test(id) || !this.entries.some(e => e.id === id)) return null;
+    return path.join(this.dir, `${id}.json.gz`);
+  }
+
+  // Writes are chained like the stats file; the index only lists files that made it to disk
+  save(replay) {
+    const entry = { id: replay.id, name: replay.name, mode: replay.mode, map: replay.map,
+      startedAt: replay.startedAt, endedAt: replay.endedAt, duration: Math.round(replay.ticks * replay.tickMs / 1000),
+      players: replay.players.map(p => p.name), winner: replay.winner };
+    const json = JSON.stringify(replay);
+    this.writing = this.writing.then(async () => {
+      const data = await new Promise((resolve, reject) => zlib.gzip(json, (err, buf) => err ? reject(err) : resolve(buf)));
+      await writeFileAtomic(path.join(this.dir, `${entry.id}.json.gz`), data);
+      entry.size = data.length;
+      this.entries.unshift(entry);
+      for (const old of this.entries.splice(this.limit)) {
+        await fs.promises.rm(path.join(this.dir, `${old.id}.json.gz`), { force: true });
+      }
+      await writeFileAtomic(path.join(this.dir, 'index.json'), JSON.stringify(this.entries));
+    }).catch(err => console.error(`[replays] could not write ${entry.id}: ${err.message}`));
+    return this.writing;
+  }
+}
+
+let replayStore = new ReplayStore(REPLAY_DIR);
+
+function setReplayStore(store) {
+  replayStore = store;
+}
+
+function saveReplay(room, winner, scoreboard) {
+  if (!room.replay) return;
+  try {
+    replayStore.save(room.replay.finish(room, winner, scoreboard));
+  } catch (err) {
+    console.error(`[replays] could not save the match in ${room.code}: ${err.message}`);
+  }
+  room.replay = null;
+}
+
+app.get('/api/replays', (req, res) => {
+  res.json(replayStore.list().slice(0, parseLimit(req.query.limit)));
+});
+
+// Served as stored; browsers and fetch() unzip it because of the Content-Encoding
+app.get('/api/replays/:id', (req, res) => {
+  const file = replayStore.file(req.params.id);
+  if (!file) return res.status(404).json({ error: 'Replay not found' });
+  res.set({ 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' });
+  res.sendFile(file, err => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Replay not found' });
+  });
+});
+
+// ============================================================
+//  DATA STRUCTURES
+// ============================================================
+// Rooms, their lobbies and rosters live in lib/rooms.js and lib/roster.js; the match loop in
+// lib/tick.js. What a match does here when it ticks and ends is handed to them (see MATCH HOOKS).
+
+/** @type {Map<string, PlayerSocket>} */
+const players = new Map(); // socketId → player data
+
+// Online player counter
+let totalPlayersOnline = 0;
+
+// A room opened, closed or changed, or players came or went: our sockets get the new room list
+// and online count, and the other instances hear about it (see CLUSTER)
+roomEvents.on('changed', () => {
+  sendClusterLists();
+  shareClusterState();
+});
+
+// ============================================================
+//  MATCH RESULTS — careers, ratings and progression when lib/tick.js ends a match
+// ============================================================
+// Bots play the match but stay out of careers, ratings and progression
+function recordMatchStats(room, winner, scoreboard = modeOf(room).scoreboard(room)) {
+  const humans = [...room.players].filter(([, p]) => !p.bot);
+  const players = [];
+  for (const [sid, p] of humans) {
+    const won = !!winner && (winner.type === 'coop' ? winner.won
+      : winner.type === 'team' ? p.team === winner.team : winner.id === sid);
+    players.push({ name: p.name, key: p.key, kills: p.kills - (p.startKills || 0), deaths: p.deaths, headshots: p.headshots,
+      assists: p.assistCount, bestStreak: p.bestStreak, won,
+      xp: matchXp({ score: p.score, headshots: p.headshots, bestStreak: p.bestStreak, won }) });
+  }
+  // Co-op squads have no opponents to be rated against
+  if (humans.length >= 2 && !(winner && winner.type === 'coop')) {
+    const places = matchPlaces(room, winner, scoreboard);
+    const entries = humans.map(([sid, p]) => ({ ...statsStore.getRating(statsKeyOf(p)), place: places.get(sid) ?? 0, team: p.team }));
+    const rated = rateMatch(entries);
+    humans.forEach(([, p], i) => {
+      Object.assign(players[i], rated[i]);
+      p.rating = rated[i].rating;
+    });
+  }
+  const before = humans.map(([, p]) => statsStore.getProfile(statsKeyOf(p)));
+  try {
+    statsStore.recordMatch({ mode: room.mode, map: room.map, endedAt: clock.now(), players });
+  } catch (err) {
+    console.error(`[stats] could not record match in ${room.code}: ${err.message}`);
     return;
   }
+  for (const [, p] of humans) accountStore.keep(p.account); // guests are saved with their first match
+  humans.forEach(([sid], i) => io.to(sid).emit('progress', matchProgress(before[i], players[i])));
+}
 
-  // IMPROVEMENT #5: Delta state broadcasting - only send changes
-  room.lastFullStateTick = (room.lastFullStateTick + 1) % room.deltaInterval;
-  const isSendFullState = room.lastFullStateTick === 0;
-  
-  const state = {
-    t: room.gameTimer,
-    features: isSendFullState ? room.features : undefined, // only send full features periodically
+// What a match did for one player: XP gained, level reached, and anything new it unlocked
+function matchProgress(before, line) {
+  const after = statsStore.getProfile(line.key || line.name);
+  const owned = new Set(ownedCosmetics(before));
+  return {
+    xpGained: line.xp, xp: after.xp, level: levelForXp(after.xp), levelUp: levelForXp(after.xp) > levelForXp(before.xp),
+    achievements: ACHIEVEMENTS.filter(a => after.achievements.includes(a.id) && !before.achievements.includes(a.id))
+      .map(a => ({ id: a.id, name: a.name })),
+    unlocked: ownedCosmetics(after).filter(c => !owned.has(c)),
   };
-  
-  if (isSendFullState) {
-    // Send full state every Nth tick
-    state.players = [];
-    for (const [sid, p] of room.players) {
-      state.players.push({
-        id: sid, x: p.x, y: p.y, z: p.z,
-        yaw: p.yaw, pitch: p.pitch,
-        hp: p.hp, alive: p.alive,
-        kills: p.kills, deaths: p.deaths, score: p.score,
-        weapon: p.weapon, team: p.team,
-        respawnTimer: p.respawnTimer > 0 ? Math.ceil(p.respawnTimer) : 0,
-        spawnProtected: p.spawnProtectionTimer > 0,
-        skinId: p.skinId, effectId: p.effectId,
-        headshots: p.headshots, killStreak: p.killStreak,
-      });
-      // Store in replay buffer for latency compensation
-      p.replayBuffer?.add(Date.now(), {
-        x: p.x, y: p.y, z: p.z, yaw: p.yaw, pitch: p.pitch,
-        hp: p.hp, alive: p.alive,
-      });
-    }
-  } else {
-    // Send delta updates (changed fields only)
-    state.playerDelta = [];
-    for (const [sid, p] of room.players) {
-      state.playerDelta.push({
-        id: sid, x: p.x, y: p.y, z: p.z,
-        hp: p.hp, alive: p.alive,
-        respawnTimer: p.respawnTimer > 0 ? Math.ceil(p.respawnTimer) : 0,
-      });
-    }
+}
+
+// Admin only (see ADMIN): it would tell anyone that a private room exists and how busy it is
+app.get('/api/admin/rooms/:code/bandwidth', requireAdmin, (req, res) => {
+  const room = rooms.get(req.params.code.toUpperCase());
+  if (!room) return res.status(404).json({ error: 'Room not found' });
+  res.json(getBandwidthStats(room));
+});
+
+// ============================================================
+//  ANTI-CHEAT TELEMETRY — rejection counts, statistical checks, sanctions
+// ============================================================
+// Every packet the helpers above turn away is counted per player with a reason. Accepted
+// hits feed statistical checks: headshot ratio, hits on targets behind the shooter, a snap of
+// the aim (yaw/pitch angular velocity) just before the hit, and reactions faster than a
+// human's. A check that trips records a flag with its evidence and a strike; strikes climb
+// CHEAT_SANCTIONS from a warning to a kick to a temporary server ban. Reports are kept across
+// rooms for the admin endpoint, by account (or session, see cheatReportKey), never by the name a
+// player types. Thresholds leave room for lag: a few rejections or lucky flicks never add up to a
+// flag inside one window.
+const CHEAT_WINDOW_MS = 60000;
+const CHEAT_REJECT_LIMITS = { input: 10, speed: 40, 'fire-rate': 20, 'no-shot': 15, 'bad-hit': 25 }; // per window
+const CHEAT_HEADSHOT_SAMPLE = 25;      // hits judged together
+const CHEAT_HEADSHOT_RATIO = 0.75;
+const CHEAT_BEHIND_ANGLE = Math.PI * 2 / 3; // target this far off where the shooter faces
+const CHEAT_BEHIND_HITS = 3;
+const CHEAT_SNAP_ANGLE = 0.8;          // rad turned in one input packet...
+const CHEAT_SNAP_RATE = 40;            // ...at this many rad/s
+const CHEAT_SNAP_HIT_MS = 100;         // a hit this soon after a snap is a snap-hit
+const CHEAT_SNAP_HITS = 5;
+const CHEAT_REACTION_MS = 120;         // first hit this soon after the target came into view
+const CHEAT_REACTION_HITS = 5;
+const CHEAT_HIDDEN_MS = 500;           // out of sight this long, a target "appears" again
+const CHEAT_SANCTIONS = [              // the highest step reached applies on each flag
+  { strikes: 1, action: 'warn' },
+  { strikes: 3, action: 'kick' },
+  { strikes: 5, action: 'ban' },
+];
+const CHEAT_BAN_MS = 30 * 60 * 1000;
+const CHEAT_EVIDENCE_MAX = 50;
+
+const cheatReports = new Map(); // cheatReportKey(p) -> report
+const cheatBans = new Map();    // address -> { name, check, until }
+
+// Reports follow the account, or for a player without one the session (it survives a reconnect).
+// Never the name: anyone can type someone else's, and a pardon would then lift the wrong ban.
+function cheatReportKey(p) {
+  return p.key || `session:${p.session}`;
+}
+
+function cheatReport(p) {
+  const key = cheatReportKey(p);
+  let r = cheatReports.get(key);
+  if (!r) {
+    r = { id: key, name: p.name, address: p.address, strikes: 0, rejections: {}, hits: 0, headshots: 0,
+      sample: { hits: 0, headshots: 0 }, windows: {}, flags: [], sanctions: [] };
+    cheatReports.set(key, r);
   }
-  
-  io.to(room.code).emit('game-state', state);
+  r.name = p.name;
+  r.address = p.address || r.address;
+  return r;
 }
 
-function getWinner(room) {
-  if (room.mode === 'team-deathmatch') {
-    let red = 0, blue = 0;
-    for (const p of room.players.values()) {
-      if (p.team === 'red') red += p.kills; else blue += p.kills;
-    }
-    return { type: 'team', team: red >= blue ? 'red' : 'blue' };
+// Count an event in the report's window; flags `check` when `limit` is reached. One flag per
+// check per window, so a flood of bad packets can't skip past the warning straight to a ban.
+function tallyCheat(room, p, check, limit, evidence, now) {
+  const r = cheatReport(p);
+  let w = r.windows[check];
+  if (!w || now - w.since > CHEAT_WINDOW_MS) w = r.windows[check] = { since: now, count: 0, flagged: false };
+  if (w.flagged || ++w.count < limit) return;
+  w.flagged = true;
+  flagCheat(room, p, check, { ...evidence, count: w.count }, now);
+}
+
+function rejectPacket(room, p, reason, now = clock.now()) {
+  const r = cheatReport(p);
+  r.rejections[reason] = (r.rejections[reason] || 0) + 1;
+  tallyCheat(room, p, `rejected:${reason}`, CHEAT_REJECT_LIMITS[reason] || 20, {}, now);
+}
+
+function flagCheat(room, p, check, evidence, now = clock.now()) {
+  const r = cheatReport(p);
+  r.strikes++;
+  r.flags.push({ check, t: now, room: room.code, mode: room.mode, ...evidence });
+  if (r.flags.length > CHEAT_EVIDENCE_MAX) r.flags.shift();
+  sanctionCheat(room, p, r, check, now);
+}
+
+function sanctionCheat(room, p, r, check, now) {
+  const { action } = CHEAT_SANCTIONS.filter(s => r.strikes >= s.strikes).pop();
+  r.sanctions.push({ action, check, t: now });
+  console.warn(`[anticheat] ${action} ${p.name} in ${room.code}: ${check} (${r.strikes} strikes)`);
+  if (action === 'warn') {
+    io.to(p.id).emit('anticheat-warning', { check, strikes: r.strikes });
+    return;
   }
-  let best = null;
-  for (const [sid, p] of room.players) {
-    if (!best || p.kills > best.kills) best = { type: 'player', id: sid, name: p.name, kills: p.kills };
+  if (action === 'ban' && p.address) cheatBans.set(p.address, { name: p.name, check, until: now + CHEAT_BAN_MS });
+  if (room.players.has(p.id)) {
+    kickFromRoom(room, p.id, false, 'the anti-cheat',
+      action === 'ban' ? `Banned for ${Math.round(CHEAT_BAN_MS / 60000)} minutes by the anti-cheat` : 'Removed by the anti-cheat');
   }
-  return best;
 }
 
-function endGame(room, winner) {
-  room.state = 'results';
-  stopRoomTick(room);
-  const scoreboard = [];
-  for (const [sid, p] of room.players) {
-    scoreboard.push({ id: sid, name: p.name, kills: p.kills, deaths: p.deaths, score: p.score, team: p.team });
-  }
-  scoreboard.sort((a, b) => b.kills - a.kills);
-  io.to(room.code).emit('game-over', { winner, scoreboard });
+// Remaining anti-cheat ban on an address, or null
+function cheatBanFor(address, now = clock.now()) {
+  const ban = cheatBans.get(address);
+  if (!ban) return null;
+  if (ban.until > now) return ban;
+  cheatBans.delete(address);
+  return null;
+}
 
-  // Return to lobby after 10 seconds
-  setTimeout(() => {
-    if (!rooms.has(room.code)) return;
-    room.state = 'lobby';
-    for (const p of room.players.values()) { p.ready = false; }
-    io.to(room.code).emit('room-state', getRoomState(room));
-  }, 10000);
+function facingOffAngle(p, target) {
+  const dx = target.x - p.x, dz = target.z - p.z;
+  if (!dx && !dz) return 0;
+  // simulateMove walks forward along (-sin yaw, -cos yaw)
+  const dot = (-Math.sin(p.yaw) * dx - Math.cos(p.yaw) * dz) / Math.hypot(dx, dz);
+  return Math.acos(Math.max(-1, Math.min(1, dot)));
 }
 
-function serializePlayers(room) {
-  const list = [];
-  for (const [sid, p] of room.players) {
-    list.push({ id: sid, name: p.name, color: p.color, hat: p.hat, team: p.team,
-      x: p.x, y: p.y, z: p.z, weapon: p.weapon, hp: p.hp, alive: p.alive });
+// After an input packet: how far the aim turned over the time the packet covered
+function trackAim(p, dt, now = clock.now()) {
+  const aim = aimVector(p.yaw, p.pitch);
+  const prev = p.aim;
+  p.aim = { ...aim, snapAt: prev ? prev.snapAt : 0, snapRate: prev ? prev.snapRate : 0 };
+  if (!prev || dt <= 0) return;
+  const angle = Math.acos(Math.max(-1, Math.min(1, prev.x * aim.x + prev.y * aim.y + prev.z * aim.z)));
+  if (angle >= CHEAT_SNAP_ANGLE && angle / dt >= CHEAT_SNAP_RATE) {
+    p.aim.snapAt = now;
+    p.aim.snapRate = angle / dt;
+  }
+}
+
+// Per tick: when each player first had each opponent in line of sight
+function updateSightlines(room, now = clock.now()) {
+  for (const p of room.players.values()) {
+    if (!p.alive) continue;
+    for (const [tid, t] of room.players) {
+      if (t === p || !t.alive || !hasLineOfSight(room.map, p, t)) continue;
+      const seen = p.seen.get(tid);
+      if (seen && now - seen.last < CHEAT_HIDDEN_MS) seen.last = now;
+      else p.seen.set(tid, { since: now, last: now, hit: false });
+    }
+    for (const [tid, seen] of p.seen) if (now - seen.last > CHEAT_WINDOW_MS) p.seen.delete(tid);
   }
-  return list;
 }
 
-function getRoomState(room) {
-  const plist = [];
-  for (const [sid, p] of room.players) {
-    plist.push({ id: sid, name: p.name, color: p.color, hat: p.hat, ready: p.ready, team: p.team });
+// An accepted hit on another player. `target` is the pose that was hit; `rtt` the attacker's.
+function checkHit(room, p, tid, target, headshot, rtt, now = clock.now()) {
+  const r = cheatReport(p);
+  r.hits++;
+  r.sample.hits++;
+  if (headshot) { r.headshots++; r.sample.headshots++; }
+  if (r.sample.hits >= CHEAT_HEADSHOT_SAMPLE) {
+    const ratio = r.sample.headshots / r.sample.hits;
+    r.sample = { hits: 0, headshots: 0 };
+    if (ratio > CHEAT_HEADSHOT_RATIO) flagCheat(room, p, 'headshot-ratio', { ratio: +ratio.toFixed(2), hits: CHEAT_HEADSHOT_SAMPLE }, now);
   }
-  return { code: room.code, name: room.name, mode: room.mode, map: room.map,
-    maxPlayers: room.maxPlayers, state: room.state, players: plist };
+
+  const off = facingOffAngle(p, target);
+  if (off > CHEAT_BEHIND_ANGLE) {
+    tallyCheat(room, p, 'behind-hits', CHEAT_BEHIND_HITS, { angle: Math.round(off * 180 / Math.PI) }, now);
+  }
+  if (p.aim && now - p.aim.snapAt <= CHEAT_SNAP_HIT_MS) {
+    tallyCheat(room, p, 'snap-hits', CHEAT_SNAP_HITS, { rate: Math.round(p.aim.snapRate) }, now);
+  }
+  // Half a round trip before the attacker saw the target, half after for the report to arrive
+  const seen = p.seen.get(tid);
+  if (seen && !seen.hit) {
+    seen.hit = true;
+    const reaction = now - seen.since - (rtt || 0);
+    if (reaction < CHEAT_REACTION_MS) {
+      tallyCheat(room, p, 'fast-reactions', CHEAT_REACTION_HITS, { ms: Math.max(0, Math.round(reaction)) }, now);
+    }
+  }
+}
+
+function cheatSummary(r, now = clock.now()) {
+  const ban = r.address ? cheatBanFor(r.address, now) : null;
+  return { id: r.id, name: r.name, strikes: r.strikes, rejections: r.rejections, hits: r.hits, headshots: r.headshots,
+    flags: r.flags.length, lastFlag: r.flags.length ? r.flags[r.flags.length - 1] : null,
+    bannedUntil: ban ? ban.until : null };
 }
 
+// Admin review (see ADMIN for the token)
+app.get('/api/admin/anticheat', requireAdmin, (req, res) => {
+  const flagged = [...cheatReports.values()].filter(r => r.strikes > 0).sort((a, b) => b.strikes - a.strikes);
+  res.json(flagged.map(r => cheatSummary(r)));
+});
+
+app.get('/api/admin/anticheat/:id', requireAdmin, (req, res) => {
+  const r = cheatReports.get(req.params.id);
+  if (!r) return res.status(404).json({ error: 'No report for that player' });
+  res.json({ ...cheatSummary(r), evidence: r.flags, sanctions: r.sanctions });
+});
+
+// Pardon: clears the strikes and lifts the ban, keeping the history
+app.delete('/api/admin/anticheat/:id', requireAdmin, (req, res) => {
+  const r = cheatReports.get(req.params.id);
+  if (!r) return res.status(404).json({ error: 'No report for that player' });
+  r.strikes = 0;
+  r.windows = {};
+  if (r.address) cheatBans.delete(r.address);
+  r.sanctions.push({ action: 'pardon', t: clock.now() });
+  res.json(cheatSummary(r));
+});
+
 // ============================================================
-//  MAP FEATURES & PHYSICS HELPERS
+//  CHAT — commands; rate limits, the word filter, mute/block and the team channel are lib/chat.js's
 // ============================================================
-function updateMapFeatures(room, dt) {
-  for (const feature of room.features) {
-    if (feature.type === 'platform' && feature.moving) {
-      // Oscillate platform
-      feature.movePhase = (feature.movePhase + dt / feature.moveDuration) % 2;
-      const offset = feature.movePhase < 1 
-        ? feature.moveDist * feature.movePhase 
-        : feature.moveDist * (2 - feature.movePhase);
-      feature.currentY = offset;
-    }
-    if (feature.type === 'hazard') {
-      // Check which players are in hazard and damage them
-      for (const [, p] of room.players) {
-        if (!p.alive) continue;
-        const dx = p.x - feature.x, dz = p.z - feature.z;
-        const dist = Math.sqrt(dx * dx + dz * dz);
-        if (dist < feature.radius) {
-          p.hp -= feature.damage * dt;
-          if (p.hp <= 0) { p.hp = 0; p.alive = false; p.deaths++; p.respawnTimer = 3; }
-        }
-      }
+function findByName(room, name) {
+  const key = statKey(name || '');
+  for (const [sid, p] of [...room.players, ...room.spectators]) if (statKey(p.name) === key) return { sid, p };
+  return null;
+}
+
+const CHAT_COMMANDS = {
+  help: () => 'Commands: /team <msg>, /mute <name>, /block <name>, /stats [name], /ping, /kick <name> (host)',
+  ping: (room, sock) => `Ping: ${Math.round(sock.data.rtt || 0)} ms`,
+  stats: (room, sock, sender, arg) => {
+    const name = arg || sender.name;
+    const found = arg ? findByName(room, arg) : { p: sender };
+    const s = statsStore.getPlayer(found ? statsKeyOf(found.p) : statsKeyForName(arg)); // filed like /api/players
+    if (!s) return `No stats for ${name}`;
+    return `${s.name}: ${s.matches} matches, ${s.wins} wins, ${s.kills} kills, K/D ${s.kd}, rating ${s.rating ?? DEFAULT_RATING}`;
+  },
+  mute: (room, sock, sender, arg) => toggleChatList(sock, room, arg, 'muted'),
+  block: (room, sock, sender, arg) => toggleChatList(sock, room, arg, 'blocked'),
+  kick: (room, sock, sender, arg) => {
+    if (room.host !== sock.id) return 'Only the host can kick';
+    const found = findByName(room, arg);
+    if (!found) return `No player called ${arg || '?'}`;
+    if (found.sid === sock.id) return "You can't kick yourself";
+    kickFromRoom(room, found.sid, false);
+    return null;
+  },
+};
+
+// The name is looked up in the room; the list keeps who it is, so it holds whatever they call themselves
+function toggleChatList(sock, room, name, list) {
+  if (!name) return `Usage: /${list === 'muted' ? 'mute' : 'block'} <name>`;
+  const found = findByName(room, name);
+  if (!found) return `No player called ${name}`;
+  if (found.sid === sock.id) return "That's you";
+  const key = chatKey(found.p);
+  const set = sock.data.chat[list];
+  const on = !set.has(key);
+  if (on) set.add(key); else set.delete(key);
+  return `${found.p.name} ${on ? '' : 'un'}${list === 'muted' ? 'muted' : 'blocked'}`;
+}
+
+// Chat replies only the sender sees
+function chatReply(sock, msg) {
+  sock.emit('chat', { from: 'SYSTEM', msg, system: true, private: true, t: clock.now() });
+}
+
+function handleChat(sock, room, sender, data) {
+  const raw = typeof data === 'string' ? data : data && data.msg;
+  let text = String(raw ?? '').trim().substring(0, CHAT_MAX_LEN);
+  if (!text) return;
+  const refused = checkChatRate(sock.data.chat, text, clock.now());
+  if (refused) return chatReply(sock, refused);
+
+  let teamOnly = !!(data && data.team);
+  if (text.startsWith('/')) {
+    const [, cmd, arg = ''] = text.match(/^\/(\w+)\s*(.*)$/) || [];
+    if (cmd === 't' || cmd === 'team') {
+      if (!isTeamMode(room.mode) || sender.spectator) return chatReply(sock, 'There is no team channel here');
+      text = arg;
+      teamOnly = true;
+      if (!text) return;
+    } else {
+      const command = CHAT_COMMANDS[(cmd || '').toLowerCase()];
+      if (!command) return chatReply(sock, `Unknown command /${cmd || ''} — try /help`);
+      const reply = command(room, sock, sender, arg.trim());
+      if (reply) chatReply(sock, reply);
+      return;
     }
   }
+  sendChat(room, sock, sender, text, teamOnly);
 }
 
 // ============================================================
-//  ANTI-CHEAT HELPERS
+//  MATCHMAKING — skill-based queue per mode
 // ============================================================
-function validateMove(prev, next, dt) {
-  const dx = next.x - prev.x, dz = next.z - prev.z;
-  const dist = Math.sqrt(dx * dx + dz * dz);
-  // Allow some slack for network jitter
-  return dist / Math.max(dt, 0.01) <= MAX_SPEED * 1.5;
+// Queued players are grouped with others of similar rating. The accepted rating gap starts
+// narrow and widens the longer a player waits; a full group (or, after QUEUE_FILL_WAIT_MS, any
+// group of QUEUE_MIN_PLAYERS) gets its own room, rating-balanced teams and an automatic countdown.
+const QUEUE_MATCH_SIZE = 6;
+const QUEUE_MIN_PLAYERS = 2;
+const QUEUE_FILL_WAIT_MS = 20000;
+const QUEUE_BASE_RANGE = 100;   // rating gap accepted straight away
+const QUEUE_WIDEN_PER_SEC = 20; // ...growing by this much per second of waiting
+const QUEUE_MAX_RANGE = 800;
+const QUEUE_TICK_MS = 1000;
+const QUEUE_COUNTDOWN = 5;      // seconds, so everyone sees who they got matched with
+
+const queue = new Map(); // socket id → { id, mode, rating, joinedAt, data }
+let queueInterval = null;
+
+function searchRange(ticket, now) {
+  return Math.min(QUEUE_MAX_RANGE, QUEUE_BASE_RANGE + QUEUE_WIDEN_PER_SEC * Math.max(0, now - ticket.joinedAt) / 1000);
 }
 
-function validateFireRate(p, weaponIdx) {
-  const w = WEAPONS[weaponIdx];
-  if (!w) return false;
-  const now = Date.now() / 1000;
-  if (now - p.lastShot < w.rate * 0.8) return false; // 80% tolerance
-  p.lastShot = now;
-  return true;
+// Longest-waiting players anchor a group; others join it when each is within the other's range
+function findMatches(tickets, now) {
+  const matches = [];
+  const taken = new Set();
+  const waiting = [...tickets].sort((a, b) => a.joinedAt - b.joinedAt);
+  for (const anchor of waiting) {
+    if (taken.has(anchor)) continue;
+    const range = searchRange(anchor, now);
+    const group = waiting
+      .filter(t => !taken.has(t) && t.mode === anchor.mode &&
+        Math.abs(t.rating - anchor.rating) <= Math.min(range, searchRange(t, now)))
+      .sort((a, b) => (a === anchor ? -1 : b === anchor ? 1 : Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating)))
+      .slice(0, QUEUE_MATCH_SIZE);
+    const full = group.length >= QUEUE_MATCH_SIZE;
+    const settle = group.length >= QUEUE_MIN_PLAYERS && now - anchor.joinedAt >= QUEUE_FILL_WAIT_MS;
+    if (!full && !settle) continue;
+    for (const t of group) taken.add(t);
+    matches.push(group);
+  }
+  return matches;
 }
 
-// IMPROVEMENT #1: Raycasting hit validation
-// IMPROVEMENT #8: Anti-cheat hitscan validation
-function validateHitWithRaycast(attacker, victim, weaponIdx, attackDir) {
-  const w = WEAPONS[weaponIdx];
-  if (!w) return false;
-  
-  // Basic range check
-  const dx = attacker.x - victim.x, dz = attacker.z - victim.z;
-  const dist = Math.sqrt(dx * dx + dz * dz);
-  if (dist > w.range * 1.2) return false;
-  
-  // Raycast: check if attacker's view line passes through victim's hitbox
-  // Attacker position + direction * distance should intersect victim's cylinder
-  if (!attackDir) return true; // Fallback if direction not provided
-  
-  const rayOrigin = { x: attacker.x, y: attacker.y, z: attacker.z };
-  const rayDir = { 
-    x: attackDir.dx || 0, 
-    y: attackDir.dy || 0, 
-    z: attackDir.dz || 0 
-  };
-  
-  // Victim hitbox: cylinder at (victim.x, victim.y, victim.z) with radius 0.4, height 2
-  const victimCenter = { x: victim.x, y: victim.y, z: victim.z };
-  const victimRadius = 0.4;
-  const victimHeight = 2;
-  
-  // Check ray-cylinder intersection
-  const toVictim = {
-    x: victimCenter.x - rayOrigin.x,
-    y: victimCenter.y - rayOrigin.y,
-    z: victimCenter.z - rayOrigin.z,
-  };
-  
-  // Project to 2D (xz plane, ignore y for horizontal check)
-  const rayLen2D = Math.sqrt(rayDir.x * rayDir.x + rayDir.z * rayDir.z);
-  const rayDirNorm = { x: rayDir.x / rayLen2D, z: rayDir.z / rayLen2D };
-  
-  const projDot = toVictim.x * rayDirNorm.x + toVictim.z * rayDirNorm.z;
-  if (projDot < 0) return false; // Victim is behind attacker
-  
-  const closest = {
-    x: rayOrigin.x + rayDirNorm.x * projDot,
-    z: rayOrigin.z + rayDirNorm.z * projDot,
-  };
-  
-  const perpDist = Math.sqrt(
-    (closest.x - victimCenter.x) ** 2 +
-    (closest.z - victimCenter.z) ** 2
-  );
-  
-  // Check vertical overlap
-  const yOverlap = Math.abs(rayOrigin.y - victimCenter.y) < victimHeight / 2;
-  
-  return perpDist < victimRadius && yOverlap;
+function enqueue(sock, data) {
+  const account = sock.data.account;
+  const key = account ? accountKey(account) : playerNameFor(sock, data.name);
+  const ticket = { id: sock.id, mode: data.mode, rating: statsStore.getRating(key).rating, joinedAt: clock.now(), data };
+  queue.set(sock.id, ticket);
+  if (!queueInterval) queueInterval = clock.setInterval(runMatchmaker, QUEUE_TICK_MS);
+  return ticket;
 }
 
-function validateHit(attacker, victim, weaponIdx) {
-  // Fallback to simple distance check
-  const w = WEAPONS[weaponIdx];
-  if (!w) return false;
-  const dx = attacker.x - victim.x, dz = attacker.z - victim.z;
-  const dist = Math.sqrt(dx * dx + dz * dz);
-  return dist <= w.range * 1.2;
+function dequeue(sid) {
+  if (!queue.delete(sid) || queue.size) return;
+  clock.clearInterval(queueInterval);
+  queueInterval = null;
+}
+
+function runMatchmaker(now = clock.now()) {
+  for (const group of findMatches(queue.values(), now)) {
+    if (rooms.size >= MAX_ROOMS) break;
+    startMatchmadeRoom(group);
+  }
+  const searching = {};
+  for (const t of queue.values()) searching[t.mode] = (searching[t.mode] || 0) + 1;
+  for (const t of queue.values()) {
+    io.to(t.id).emit('queue-status', { mode: t.mode, waited: Math.floor((now - t.joinedAt) / 1000),
+      range: Math.round(searchRange(t, now)), searching: searching[t.mode] });
+  }
+}
+
+function startMatchmadeRoom(group) {
+  const room = createRoom({ mode: group[0].mode }, { taken: roomOwner });
+  room.name = `Matchmade ${room.mode} ${room.code}`;
+  room.matchmade = true;
+  for (const t of group) {
+    dequeue(t.id);
+    const sock = io.sockets.sockets.get(t.id);
+    if (!sock) continue;
+    addPlayer(sock, room, playerIdentity(sock, t.data), t.data.binary, (p) => {
+      p.ready = true;
+      sock.emit('match-found', { code: room.code, session: p.session });
+    });
+  }
+  if (room.players.size === 0) { rooms.delete(room.code); return; }
+  if (modeOf(room).teams) balanceTeams(room);
+  if (room.players.size >= QUEUE_MIN_PLAYERS) startCountdown(room, matchHooks, QUEUE_COUNTDOWN);
+  else io.to(room.code).emit('room-state', getRoomState(room)); // everyone else dropped; ready up for the next
 }
 
 // ============================================================
-//  SOCKET.IO CONNECTION HANDLING
+//  CLUSTER — several instances behind one address
 // ============================================================
-// Track total players online
-let totalPlayersOnline = 0;
+// A room lives on the instance that created it, with every socket in it connected there, so game
+// traffic never leaves the process. What is shared goes through Redis (CLUSTER_URL) with the
+// Socket.io Redis adapter: broadcasts to everyone (server messages) and each instance's state, sent
+// every CLUSTER_STATE_MS and whenever its rooms or players change. Those states are the room
+// directory: which instance owns which code, the global room list and the player count. Links to
+// and joins of a room on another instance are sent to that instance's PUBLIC_URL. Accounts and
+// careers are kept in Redis too (see shareStore), so tokens, reserved names and stats work on every
+// instance. Without CLUSTER_URL the server runs alone as before. Replays and the matchmaking queue
+// stay with each instance.
+const CLUSTER_URL = process.env.CLUSTER_URL || ''; // redis://host:port
+const INSTANCE_ID = process.env.INSTANCE_ID || crypto.randomBytes(4).toString('hex');
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, ''); // how players reach this instance
+const CLUSTER_PREFIX = 'cockblaster';
+const CLUSTER_STATE_MS = 2000;
+const CLUSTER_TIMEOUT_MS = 3 * CLUSTER_STATE_MS; // an instance this quiet is gone, with its rooms
+
+const cluster = {
+  redis: null,          // { pub, sub }, set by startCluster
+  instance: INSTANCE_ID,
+  url: PUBLIC_URL,
+  peers: new Map(),     // instance -> { url, rooms, codes, players, seen }
+  stores: new Map(),    // 'accounts' / 'stats' -> the store shared under that name
+  timer: null,
+  lastList: '',         // what our sockets were last sent, to skip repeats
+  lastCount: -1,
+};
 
-function updatePlayerCount() {
-  totalPlayersOnline = 0;
-  for (const room of rooms.values()) {
-    totalPlayersOnline += room.players.size;
+// The two connections the adapter needs: one for commands and publishing, one only subscribed.
+// node-redis reconnects on its own. RESP2 is spoken by every Redis and Redis-compatible service.
+async function connectRedis(url) {
+  const pub = createClient({ url, RESP: 2 });
+  const sub = pub.duplicate();
+  for (const c of [pub, sub]) c.on('error', err => console.warn(`[cluster] redis: ${err.message}`));
+  await Promise.all([pub.connect(), sub.connect()]);
+  return { pub, sub };
+}
+
+// The Redis adapter, except that broadcasts to rooms or sockets stay local (they all live here);
+// broadcasts to everyone and server-side emits cross
+class ClusterAdapter extends RedisAdapter {
+  broadcast(packet, opts) {
+    if (opts.rooms.size) return Adapter.prototype.broadcast.call(this, packet, opts);
+    return super.broadcast(packet, opts);
   }
-  io.emit('player-count', { count: totalPlayersOnline });
 }
 
+// Socket.io constructs adapters with `new`, so this is a function, not an arrow
+function clusterAdapter({ pub, sub }) {
+  return function (nsp) {
+    return new ClusterAdapter(nsp, pub, sub, { key: CLUSTER_PREFIX });
+  };
+}
+
+const recordFields = records => Object.fromEntries(records.map(([id, rec]) => [id, JSON.stringify(rec)]));
+
+// A store lives in a Redis hash, one field per record: the first instance seeds it from its file
+// and every instance takes what is there when it joins. Reads stay in memory. A change is written
+// to the hash and sent to the other instances, which take the record as it is; a record only
+// changes where its player is playing, so the last write winning is fine.
+async function shareStore(name, store) {
+  const hash = `${CLUSTER_PREFIX}:${name}`;
+  const shared = await cluster.redis.pub.hGetAll(hash);
+  if (Object.keys(shared).length) store.put(Object.entries(shared).map(([id, json]) => [id, JSON.parse(json)]));
+  const ours = [...store.records()].filter(([id]) => !Object.hasOwn(shared, id));
+  if (ours.length) await cluster.redis.pub.hSet(hash, recordFields(ours));
+  cluster.stores.set(name, store);
+  store.onChange = ids => publishRecords(name, store, ids);
+}
+
+function publishRecords(name, store, ids) {
+  const records = ids.map(id => [id, store.record(id)]).filter(([, rec]) => rec);
+  if (!cluster.redis || !records.length) return;
+  io.serverSideEmit('cluster-records', { store: name, records });
+  cluster.redis.pub.hSet(`${CLUSTER_PREFIX}:${name}`, recordFields(records))
+    .catch(err => console.warn(`[cluster] could not save ${name}: ${err.message}`));
+}
+
+function onPeerRecords(msg) {
+  const store = cluster.stores.get(msg && msg.store);
+  if (!store || !Array.isArray(msg.records)) return;
+  store.put(msg.records.filter(r => Array.isArray(r) && typeof r[0] === 'string' && r[1] && typeof r[1] === 'object'));
+}
+
+// Usernames are claimed in Redis before one is handed out, so two instances can't give away the
+// same name at once. Alone, the store's own check is enough.
+async function claimUsername(username, account) {
+  if (!cluster.redis) return true;
+  const hash = `${CLUSTER_PREFIX}:usernames`, key = statKey(username);
+  if (await cluster.redis.pub.hSetNX(hash, key, account.id)) return true;
+  return await cluster.redis.pub.hGet(hash, key) === account.id;
+}
+
+// Joins the cluster through `redis` (from connectRedis). `url` is where players reach this
+// instance. Resolves once the shared accounts and careers are loaded, before any player is let in.
+async function startCluster(redis, { instance = INSTANCE_ID, url = PUBLIC_URL } = {}) {
+  cluster.redis = redis;
+  cluster.instance = instance;
+  cluster.url = url.replace(/\/+$/, '');
+  io.adapter(clusterAdapter(redis));
+  await shareStore('accounts', accountStore);
+  await shareStore('stats', statsStore);
+  const names = [...accountStore.records()].filter(([, account]) => account.username);
+  await Promise.all(names.map(([id, account]) => redis.pub.hSetNX(`${CLUSTER_PREFIX}:usernames`, statKey(account.username), id)));
+  shareClusterState();
+  cluster.timer = setInterval(() => {
+    prunePeers();
+    shareClusterState();
+  }, CLUSTER_STATE_MS);
+  cluster.timer.unref();
+}
+
+// Tells the others we're going, so our rooms leave their lists right away
+function stopCluster() {
+  if (!cluster.redis) return;
+  clearInterval(cluster.timer);
+  io.serverSideEmit('cluster-leave', cluster.instance);
+  io.of('/').adapter.close();
+  for (const store of cluster.stores.values()) store.onChange = null;
+  cluster.stores.clear();
+  cluster.peers.clear();
+  cluster.redis = null;
+}
+
+function localPlayerCount() {
+  let count = 0;
+  for (const room of rooms.values()) count += humanCount(room);
+  return count;
+}
+
+function shareClusterState() {
+  if (!cluster.redis) return;
+  io.serverSideEmit('cluster-state', { instance: cluster.instance, url: cluster.url, rooms: getRoomList(),
+    codes: [...rooms.keys()], players: localPlayerCount() });
+}
+
+function onPeerState(state, now = Date.now()) {
+  if (!state || typeof state.instance !== 'string' || state.instance === cluster.instance) return;
+  cluster.peers.set(state.instance, {
+    url: String(state.url || ''), rooms: Array.isArray(state.rooms) ? state.rooms : [],
+    codes: Array.isArray(state.codes) ? state.codes : [], players: Number(state.players) || 0, seen: now,
+  });
+  sendClusterLists();
+}
+
+function onPeerLeave(instance) {
+  if (cluster.peers.delete(instance)) sendClusterLists();
+}
+
+// Instances that stopped talking (crashed, or cut off from Redis) take their rooms with them
+function prunePeers(now = Date.now()) {
+  let dropped = false;
+  for (const [id, peer] of cluster.peers) {
+    if (now - peer.seen > CLUSTER_TIMEOUT_MS) { cluster.peers.delete(id); dropped = true; }
+  }
+  if (dropped) sendClusterLists();
+}
+
+// Every public room on every instance
+function globalRoomList() {
+  const list = getRoomList();
+  for (const peer of cluster.peers.values()) list.push(...peer.rooms);
+  return list;
+}
+
+function globalPlayerCount() {
+  let count = localPlayerCount();
+  for (const peer of cluster.peers.values()) count += peer.players;
+  return count;
+}
+
+// The other instance a room code lives on ({ instance, url }), or null when it's here or nowhere
+function roomOwner(code) {
+  if (!code || rooms.has(code)) return null;
+  for (const [instance, peer] of cluster.peers) if (peer.codes.includes(code)) return { instance, url: peer.url };
+  return null;
+}
+
+// The global list and count to this instance's sockets, when they changed
+function sendClusterLists() {
+  const list = globalRoomList(), json = JSON.stringify(list);
+  if (json !== cluster.lastList) {
+    cluster.lastList = json;
+    io.local.emit('room-list', list);
+  }
+  totalPlayersOnline = globalPlayerCount();
+  if (totalPlayersOnline !== cluster.lastCount) {
+    cluster.lastCount = totalPlayersOnline;
+    io.local.emit('player-count', { total: totalPlayersOnline });
+  }
+}
+
+io.on('cluster-state', state => onPeerState(state));
+io.on('cluster-leave', instance => onPeerLeave(instance));
+io.on('cluster-records', msg => onPeerRecords(msg));
+
+// ============================================================
+//  MATCH HOOKS — what lib/tick.js calls back into here while a match runs
+// ============================================================
+const matchHooks = {
+  onTick: (room, now) => { if (!modeOf(room).coop) updateSightlines(room, now); },
+  onEnd: (room, winner, scoreboard) => { recordMatchStats(room, winner, scoreboard); saveReplay(room, winner, scoreboard); },
+  onTickTime: recordTickTime,
+};
+
+// ============================================================
+//  SOCKET.IO CONNECTION HANDLING
+// ============================================================
+// Where a socket really comes from, for bans. Behind TRUST_PROXY proxies (Render has one) the
+// connection is the proxy's, and each proxy appends the address it heard from to X-Forwarded-For:
+// the entry that many places from the end was added by our own proxy. Anything further left is
+// whatever the client chose to send.
+function clientAddress(socket, proxies = TRUST_PROXY) {
+  const hs = socket.handshake;
+  if (!proxies) return hs.address;
+  const chain = String(hs.headers['x-forwarded-for'] || '').split(',').map(a => a.trim()).filter(Boolean);
+  return chain[Math.max(0, chain.length - proxies)] || hs.address;
+}
+
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
   console.log(`[+] ${socket.id} connected`);
+  socket.onAny(() => countEvent());
 
   // Send room list on connect
-  socket.emit('room-list', getRoomList());
-  
-  // Send initial player count
-  socket.emit('player-count', { count: totalPlayersOnline });
+  socket.emit('room-list', globalRoomList());
+
+  // IMPROVEMENT #2: Measure round trip server-side so clients can't under-report latency
+  socket.data.rtt = 0;
+  socket.data.chat = createChatState(); // per connection, so rejoining a room doesn't reset the limits
+  const rttProbe = setInterval(() => {
+    const sent = Date.now();
+    socket.timeout(RTT_PROBE_MS).emit('rtt-probe', sent, (err) => {
+      if (err) return;
+      const sample = Date.now() - sent;
+      socket.data.rtt = socket.data.rtt ? socket.data.rtt * 0.8 + sample * 0.2 : sample;
+    });
+  }, RTT_PROBE_MS);
   
   // Send current player count
   socket.emit('player-count', { total: totalPlayersOnline });
+  // Who this socket is; a token only when a new one was issued for it
+  socket.emit('account', { ...publicAccount(socket.data.account), token: socket.data.newToken });
 
   // ---------- LOBBY ----------
 
   socket.on('create-room', (opts, cb) => {
     if (rooms.size >= MAX_ROOMS) return cb?.({ error: 'Server full' });
-    const room = createRoom(opts || {});
+    const room = createRoom(opts || {}, { taken: roomOwner });
+    room.host = socket.id; // takes effect when the creator joins
     cb?.({ code: room.code });
-    io.emit('room-list', getRoomList()); // broadcast updated list
+    roomsChanged();
+  });
+
+  socket.on('queue', (data, cb) => {
+    if (!data || !MODES.includes(data.mode)) return cb?.({ error: 'Unknown mode' });
+    if (cheatBanFor(clientAddress(socket))) return cb?.({ error: 'You are temporarily banned' });
+    const reserved = reservedNameError(socket, data.name);
+    if (reserved) return cb?.({ error: reserved });
+    leaveCurrentRoom(socket);
+    const ticket = enqueue(socket, data);
+    cb?.({ ok: true, rating: ticket.rating });
   });
 
+  socket.on('leave-queue', () => dequeue(socket.id));
+
   socket.on('join-room', (data, cb) => {
-    const { code, name, color, hat, skinId, effectId } = data || {};
+    const { code, name, binary, spectate, password } = data || {};
     const room = rooms.get(code?.toUpperCase());
-    if (!room) return cb?.({ error: 'Room not found' });
-    if (room.players.size >= room.maxPlayers) return cb?.({ error: 'Room full' });
-    if (room.state === 'playing') return cb?.({ error: 'Game in progress' });
+    if (!room) {
+      const owner = roomOwner(code?.toUpperCase());
+      if (owner) return cb?.({ error: 'That room is on another server', redirect: `${owner.url}/room/${code.toUpperCase()}` });
+      return cb?.({ error: 'Room not found' });
+    }
+    dequeue(socket.id);
+    if (room.bans.has(clientAddress(socket))) return cb?.({ error: 'You are banned from this room' });
+    if (cheatBanFor(clientAddress(socket))) return cb?.({ error: 'You are temporarily banned' });
+    if (room.password && password !== room.password) {
+      return cb?.({ error: password ? 'Wrong password' : 'Password required', needPassword: true });
+    }
+    const reserved = reservedNameError(socket, name);
+    if (reserved) return cb?.({ error: reserved });
+    if (spectate) return addSpectator(socket, room, playerIdentity(socket, { name }), binary, cb);
+    if (humanCount(room) >= room.maxPlayers) return cb?.({ error: 'Room full' }); // bots make way
+    if (room.state === 'playing' && !room.joinInProgress) return cb?.({ error: 'Game in progress' });
 
-    // Leave any current room
+    addPlayer(socket, room, playerIdentity(socket, data), binary, (p) => cb?.({ ok: true, session: p.session }));
+  });
+
+  socket.on('leave-room', () => {
     leaveCurrentRoom(socket);
+  });
 
-    const pState = {
-      name: (name || 'ANON').substring(0, 12),
-      color: color || '#00ffff',
-      hat: hat || 'none',
-      ready: false,
-      team: room.mode === 'team-deathmatch' ? getTeam(room) : null,
-      x: 0, y: 1.6, z: 0,
-      yaw: 0, pitch: 0,
-      vx: 0, vy: 0, vz: 0, // IMPROVEMENT #3: Physics velocity
-      hp: 100, alive: true,
-      kills: 0, deaths: 0, score: 0,
-      weapon: 0, lastShot: 0,
-      gunGameLevel: 0,
-      respawnTimer: 0,
-      lastMoveTime: Date.now(),
-      grounded: true,
-      lastFloorY: 1.6,
-      spawnProtectionTimer: 0,
-      // IMPROVEMENT #11: Cosmetics progression
-      skinId: skinId || 'default',
-      effectId: effectId || 'default',
-      // IMPROVEMENT #10: Scoring stats
-      headshots: 0,
-      killStreak: 0,
-      assists: new Map(),
-      // IMPROVEMENT #2: Latency compensation
-      replayBuffer: new ReplayBuffer(5),
-    };
-    room.players.set(socket.id, pState);
+  // A dropped client (or a reloaded page) presents its session token to take its slot back
+  socket.on('resume', (data, cb) => {
+    const { session, binary } = data || {};
+    const found = findSession(session);
+    if (!found) return cb?.({ error: 'Session expired' });
+    const { room, sid: oldId } = found;
+    if (oldId === socket.id) return cb?.({ ok: true, code: room.code, session });
+
+    // The old socket may not have noticed it's dead yet
+    const old = io.sockets.sockets.get(oldId);
+    if (old) { old.leave(room.code); old.data.roomCode = null; old.disconnect(true); }
+    leaveCurrentRoom(socket);
+
+    const p = resumePlayer(room, oldId, socket.id, binary);
     socket.join(room.code);
     socket.data.roomCode = room.code;
 
-    cb?.({ ok: true });
+    cb?.({ ok: true, code: room.code, session });
+    socket.emit('chat-history', chatHistoryFor(room, { key: chatKey(p), team: p.team, chat: socket.data.chat }));
+    if (room.state === 'playing') {
+      socket.emit('game-start', gameStartPayload(room));
+      socket.emit('ammo', getAmmoState(p));
+    }
+    socket.to(room.code).emit('player-resumed', { oldId, id: socket.id, name: p.name });
     io.to(room.code).emit('room-state', getRoomState(room));
-    io.to(room.code).emit('chat', { from: 'SYSTEM', msg: `${pState.name} joined` });
-    io.emit('room-list', getRoomList());
-    updatePlayerCount(); // Update player count
-    updatePlayerCount(); // Update online player count
-  });
-
-  socket.on('leave-room', () => {
-    leaveCurrentRoom(socket);
+    systemChat(room, `${p.name} reconnected`);
   });
 
+  // msg: text, or { msg, team } for the team channel
   socket.on('chat', (msg) => {
     const room = rooms.get(socket.data.roomCode);
     if (!room) return;
-    const p = room.players.get(socket.id);
+    const p = room.players.get(socket.id) || room.spectators.get(socket.id);
     if (!p) return;
-    const text = String(msg).substring(0, 200);
-    room.chat.push({ from: p.name, msg: text });
-    if (room.chat.length > 100) room.chat.shift();
-    io.to(room.code).emit('chat', { from: p.name, msg: text });
+    handleChat(socket, room, p, msg);
   });
 
   socket.on('ready', (val) => {
@@ -645,23 +1583,45 @@ io.on('connection', (socket) => {
     if (!p) return;
     p.ready = !!val;
     io.to(room.code).emit('room-state', getRoomState(room));
+    // Hosted rooms wait for the host to press start
+    if (!room.host && canStartMatch(room)) startCountdown(room, matchHooks);
+  });
 
-    // Check if all ready (need at least 2)
-    if (room.players.size >= 2) {
-      let allReady = true;
-      for (const pl of room.players.values()) { if (!pl.ready) { allReady = false; break; } }
-      if (allReady) {
-        room.state = 'countdown';
-        room.countdownTimer = 3;
-        startRoomTick(room);
-        io.to(room.code).emit('room-state', getRoomState(room));
-      }
-    }
+  // ---------- HOST CONTROLS ----------
+
+  socket.on('start-match', (cb) => {
+    const room = hostedRoom(socket);
+    if (!room) return cb?.({ error: 'Only the host can start the match' });
+    if (room.state !== 'lobby') return cb?.({ error: 'Match already running' });
+    if (!canStartMatch(room)) return cb?.({ error: 'Everyone needs to be ready (2 players minimum)' });
+    startCountdown(room, matchHooks);
+    cb?.({ ok: true });
+  });
+
+  socket.on('room-settings', (settings, cb) => {
+    const room = hostedRoom(socket);
+    if (!room) return cb?.({ error: 'Only the host can change settings' });
+    if (room.state !== 'lobby') return cb?.({ error: 'Settings can only change in the lobby' });
+    applyRoomSettings(room, settings || {});
+    for (const p of room.players.values()) p.ready = !!p.bot; // agree to the new setup
+    cb?.({ ok: true });
+    io.to(room.code).emit('room-state', getRoomState(room));
+    roomsChanged();
+  });
+
+  // Kick (or ban, by address) a player or spectator; they can't come back while banned
+  socket.on('kick', (data, cb) => {
+    const room = hostedRoom(socket);
+    if (!room) return cb?.({ error: 'Only the host can kick' });
+    const { id, ban } = data || {};
+    if (id === socket.id) return cb?.({ error: "You can't kick yourself" });
+    if (!kickFromRoom(room, id, ban)) return cb?.({ error: 'No such player' });
+    cb?.({ ok: true });
   });
 
   socket.on('switch-team', () => {
     const room = rooms.get(socket.data.roomCode);
-    if (!room || room.mode !== 'team-deathmatch' || room.state !== 'lobby') return;
+    if (!room || !isTeamMode(room.mode) || room.state !== 'lobby') return;
     const p = room.players.get(socket.id);
     if (!p) return;
     p.team = p.team === 'red' ? 'blue' : 'red';
@@ -670,90 +1630,90 @@ io.on('connection', (socket) => {
 
   // ---------- IN-GAME ----------
 
-  socket.on('move', (data) => {
+  // IMPROVEMENT #3: Sequenced movement inputs, simulated here with wall collision
+  socket.on('input', (data) => {
     const room = rooms.get(socket.data.roomCode);
-    if (!room || room.state !== 'playing') return;
+    if (!room || room.state !== 'playing' || !data) return;
     const p = room.players.get(socket.id);
-    if (!p || !p.alive) return;
-
-    const now = Date.now();
-    const dt = (now - p.lastMoveTime) / 1000;
-    p.lastMoveTime = now;
-
-    const next = { x: data.x, z: data.z };
-    if (!validateMove(p, next, dt)) return; // anti-cheat reject
-
-    p.x = data.x;
-    p.z = data.z;
-    
-    // PART 1: Jump mechanic - server-side validation
-    if (data.jump && p.grounded) {
-      p.vy = JUMP_POWER; // Jump velocity (8 units/s)
-      p.grounded = false;
-      // Broadcast jump event to all players for visual effects
-      io.to(room.code).emit('player-jump', { id: socket.id, x: p.x, y: p.y, z: p.z });
+    if (!p) {
+      const spec = room.spectators.get(socket.id);
+      if (spec) acknowledgeSnapshot(spec.net, data.ack); // spectators only ack snapshots
+      return;
     }
-    
-    // IMPROVEMENT #3: Physics - apply gravity and update vertical position
-    p.vy -= GRAVITY * dt;
-    p.y += p.vy * dt;
-    
-    // Floor collision and landing
-    if (p.y <= 1.6) {
-      const fallHeight = Math.max(0, p.lastFloorY - 1.6);
-      if (fallHeight > 3 && p.vy < 0) {
-        // Fall damage
-        const fallDamage = (fallHeight - 3) * 2;
-        p.hp -= fallDamage;
-        if (p.hp <= 0) { p.hp = 0; p.alive = false; p.deaths++; p.respawnTimer = 3; }
-      }
-      if (!p.grounded && p.vy < 0) {
-        // Broadcast landing event
-        io.to(room.code).emit('player-land', { id: socket.id, x: p.x, y: p.y, z: p.z });
-      }
-      p.y = 1.6;
-      p.vy = 0;
-      p.grounded = true;
-      p.lastFloorY = 1.6;
-    } else {
-      p.grounded = false;
+    const colliders = (MAP_DEFS[room.map] || MAP_DEFS.arena).colliders;
+
+    const inputs = Array.isArray(data.inputs) ? data.inputs.slice(0, MAX_INPUTS_PER_PACKET) : [];
+    let turnTime = 0;
+    for (const raw of inputs) {
+      const input = sanitizeInput(raw);
+      if (!input) { rejectPacket(room, p, 'input'); continue; }
+      if (input.seq <= p.lastInputSeq) continue; // duplicate or reordered
+      p.lastInputSeq = input.seq; // acknowledged even when dropped, so the client snaps back
+      if (!p.alive || p.down) continue;
+      if (!spendMoveBudget(p, input.dt)) { rejectPacket(room, p, 'speed'); continue; }
+      turnTime += input.dt;
+      movePlayer(room, socket.id, p, input, colliders);
     }
-    
-    // IMPROVEMENT #2: Latency compensation - use replay buffer
-    if (data.clientTime) {
-      const replayState = p.replayBuffer?.getAtTime(data.clientTime);
-      if (replayState) {
-        p.x = replayState.x;
-        p.z = replayState.z;
-      }
+
+    acknowledgeSnapshot(p.net, data.ack);
+    if (isNum(data.pitch)) p.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, data.pitch));
+    trackAim(p, turnTime);
+    if (weaponIndex(data) !== null) p.weapon = data.weapon;
+    // Switching weapons cancels a reload in progress
+    if (p.reloading && p.reloading.weapon !== p.weapon) {
+      p.reloading = null;
+      socket.emit('ammo', getAmmoState(p));
     }
-    
-    p.yaw = data.yaw || 0;
-    p.pitch = data.pitch || 0;
-    p.weapon = Math.max(0, Math.min(5, data.weapon || 0));
   });
 
   socket.on('shoot', (data) => {
     const room = rooms.get(socket.data.roomCode);
     if (!room || room.state !== 'playing') return;
     const p = room.players.get(socket.id);
-    if (!p || !p.alive) return;
+    if (!p || !p.alive || p.down) return;
 
-    const weaponIdx = Math.max(0, Math.min(5, data.weapon || 0));
-    if (!validateFireRate(p, weaponIdx)) return; // anti-cheat
-    
-    // IMPROVEMENT #4: Ammo limits and magazine system (if implemented client-side)
-    // Server could track ammo, but for now trust client with visual feedback
+    const weaponIdx = weaponIndex(data);
+    if (weaponIdx === null) return;
+    if (p.reloading || p.ammo[weaponIdx].mag <= 0) {
+      // Empty magazine or mid-reload: reject and resync the client's counter
+      return socket.emit('ammo', getAmmoState(p));
+    }
+    if (!validateFireRate(p, weaponIdx)) return rejectPacket(room, p, 'fire-rate'); // anti-cheat
+    consumeAmmo(p, weaponIdx);
+
+    // Rockets are simulated here; every client renders them from 'projectile-spawn'
+    if (WEAPONS[weaponIdx].explosive) {
+      const dir = normalize({ x: data.dx, y: data.dy, z: data.dz });
+      if (dir) spawnProjectile(room, socket.id, 'rocket', launchOrigin(p, data), dir);
+      return;
+    }
+    grantShotCredits(p, weaponIdx);
 
     // Broadcast bullet to all other players for visual rendering
     // IMPROVEMENT #8: Include direction for raycasting validation
-    socket.to(room.code).emit('bullet', {
+    const bullet = {
       owner: socket.id,
       x: data.x, y: data.y, z: data.z,
       dx: data.dx, dy: data.dy, dz: data.dz,
       weapon: weaponIdx,
-      isHeadshot: data.isHeadshot,
-    });
+    };
+    socket.to(room.code).emit('bullet', bullet);
+    if (room.replay) room.replay.event(room, 'bullet', bullet);
+  });
+
+  socket.on('grenade', (data) => {
+    const room = rooms.get(socket.data.roomCode);
+    if (!room || room.state !== 'playing' || !data) return;
+    const p = room.players.get(socket.id);
+    if (!p || !p.alive || p.down || p.grenades <= 0) return;
+    const now = clock.now();
+    if (now - p.lastGrenade < GRENADE_COOLDOWN * 1000) return;
+    const dir = normalize({ x: data.dx, y: data.dy, z: data.dz });
+    if (!dir) return;
+    p.lastGrenade = now;
+    p.grenades--;
+    spawnProjectile(room, socket.id, 'grenade', launchOrigin(p, data), dir);
+    socket.emit('ammo', getAmmoState(p));
   });
 
   socket.on('hit', (data) => {
@@ -761,100 +1721,64 @@ io.on('connection', (socket) => {
     const room = rooms.get(socket.data.roomCode);
     if (!room || room.state !== 'playing') return;
     const attacker = room.players.get(socket.id);
-    if (!attacker || !attacker.alive) return;
+    if (!attacker || !attacker.alive || attacker.down) return;
 
+    const weaponIdx = weaponIndex(data);
+    if (weaponIdx === null) return;
     const victim = room.players.get(data.targetId);
     if (!victim || !victim.alive) return;
 
     // IMPROVEMENT #9: Spawn protection
     if (victim.spawnProtectionTimer > 0) return; // Can't damage spawn-protected players
 
-    // Team check
-    if (room.mode === 'team-deathmatch' && attacker.team === victim.team) return;
+    if (WEAPONS[weaponIdx].explosive) return; // rockets resolve themselves (see lib/projectiles.js)
 
-    const weaponIdx = Math.max(0, Math.min(5, data.weapon || 0));
+    // Every reported hit must be backed by a shot the server accepted
+    if (!useShotCredit(attacker, weaponIdx)) return rejectPacket(room, attacker, 'no-shot');
     
-    // IMPROVEMENT #8: Anti-cheat with raycasting and direction validation
-    if (!validateHitWithRaycast(attacker, victim, weaponIdx, data.direction)) {
-      return; // anti-cheat reject
-    }
+    // IMPROVEMENT #2: Validate against where the victim was on the attacker's screen
+    const pose = getLagCompensatedPose(victim, socket.data.rtt, clock.now());
+    if (!pose.alive) return;
 
-    const w = WEAPONS[weaponIdx];
-    let dmg = w.dmg;
-    
-    // IMPROVEMENT #10: Headshot bonus
-    if (data.headshot) {
-      dmg *= 2.0; // 2x multiplier for headshots
-      attacker.headshots++;
-    }
-    
-    // Rocket splash damage (IMPROVEMENT #4)
-    if (w.explosive && data.hitPos && w.splashRadius > 0) {
-      // Apply splash damage to nearby enemies
-      for (const [, otherVictim] of room.players) {
-        if (!otherVictim.alive || otherVictim === victim) continue;
-        const dx = otherVictim.x - data.hitPos.x;
-        const dz = otherVictim.z - data.hitPos.z;
-        const dist = Math.sqrt(dx * dx + dz * dz);
-        if (dist < w.splashRadius) {
-          const splashDmg = w.dmg * (1 - dist / w.splashRadius) * 0.5;
-          otherVictim.hp -= splashDmg;
-          if (otherVictim.hp <= 0) {
-            otherVictim.hp = 0;
-            otherVictim.alive = false;
-            otherVictim.deaths++;
-            otherVictim.respawnTimer = 3;
-          }
-        }
-      }
-    }
+    // IMPROVEMENT #8: Anti-cheat with raycasting and direction validation
+    const shot = validateHitWithRaycast(attacker, pose, weaponIdx, data.direction, room.map);
+    if (!shot) return rejectPacket(room, attacker, 'bad-hit'); // missed, out of range or behind a wall
 
-    victim.hp -= dmg;
-
-    if (victim.hp <= 0) {
-      victim.hp = 0;
-      victim.alive = false;
-      victim.deaths++;
-      victim.respawnTimer = 3;
-      attacker.kills++;
-      attacker.killStreak++;
-      
-      // IMPROVEMENT #10: Scoring system with assists
-      attacker.score += data.headshot ? 25 : 10;
-      
-      // Give assists to recent damagers
-      for (const [aidId, aidTime] of victim.assists || new Map()) {
-        if (Date.now() - aidTime < 5000) { // 5 second assist window
-          const aider = room.players.get(aidId);
-          if (aider) {
-            aider.score += 5;
-          }
-        }
-      }
+    const headshot = shot.headshot && !WEAPONS[weaponIdx].melee;
+    applyHit(room, socket.id, attacker, data.targetId, victim, weaponIdx, headshot);
+    checkHit(room, attacker, data.targetId, pose, headshot, socket.data.rtt);
+  });
 
-      // Gun game progression
-      if (room.mode === 'gungame') {
-        attacker.gunGameLevel++;
-        attacker.weapon = GUN_GAME_ORDER[Math.min(attacker.gunGameLevel, GUN_GAME_ORDER.length - 1)];
-      }
+  // Co-op: hits on server enemies, checked against the enemy's current position
+  socket.on('hit-enemy', (data) => {
+    const room = rooms.get(socket.data.roomCode);
+    if (!room || room.state !== 'playing' || !room.coop || !data) return;
+    const attacker = room.players.get(socket.id);
+    if (!attacker || !isUp(attacker)) return;
+    const enemy = room.coop.enemies.find(e => e.id === data.enemyId);
+    if (!enemy) return;
+    const weaponIdx = weaponIndex(data);
+    if (weaponIdx === null) return;
+    const w = WEAPONS[weaponIdx];
+    if (w.explosive) return;
+    if (!useShotCredit(attacker, weaponIdx)) return rejectPacket(room, attacker, 'no-shot');
+    if (!traceEnemy(room.map, attacker, data.direction ? { x: data.direction.dx, y: data.direction.dy, z: data.direction.dz } : null,
+      enemy, w.range)) return rejectPacket(room, attacker, 'bad-hit');
+    damageEnemy(room, enemy, w.dmg * (attacker.dmgTimer > 0 ? 2 : 1), attacker, { weapon: weaponIdx });
+  });
 
-      io.to(room.code).emit('kill', {
-        killer: socket.id, killerName: attacker.name,
-        victim: data.targetId, victimName: victim.name,
-        weapon: weaponIdx,
-        headshot: data.headshot ? true : false,
-        killStreak: attacker.killStreak,
-      });
-    } else {
-      // Register assist damage
-      if (!victim.assists) victim.assists = new Map();
-      victim.assists.set(socket.id, Date.now());
-      
-      io.to(room.code).emit('player-damage', {
-        id: data.targetId, hp: victim.hp, attackerId: socket.id,
-        isHeadshot: data.headshot,
-      });
-    }
+  socket.on('reload', (data) => {
+    const room = rooms.get(socket.data.roomCode);
+    if (!room || room.state !== 'playing') return;
+    const p = room.players.get(socket.id);
+    if (!p || !p.alive || p.down) return;
+    // The client may switch and reload before its next move packet arrives
+    if (weaponIndex(data) !== null) p.weapon = data.weapon;
+    if (!canReload(p, p.weapon)) return socket.emit('ammo', getAmmoState(p));
+
+    p.reloading = { weapon: p.weapon, timer: WEAPONS[p.weapon].reloadTime };
+    socket.emit('ammo', getAmmoState(p));
+    socket.to(room.code).emit('player-reload', { id: socket.id, weapon: p.weapon });
   });
 
   // ---------- PING ----------
@@ -864,46 +1788,257 @@ io.on('connection', (socket) => {
 
   // ---------- BROWSE ROOMS ----------
   socket.on('get-rooms', (cb) => {
-    cb?.(getRoomList());
+    cb?.(globalRoomList());
+  });
+
+  // ---------- ACCOUNT ----------
+  socket.on('register', async (data, cb) => {
+    const { username, password } = data || {};
+    cb?.(await registerAccount(socket.data.account, username, password));
+  });
+
+  socket.on('login', async (data, cb) => {
+    const { username, password } = data || {};
+    const refused = checkLoginRate(socket, username, clock.now());
+    if (refused) return cb?.({ error: refused });
+    const result = await loginAccount(username, password);
+    if (result.error || !socket.connected) return cb?.(result);
+    cb?.(switchAccount(socket, result.account, result.token));
+  });
+
+  // Signs this device out; it carries on as a brand new guest
+  socket.on('logout', (data, cb) => {
+    const { token } = data || {};
+    if (typeof token === 'string' && accountStore.findByToken(token) === socket.data.account) accountStore.revokeToken(token);
+    const guest = accountStore.createGuest();
+    cb?.(switchAccount(socket, guest.account, guest.token));
+  });
+
+  socket.on('get-profile', (cb) => {
+    const account = socket.data.account;
+    const profile = statsStore.getProfile(accountKey(account));
+    cb?.(describeProfile({ ...profile, name: account.username || '' }));
   });
 
   // ---------- DISCONNECT ----------
   socket.on('disconnect', () => {
     console.log(`[-] ${socket.id} disconnected`);
-    leaveCurrentRoom(socket);
+    clearInterval(rttProbe);
+    dequeue(socket.id);
+    leaveCurrentRoom(socket, true);
   });
+});
 
-  function leaveCurrentRoom(sock) {
-    const code = sock.data.roomCode;
-    if (!code) return;
-    const room = rooms.get(code);
-    if (!room) return;
+// ============================================================
+//  ADMIN — dashboard API, Prometheus metrics, health checks
+// ============================================================
+// Everything under /api/admin and /metrics needs ADMIN_TOKEN (the dashboard is public/admin.html,
+// which asks for it). /healthz and /readyz are open for the host's health checks: healthz says the
+// process is up, readyz that it is listening and not shutting down.
+const TICK_SLOW_WINDOW = 0.1; // weight of the newest tick in the moving average
+const EVENT_RATE_SECONDS = 10;
+
+const metrics = {
+  startedAt: Date.now(),
+  ready: false,
+  ticks: 0, tickMsTotal: 0, tickOverruns: 0,
+  events: 0,
+  eventBuckets: new Map(), // whole second → socket events received
+};
 
-    const p = room.players.get(sock.id);
-    const name = p ? p.name : 'Unknown';
-    room.players.delete(sock.id);
-    sock.leave(code);
-    sock.data.roomCode = null;
+// Admin API: disabled unless ADMIN_TOKEN is set; send it as `Authorization: Bearer <token>`
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(404).json({ error: 'Admin API disabled' });
+  const given = Buffer.from(String(req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const want = Buffer.from(ADMIN_TOKEN);
+  if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
 
-    io.to(code).emit('player-left', { id: sock.id, name });
-    io.to(code).emit('chat', { from: 'SYSTEM', msg: `${name} left` });
+// One tick's wall time. An overrun is a tick that took longer than the tick interval itself.
+function recordTickTime(room, ms) {
+  const t = room.tickStats;
+  t.count++;
+  t.lastMs = ms;
+  t.avgMs = t.count === 1 ? ms : t.avgMs + (ms - t.avgMs) * TICK_SLOW_WINDOW;
+  t.maxMs = Math.max(t.maxMs, ms);
+  metrics.ticks++;
+  metrics.tickMsTotal += ms;
+  if (ms > TICK_MS) { t.overruns++; metrics.tickOverruns++; }
+}
 
-    if (room.players.size === 0) {
-      stopRoomTick(room);
-      rooms.delete(code);
-    } else {
-      io.to(code).emit('room-state', getRoomState(room));
-    }
-    io.emit('room-list', getRoomList());
-    updatePlayerCount(); // Update player count
-    updatePlayerCount(); // Update online player count
+function countEvent(now = Date.now()) {
+  metrics.events++;
+  const second = Math.floor(now / 1000);
+  metrics.eventBuckets.set(second, (metrics.eventBuckets.get(second) || 0) + 1);
+  for (const s of metrics.eventBuckets.keys()) if (s < second - EVENT_RATE_SECONDS) metrics.eventBuckets.delete(s);
+}
+
+// Average over the last EVENT_RATE_SECONDS whole seconds
+function eventsPerSecond(now = Date.now()) {
+  const second = Math.floor(now / 1000);
+  let total = 0;
+  for (const [s, n] of metrics.eventBuckets) if (s < second && s >= second - EVENT_RATE_SECONDS) total += n;
+  return total / EVENT_RATE_SECONDS;
+}
+
+function serverOverview(now = Date.now()) {
+  let players = 0, bots = 0, spectators = 0;
+  for (const room of rooms.values()) {
+    const humans = humanCount(room);
+    players += humans; bots += room.players.size - humans; spectators += room.spectators.size;
   }
+  return {
+    uptime: Math.round((now - metrics.startedAt) / 1000), ready: metrics.ready,
+    rooms: rooms.size, players, bots, spectators, sockets: io.engine ? io.engine.clientsCount : 0, queued: queue.size,
+    instance: cluster.instance, instances: 1 + cluster.peers.size, clusterPlayers: globalPlayerCount(),
+    eventsPerSecond: +eventsPerSecond(now).toFixed(1), ticks: metrics.ticks, tickOverruns: metrics.tickOverruns,
+    memoryMb: Math.round(process.memoryUsage().rss / 1048576),
+  };
+}
+
+function adminRoomInfo(room) {
+  const ping = id => Math.round(io.sockets.sockets.get(id)?.data.rtt || 0);
+  const t = room.tickStats;
+  return {
+    code: room.code, name: room.name, mode: room.mode, map: room.map, state: room.state, host: room.host,
+    private: room.private, locked: !!room.password, createdAt: room.createdAt,
+    players: [...room.players].map(([sid, p]) => ({ id: sid, name: p.name, team: p.team, score: p.score,
+      kills: p.kills, deaths: p.deaths, ping: ping(sid), reconnecting: !!p.disconnected, bot: !!p.bot })),
+    spectators: [...room.spectators.values()].map(s => ({ id: s.id, name: s.name, ping: ping(s.id) })),
+    tick: { avgMs: +t.avgMs.toFixed(2), maxMs: +t.maxMs.toFixed(2), lastMs: +t.lastMs.toFixed(2), overruns: t.overruns },
+    bandwidth: getBandwidthStats(room),
+  };
+}
+
+// Prometheus text exposition format
+function renderMetrics(now = Date.now()) {
+  const o = serverOverview(now);
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) lines.push(`${name}${labels} ${value}`);
+  };
+  metric('cockblaster_up_seconds', 'gauge', 'Seconds since the server started.', [['', o.uptime]]);
+  metric('cockblaster_rooms', 'gauge', 'Open rooms.', [['', o.rooms]]);
+  metric('cockblaster_cluster_instances', 'gauge', 'Instances this one can see, itself included.', [['', o.instances]]);
+  metric('cockblaster_players', 'gauge', 'Players in rooms, including ones reconnecting.', [['', o.players]]);
+  metric('cockblaster_bots', 'gauge', 'Bots in rooms.', [['', o.bots]]);
+  metric('cockblaster_spectators', 'gauge', 'Spectators in rooms.', [['', o.spectators]]);
+  metric('cockblaster_sockets', 'gauge', 'Connected sockets.', [['', o.sockets]]);
+  metric('cockblaster_queued', 'gauge', 'Players in the matchmaking queue.', [['', o.queued]]);
+  metric('cockblaster_events_total', 'counter', 'Socket events received.', [['', metrics.events]]);
+  metric('cockblaster_events_per_second', 'gauge', `Socket events per second over the last ${EVENT_RATE_SECONDS}s.`, [['', o.eventsPerSecond]]);
+  metric('cockblaster_ticks_total', 'counter', 'Room ticks run.', [['', metrics.ticks]]);
+  metric('cockblaster_tick_seconds_total', 'counter', 'Time spent in room ticks.', [['', (metrics.tickMsTotal / 1000).toFixed(6)]]);
+  metric('cockblaster_tick_overruns_total', 'counter', `Room ticks that took longer than ${TICK_MS}ms.`, [['', metrics.tickOverruns]]);
+  metric('cockblaster_room_tick_ms', 'gauge', 'Moving average tick time per room.',
+    [...rooms.values()].map(r => [`{room="${r.code}",mode="${r.mode}"}`, r.tickStats.avgMs.toFixed(3)]));
+  metric('cockblaster_room_players', 'gauge', 'Players per room, bots excluded.',
+    [...rooms.values()].map(r => [`{room="${r.code}",mode="${r.mode}"}`, humanCount(r)]));
+  metric('process_resident_memory_bytes', 'gauge', 'Resident memory size.', [['', process.memoryUsage().rss]]);
+  return lines.join('\n') + '\n';
+}
+
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round((Date.now() - metrics.startedAt) / 1000) });
+});
+
+app.get('/readyz', (req, res) => {
+  res.status(metrics.ready ? 200 : 503).json({ ready: metrics.ready, rooms: rooms.size });
+});
+
+app.get('/metrics', requireAdmin, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+app.get('/api/admin/overview', requireAdmin, (req, res) => res.json(serverOverview()));
+
+app.get('/api/admin/rooms', requireAdmin, (req, res) => {
+  res.json([...rooms.values()].map(adminRoomInfo));
+});
+
+app.post('/api/admin/rooms/:code/close', requireAdmin, (req, res) => {
+  const room = rooms.get(req.params.code.toUpperCase());
+  if (!room) return res.status(404).json({ error: 'Room not found' });
+  closeRoom(room, 'The room was closed by an admin');
+  roomsChanged();
+  res.json({ ok: true });
+});
+
+// A message to everyone connected: a banner on every screen, and a line in each room's chat
+app.post('/api/admin/broadcast', requireAdmin, express.json(), (req, res) => {
+  const msg = String(req.body?.msg ?? '').trim().substring(0, CHAT_MAX_LEN);
+  if (!msg) return res.status(400).json({ error: 'Empty message' });
+  io.emit('server-message', { msg });
+  for (const room of rooms.values()) systemChat(room, `[ADMIN] ${msg}`);
+  res.json({ ok: true, sockets: serverOverview().sockets });
 });
 
 // ============================================================
 //  START
 // ============================================================
-server.listen(PORT, () => {
-  console.log(`\n  🔫 CockBlaster.fun server running on port ${PORT}`);
-  console.log(`  → http://localhost:${PORT}\n`);
-});
+// Clustered, players are only let in once the shared accounts and careers are loaded
+async function start() {
+  if (CLUSTER_URL) {
+    await startCluster(await connectRedis(CLUSTER_URL));
+    console.log(`\n  instance ${cluster.instance} (${cluster.url}) joined the cluster at ${CLUSTER_URL}`);
+  }
+  server.listen(PORT, () => {
+    metrics.ready = true;
+    console.log(`\n  🔫 CockBlaster.fun server running on port ${PORT}`);
+    console.log(`  → http://localhost:${PORT}\n`);
+  });
+}
+
+if (require.main === module) {
+  start().catch((err) => {
+    console.error(`Could not start: ${err.message}`);
+    process.exit(1);
+  });
+  // Deploys stop the old instance with SIGTERM: fail readiness first so no new traffic arrives
+  process.on('SIGTERM', () => {
+    metrics.ready = false;
+    stopCluster();
+    io.local.emit('server-message', { msg: 'The server is restarting' }); // only our players are affected
+    server.close(() => process.exit(0));
+    setTimeout(() => process.exit(0), 5000).unref();
+  });
+}
+
+module.exports = {
+  app, server, io, rooms,
+  WEAPONS, TICK_MS, REPLAY_WINDOW_MS,
+  PositionHistory, estimateViewTime, getLagCompensatedPose, validateHitWithRaycast,
+  MAP_DEFS, loadMaps, validateMap, traceShot, hasLineOfSight,
+  MemoryStatsStore, FileStatsStore, setStatsStore, recordMatchStats,
+  ReplayRecorder, ReplayStore, setReplayStore, saveReplay,
+  INPUT_KEYS, sanitizeInput, resetMovement, simulateMove, spendMoveBudget,
+  NET_SCHEMA, createNetState, buildSnapshot, acknowledgeSnapshot, encodeSnapshot, decodeSnapshot,
+  broadcastGameState, resetNetStats, getBandwidthStats,
+  DEFAULT_RATING, DEFAULT_RD, rateMatch, matchPlaces, getTeam, balanceTeams,
+  MemoryAccountStore, FileAccountStore, setAccountStore, authenticateSocket, registerAccount, loginAccount,
+  LOGIN_BURST, LOGIN_REFILL_MS, checkLoginRate,
+  accountKey, reservedNameError, playerNameFor,
+  ACHIEVEMENTS, COSMETICS, matchXp, levelForXp, levelStartXp, equipCosmetics, ownedCosmetics, describeProfile, matchProgress,
+  QUEUE_MATCH_SIZE, QUEUE_FILL_WAIT_MS, searchRange, findMatches,
+  CHAT_BURST, CHAT_STRIKES, setChatFilter, filterChat, createChatState, checkChatRate, chatKey, chatVisibleTo, chatHistoryFor, CHAT_COMMANDS,
+  CHEAT_WINDOW_MS, CHEAT_REJECT_LIMITS, CHEAT_HEADSHOT_SAMPLE, CHEAT_SNAP_HITS, CHEAT_REACTION_HITS, CHEAT_BAN_MS, cheatReports,
+  cheatReportKey, rejectPacket, flagCheat, cheatBanFor, trackAim, updateSightlines, checkHit,
+  metrics, recordTickTime, countEvent, eventsPerSecond, serverOverview, adminRoomInfo, renderMetrics, closeRoom,
+  clientAddress, CLUSTER_TIMEOUT_MS, connectRedis, clusterAdapter, startCluster, stopCluster, claimUsername,
+  onPeerState, prunePeers, globalRoomList, globalPlayerCount, roomOwner,
+  BOT_DIFFICULTY, findPath, botKeys, addBot, humanCount, syncBots, botFire, updateBot, updateBots,
+  createRoom, startCountdown, lateJoin, isTeamMode, newPlayerState, applyHit,
+  applyRoomSettings, advanceRotation, ensureHost, canStartMatch, getRoomList, getRoomState,
+  RECONNECT_GRACE_MS, findSession, rekeyPlayer, suspendPlayer, resumePlayer, removePlayer, mapSupportsMode, initObjective, updateObjective, publicObjective,
+  GAME_MODES, modeOf, resolveRules, applyDamage, killPlayer,
+  spawnProjectile, updateProjectiles, detonate,
+  ENEMY_TYPES, startWave, spawnEnemy, updateEnemy, damageEnemy, updateWaves,
+};
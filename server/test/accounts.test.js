@@ -0,0 +1,156 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  MemoryAccountStore, FileAccountStore, setAccountStore, authenticateSocket, registerAccount, loginAccount,
+  LOGIN_BURST, LOGIN_REFILL_MS, checkLoginRate,
+  accountKey, reservedNameError, playerNameFor, MemoryStatsStore, setStatsStore, recordMatchStats, CHAT_COMMANDS,
+} = require('../server');
+
+function connect(token) {
+  const socket = { handshake: { auth: token ? { token } : {} }, data: {} };
+  authenticateSocket(socket, () => {});
+  return socket;
+}
+
+test('a first connection gets a guest token that brings it back to the same account once kept', () => {
+  const store = new MemoryAccountStore();
+  setAccountStore(store);
+  const first = connect();
+  assert.ok(first.data.newToken);
+  assert.strictEqual(first.data.playerId, first.data.account.id);
+  assert.strictEqual(first.data.account.username, null);
+  assert.deepStrictEqual(store.toJSON(), { accounts: {} }); // nothing stored for a visit
+  assert.notStrictEqual(connect(first.data.newToken).data.playerId, first.data.playerId);
+
+  store.keep(first.data.account);
+  const again = connect(first.data.newToken);
+  assert.strictEqual(again.data.playerId, first.data.playerId);
+  assert.strictEqual(again.data.newToken, undefined);
+  assert.notStrictEqual(connect('made-up').data.playerId, first.data.playerId);
+  assert.ok(!JSON.stringify(store).includes(first.data.newToken)); // only hashes are kept
+});
+
+test('a guest registers, keeps its id, and can log in elsewhere', async () => {
+  setAccountStore(new MemoryAccountStore());
+  const guest = connect().data.account;
+  assert.match((await registerAccount(guest, 'a', 'secret1')).error, /^Usernames/);
+  assert.match((await registerAccount(guest, 'Ace', '123')).error, /^Passwords/);
+
+  const registered = await registerAccount(guest, 'Ace', 'secret1');
+  assert.deepStrictEqual(registered, { ok: true, account: { id: guest.id, username: 'Ace', guest: false } });
+  assert.strictEqual((await registerAccount(guest, 'Ace2', 'secret1')).error, 'Already registered');
+  assert.strictEqual((await registerAccount(connect().data.account, 'ACE', 'secret1')).error, 'Username taken');
+
+  assert.strictEqual((await loginAccount('ace', 'wrong-pw')).error, 'Wrong username or password');
+  assert.strictEqual((await loginAccount('nobody', 'secret1')).error, 'Wrong username or password');
+  const login = await loginAccount('ace', 'secret1');
+  assert.strictEqual(login.account, guest);
+  assert.strictEqual(connect(login.token).data.playerId, guest.id);
+});
+
+test('login attempts are limited per socket, address and username', () => {
+  const from = address => ({ handshake: { address, headers: {} }, data: {} });
+  const now = 1e6;
+  const first = from('10.0.0.1');
+  for (let i = 0; i < LOGIN_BURST; i++) assert.strictEqual(checkLoginRate(first, 'Victim', now), null);
+  assert.match(checkLoginRate(first, 'victim', now), /^Too many login attempts/);
+
+  const elsewhere = from('10.0.0.2');
+  assert.match(checkLoginRate(elsewhere, 'VICTIM', now), /^Too many/, 'the username is spent, whoever asks');
+  assert.strictEqual(checkLoginRate(elsewhere, 'someone', now), null);
+  assert.match(checkLoginRate(from('10.0.0.1'), 'someone-else', now), /^Too many/, 'so is the address');
+
+  assert.strictEqual(checkLoginRate(first, 'victim', now + LOGIN_REFILL_MS), null);
+  assert.match(checkLoginRate(first, 'victim', now + LOGIN_REFILL_MS), /^Too many/);
+});
+
+test('drive-by connections never touch the accounts file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-'));
+  try {
+    const file = path.join(dir, 'accounts.json');
+    const store = new FileAccountStore(file);
+    setAccountStore(store);
+    for (let i = 0; i < 100; i++) connect();
+    await store.writing;
+    assert.ok(!fs.existsSync(file));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('names that are not text play as ANON', () => {
+  setAccountStore(new MemoryAccountStore());
+  const guest = connect();
+  for (const name of [12345, {}, ['Ace'], null, undefined, '']) {
+    assert.strictEqual(reservedNameError(guest, name), null);
+    assert.strictEqual(playerNameFor(guest, name), 'ANON');
+  }
+});
+
+test('registered names are reserved for their owner', async () => {
+  setAccountStore(new MemoryAccountStore());
+  const owner = connect();
+  await registerAccount(owner.data.account, 'Ace', 'secret1');
+  const other = connect();
+
+  assert.strictEqual(reservedNameError(other, ' ace'), 'That name belongs to a registered player');
+  assert.strictEqual(reservedNameError(other, 'Bob'), null);
+  assert.strictEqual(playerNameFor(other, 'Bob'), 'Bob');
+  assert.strictEqual(playerNameFor(other, 'ACE'), 'ANON');
+  assert.strictEqual(reservedNameError(owner, 'Bob'), null);
+  assert.strictEqual(playerNameFor(owner, 'Bob'), 'Ace'); // owners always play as themselves
+});
+
+test('stats follow the account, not the typed name', () => {
+  const stats = new MemoryStatsStore();
+  setStatsStore(stats);
+  const accounts = new MemoryAccountStore();
+  setAccountStore(accounts);
+  const a = connect().data.account, b = connect().data.account;
+  const player = (account, kills) => ({ name: 'Twin', key: accountKey(account), account, team: null, kills, deaths: 0, headshots: 0,
+    assistCount: 0, bestStreak: kills, score: kills });
+  const room = { code: 'TEST', mode: 'deathmatch', map: 'arena', players: new Map([['a', player(a, 3)], ['b', player(b, 1)]]) };
+  recordMatchStats(room, { type: 'player', id: 'a' }, [{ id: 'a', score: 3, kills: 3 }, { id: 'b', score: 1, kills: 1 }]);
+  assert.strictEqual(stats.getPlayer(accountKey(a)).kills, 3);
+  assert.strictEqual(stats.getPlayer(accountKey(b)).kills, 1);
+  assert.strictEqual(stats.getPlayer('Twin'), null);
+  assert.ok(stats.getRating(accountKey(a)).rating > stats.getRating(accountKey(b)).rating);
+  assert.deepStrictEqual(Object.keys(accounts.toJSON().accounts).sort(), [a.id, b.id].sort()); // kept with their first match
+
+  // /stats in chat finds the same records as /api/players
+  const sender = room.players.get('a');
+  const chatRoom = { players: room.players, spectators: new Map() };
+  assert.match(CHAT_COMMANDS.stats(chatRoom, {}, sender, ''), /^Twin: 1 matches, 1 wins, 3 kills/);
+  assert.match(CHAT_COMMANDS.stats(chatRoom, {}, { name: 'Spec' }, 'twin'), /3 kills/); // first Twin in the room
+  assert.strictEqual(CHAT_COMMANDS.stats(chatRoom, {}, sender, 'Nobody'), 'No stats for Nobody');
+});
+
+test('file store survives a restart and drops the oldest device past the limit', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-'));
+  try {
+    const file = path.join(dir, 'nested', 'accounts.json');
+    const store = new FileAccountStore(file);
+    setAccountStore(store);
+    const { account, token } = store.createGuest();
+    await registerAccount(account, 'Ace', 'secret1');
+    const tokens = [token];
+    for (let i = 0; i < 5; i++) tokens.push(store.issueToken(account));
+    await store.writing;
+
+    const reloaded = new FileAccountStore(file);
+    setAccountStore(reloaded);
+    assert.strictEqual(reloaded.findByToken(tokens[0]), null);
+    assert.strictEqual(reloaded.findByToken(tokens[5]).id, account.id);
+    assert.strictEqual(reloaded.findByUsername('ACE').id, account.id);
+    assert.ok((await loginAccount('Ace', 'secret1')).ok);
+    await reloaded.writing;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
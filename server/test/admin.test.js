@@ -0,0 +1,127 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.ADMIN_TOKEN = 'test-admin-token'; // read when the server module loads
+const {
+  app, rooms, createRoom, TICK_MS, metrics, recordTickTime, countEvent, eventsPerSecond, renderMetrics, closeRoom,
+  cheatReports, flagCheat, cheatBanFor,
+} = require('../server');
+
+const auth = { Authorization: 'Bearer test-admin-token' };
+
+async function withServer(fn) {
+  const srv = app.listen(0);
+  await new Promise(resolve => srv.once('listening', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${srv.address().port}`);
+  } finally {
+    srv.close();
+  }
+}
+
+test('tick times are averaged per room and overruns counted', () => {
+  const room = createRoom({ map: 'arena' });
+  try {
+    const before = metrics.tickOverruns;
+    recordTickTime(room, 2);
+    recordTickTime(room, TICK_MS + 10);
+    assert.strictEqual(room.tickStats.count, 2);
+    assert.strictEqual(room.tickStats.maxMs, TICK_MS + 10);
+    assert.ok(room.tickStats.avgMs > 2 && room.tickStats.avgMs < TICK_MS);
+    assert.strictEqual(room.tickStats.overruns, 1);
+    assert.strictEqual(metrics.tickOverruns, before + 1);
+  } finally {
+    rooms.delete(room.code);
+  }
+});
+
+test('events per second averages whole seconds only', () => {
+  const base = 5000000 * 1000;
+  for (let i = 0; i < 30; i++) countEvent(base + i * 100); // 10 per second over 3s
+  assert.strictEqual(eventsPerSecond(base + 2500), 2); // 20 events in finished seconds, over 10s
+  assert.strictEqual(eventsPerSecond(base + 60000), 0);
+});
+
+test('metrics are in Prometheus text format', () => {
+  const room = createRoom({ map: 'arena', mode: 'ctf' });
+  try {
+    const text = renderMetrics();
+    assert.match(text, /^# TYPE cockblaster_rooms gauge$/m);
+    assert.match(text, /^cockblaster_tick_overruns_total \d+$/m);
+    assert.match(text, new RegExp(`^cockblaster_room_players\\{room="${room.code}",mode="ctf"\\} 0$`, 'm'));
+    for (const line of text.trim().split('\n')) assert.match(line, /^(# (HELP|TYPE) \w+ .+|\w+(\{[^}]*\})? [\d.e+-]+)$/);
+  } finally {
+    rooms.delete(room.code);
+  }
+});
+
+test('closing a room ends it for everyone in it', () => {
+  const room = createRoom({ map: 'arena' });
+  room.players.set('a', { id: 'a', name: 'A', graceTimer: setTimeout(() => assert.fail('grace timer left running'), 50) });
+  room.spectators.set('s', { id: 's', name: 'S' });
+  closeRoom(room, 'Closed');
+  assert.ok(!rooms.has(room.code));
+  assert.strictEqual(room.tickInterval, null);
+});
+
+test('the admin API needs the token; health checks do not', async () => {
+  const room = createRoom({ map: 'arena', name: 'Watched' });
+  try {
+    await withServer(async (base) => {
+      assert.strictEqual((await fetch(`${base}/api/admin/rooms`)).status, 401);
+      assert.strictEqual((await fetch(`${base}/metrics`, { headers: { Authorization: 'Bearer nope' } })).status, 401);
+
+      const list = await (await fetch(`${base}/api/admin/rooms`, { headers: auth })).json();
+      const info = list.find(r => r.code === room.code);
+      assert.strictEqual(info.name, 'Watched');
+      assert.deepStrictEqual(Object.keys(info.tick), ['avgMs', 'maxMs', 'lastMs', 'overruns']);
+      assert.ok('bytesPerSecond' in info.bandwidth);
+
+      const bandwidth = `${base}/api/admin/rooms/${room.code}/bandwidth`;
+      assert.strictEqual((await fetch(bandwidth)).status, 401);
+      assert.ok('savings' in await (await fetch(bandwidth, { headers: auth })).json());
+      assert.strictEqual((await fetch(`${base}/api/rooms/${room.code}/bandwidth`)).status, 404); // the old public route
+
+      const overview = await (await fetch(`${base}/api/admin/overview`, { headers: auth })).json();
+      assert.ok(overview.rooms >= 1);
+
+      const health = await fetch(`${base}/healthz`);
+      assert.strictEqual(health.status, 200);
+      assert.strictEqual((await fetch(`${base}/readyz`)).status, 503); // only ready once started as the main module
+
+      const sent = await fetch(`${base}/api/admin/broadcast`, {
+        method: 'POST', headers: { ...auth, 'Content-Type': 'application/json' }, body: JSON.stringify({ msg: '  ' }) });
+      assert.strictEqual(sent.status, 400);
+
+      const closed = await fetch(`${base}/api/admin/rooms/${room.code}/close`, { method: 'POST', headers: auth });
+      assert.strictEqual(closed.status, 200);
+      assert.ok(!rooms.has(room.code));
+      assert.strictEqual((await fetch(`${base}/api/admin/rooms/${room.code}/close`, { method: 'POST', headers: auth })).status, 404);
+    });
+  } finally {
+    rooms.delete(room.code);
+  }
+});
+
+test('a pardon goes by report id and lifts only that player\'s ban', async () => {
+  const room = createRoom({ map: 'arena' });
+  const cheater = (id, key, address) => ({ id, name: 'Ann', key, address, team: null, alive: true, assists: new Map() });
+  const a = cheater('a', 'acct:a', '10.1.0.1'), b = cheater('b', 'acct:b', '10.1.0.2');
+  try {
+    for (let i = 0; i < 5; i++) { flagCheat(room, a, 'test', {}); flagCheat(room, b, 'test', {}); }
+    await withServer(async (url) => {
+      const list = await (await fetch(`${url}/api/admin/anticheat`, { headers: auth })).json();
+      assert.deepStrictEqual(list.filter(r => r.name === 'Ann').map(r => r.id).sort(), ['acct:a', 'acct:b']);
+      assert.strictEqual((await fetch(`${url}/api/admin/anticheat/Ann`, { method: 'DELETE', headers: auth })).status, 404);
+      const res = await fetch(`${url}/api/admin/anticheat/${encodeURIComponent('acct:b')}`, { method: 'DELETE', headers: auth });
+      assert.strictEqual((await res.json()).strikes, 0);
+    });
+    assert.strictEqual(cheatBanFor('10.1.0.2'), null);
+    assert.ok(cheatBanFor('10.1.0.1'));
+  } finally {
+    rooms.delete(room.code);
+    cheatReports.clear();
+  }
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  CHEAT_WINDOW_MS, CHEAT_REJECT_LIMITS, CHEAT_HEADSHOT_SAMPLE, CHEAT_SNAP_HITS, CHEAT_REACTION_HITS, CHEAT_BAN_MS, cheatReports,
+  cheatReportKey, rejectPacket, flagCheat, cheatBanFor, trackAim, updateSightlines, checkHit,
+} = require('../server');
+const { player, seat, withRoom } = require('./helpers');
+
+test('rejections are counted by reason and flag once a window fills up', () => {
+  const p = player('rejecter');
+  withRoom({}, (room) => {
+    seat(room, [p, player('other')]);
+    let now = 1000;
+    for (let i = 1; i < CHEAT_REJECT_LIMITS['fire-rate']; i++) rejectPacket(room, p, 'fire-rate', now++);
+    rejectPacket(room, p, 'speed', now);
+    const r = cheatReports.get(cheatReportKey(p));
+    assert.deepStrictEqual(r.rejections, { 'fire-rate': CHEAT_REJECT_LIMITS['fire-rate'] - 1, speed: 1 });
+    assert.strictEqual(r.strikes, 0);
+
+    rejectPacket(room, p, 'fire-rate', now + 120000); // a fresh window
+    assert.strictEqual(r.strikes, 0);
+    for (let i = 1; i < CHEAT_REJECT_LIMITS['fire-rate']; i++) rejectPacket(room, p, 'fire-rate', now + 120000);
+    assert.strictEqual(r.strikes, 1);
+    assert.strictEqual(r.flags[0].check, 'rejected:fire-rate');
+    assert.strictEqual(r.sanctions[0].action, 'warn');
+
+    // The rest of a flood in the same window adds no more strikes
+    for (let i = 0; i < 100; i++) rejectPacket(room, p, 'fire-rate', now + 120000);
+    assert.strictEqual(r.strikes, 1);
+  });
+});
+
+test('headshot ratio and hits behind the shooter are flagged with evidence', () => {
+  const aimbot = player('aimbot'), target = player('target', { z: -5 });
+  withRoom({}, (room) => {
+    seat(room, [aimbot, target]);
+    for (let i = 0; i < CHEAT_HEADSHOT_SAMPLE; i++) checkHit(room, aimbot, 'target', target, true, 50, 1000 + i);
+    const r = cheatReports.get(cheatReportKey(aimbot));
+    assert.strictEqual(r.hits, CHEAT_HEADSHOT_SAMPLE);
+    assert.deepStrictEqual(r.flags.map(f => f.check), ['headshot-ratio']);
+    assert.strictEqual(r.flags[0].ratio, 1);
+
+    // yaw 0 faces -z; a target at +z is behind
+    const behind = player('behind', { z: 5 });
+    for (let i = 0; i < 3; i++) checkHit(room, aimbot, 'behind', behind, false, 50, 5000 + i);
+    assert.strictEqual(r.flags[1].check, 'behind-hits');
+    assert.strictEqual(r.flags[1].angle, 180);
+  });
+});
+
+test('snap-aim and inhuman reaction times count toward a flag', () => {
+  const snapper = player('snapper'), target = player('snapped', { z: -3 });
+  withRoom({}, (room) => {
+    seat(room, [snapper, target]);
+    let now = 1000;
+    trackAim(snapper, 0, now); // the first packet only sets where the aim starts
+    for (let i = 0; i < CHEAT_SNAP_HITS; i++) {
+      snapper.yaw = i % 2 ? 0 : Math.PI / 2;
+      trackAim(snapper, 0.02, now);
+      checkHit(room, snapper, 'snapped', target, false, 50, now + 30);
+      now += 1000;
+    }
+    const r = cheatReports.get(cheatReportKey(snapper));
+    assert.ok(r.flags.some(f => f.check === 'snap-hits' && f.count === CHEAT_SNAP_HITS));
+
+    // A slow turn is not a snap
+    const flags = r.flags.length;
+    now += CHEAT_WINDOW_MS;
+    snapper.yaw = 0;
+    trackAim(snapper, 0.5, now);
+    for (let i = 0; i < CHEAT_SNAP_HITS; i++) {
+      snapper.yaw = i % 2 ? 0 : 0.5;
+      trackAim(snapper, 0.5, now);
+      checkHit(room, snapper, 'snapped', target, false, 50, now + 30);
+    }
+    assert.strictEqual(r.flags.length, flags);
+
+    // First hits 40ms after the target came into view (after the round trip), each time it reappears
+    snapper.seen.clear();
+    for (let i = 0; i < CHEAT_REACTION_HITS; i++) {
+      now += 2000;
+      updateSightlines(room, now);
+      checkHit(room, snapper, 'snapped', target, false, 60, now + 100);
+      checkHit(room, snapper, 'snapped', target, false, 60, now + 110); // only the first hit is a reaction
+    }
+    const reaction = r.flags.find(f => f.check === 'fast-reactions');
+    assert.strictEqual(reaction.count, CHEAT_REACTION_HITS);
+    assert.strictEqual(reaction.ms, 40);
+  });
+});
+
+test('strikes escalate from a warning to a kick to a temporary ban', () => {
+  const cheater = player('cheater');
+  withRoom({}, (room) => {
+    seat(room, [cheater, player('bystander')]);
+    const now = Date.now();
+    flagCheat(room, cheater, 'test', {}, now);
+    flagCheat(room, cheater, 'test', {}, now);
+    assert.ok(room.players.has('cheater')); // warned twice
+    flagCheat(room, cheater, 'test', {}, now);
+    assert.ok(!room.players.has('cheater'));
+    assert.strictEqual(cheatBanFor(cheater.address, now), null);
+
+    flagCheat(room, cheater, 'test', {}, now);
+    flagCheat(room, cheater, 'test', {}, now);
+    const r = cheatReports.get(cheatReportKey(cheater));
+    assert.deepStrictEqual(r.sanctions.map(s => s.action), ['warn', 'warn', 'kick', 'kick', 'ban']);
+    assert.strictEqual(cheatBanFor(cheater.address, now).name, 'CHEATER');
+    assert.strictEqual(cheatBanFor(cheater.address, now + CHEAT_BAN_MS + 1), null);
+  });
+});
+
+test('reports follow the account or session, so a borrowed name gets its own', () => {
+  const real = player('real', { name: 'Ann', key: 'acct:1' });
+  const copy = player('copy', { name: 'Ann', address: '10.9.9.9' });
+  withRoom({}, (room) => {
+    seat(room, [real, copy, player('bystander')]);
+    const now = Date.now();
+    for (let i = 0; i < 5; i++) flagCheat(room, copy, 'test', {}, now);
+    assert.strictEqual(cheatReports.get('acct:1'), undefined);
+    assert.strictEqual(cheatReports.get(cheatReportKey(copy)).address, '10.9.9.9');
+    assert.strictEqual(cheatBanFor(real.address, now), null);
+    assert.ok(cheatBanFor(copy.address, now));
+  });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { FakeClock, useClock } = require('../lib/clock');
+
+const {
+  rooms, MAP_DEFS, hasLineOfSight, WEAPONS, INPUT_KEYS, resetMovement, simulateMove,
+  findPath, botKeys, addBot, humanCount, syncBots, botFire, updateBot, newPlayerState,
+  applyRoomSettings, ensureHost, getRoomList, removePlayer,
+} = require('../server');
+const { withRoom } = require('./helpers');
+
+const GEAR = { color: '#00ffff', hat: 'none', skinId: 'default', effectId: 'default' };
+
+function inWall(x, z, r = 0.4) {
+  return MAP_DEFS.arena.colliders.some(b => x + r > b.minX && x - r < b.maxX && z + r > b.minZ && z - r < b.maxZ);
+}
+
+function human(room, id, extra = {}) {
+  syncBots(room, 1); // what addPlayer does before seating someone
+  const p = newPlayerState(room, id, { name: id, key: id, gear: GEAR, binary: false, address: null });
+  Object.assign(p, extra);
+  room.players.set(id, p);
+  return p;
+}
+
+test('paths go around walls and never through them', () => {
+  // The arena has a wall at x=15 spanning z -5..5
+  const path = findPath('arena', { x: 8, z: 0 }, { x: 22, z: 0 });
+  assert.ok(path && path.length > 1);
+  assert.deepStrictEqual(path[path.length - 1], { x: 22, z: 0 });
+  assert.ok(path.some(w => Math.abs(w.z) > 5), 'goes around the end of the wall');
+  for (const w of path) assert.ok(!inWall(w.x, w.z), `waypoint ${w.x},${w.z} is in a wall`);
+
+  assert.strictEqual(findPath('arena', { x: 8, z: 0 }, { x: 15, z: 0 }), null); // inside the wall
+});
+
+test('bot keys walk in the wanted direction whatever way it faces', () => {
+  for (const yaw of [0, 1, Math.PI / 2, -2.5]) {
+    for (const angle of [0, Math.PI / 4, Math.PI / 2, Math.PI, -Math.PI / 3]) {
+      const move = { x: Math.cos(angle), z: Math.sin(angle) };
+      const p = {};
+      resetMovement(p, { x: 0, y: 1.6, z: 0 });
+      for (let i = 0; i < 20; i++) simulateMove(p, { dt: 0.05, keys: botKeys(yaw, move), yaw }, []);
+      const d = Math.hypot(p.x, p.z);
+      assert.ok((p.x * move.x + p.z * move.z) / d > 0.9, `yaw ${yaw}, angle ${angle}`);
+    }
+  }
+  assert.strictEqual(botKeys(0, null), 0);
+  assert.strictEqual(botKeys(0, { x: 0, z: -1 }), INPUT_KEYS.FORWARD);
+});
+
+test('bots fill the room, make way for humans and never host', () => {
+  withRoom({ bots: 4, maxPlayers: 6 }, (room) => {
+    human(room, 'h1');
+    room.host = 'h1';
+    assert.strictEqual(room.players.size, 4);
+    assert.strictEqual(humanCount(room), 1);
+    assert.ok([...room.players.values()].filter(p => p.bot).every(p => p.ready && p.name.startsWith('BOT ')));
+    assert.strictEqual(getRoomList().find(r => r.code === room.code).players, 1);
+
+    human(room, 'h2');
+    assert.strictEqual(room.players.size, 4); // a bot gave up its slot
+
+    applyRoomSettings(room, { bots: 8, botDifficulty: 'hard' });
+    assert.strictEqual(room.players.size, 6); // capped at the room's size
+    assert.ok([...room.players.values()].every(p => !p.bot || p.bot.difficulty === 'hard'));
+
+    room.host = 'gone';
+    ensureHost(room);
+    assert.strictEqual(room.host, 'h1');
+
+    applyRoomSettings(room, { bots: 0 });
+    assert.strictEqual(room.players.size, 2);
+  });
+});
+
+test('the room closes when the last human leaves, bots or not', () => {
+  withRoom({ bots: 3 }, (room) => {
+    human(room, 'h1');
+    assert.strictEqual(room.players.size, 3);
+    removePlayer(room, 'h1');
+    assert.ok(!rooms.has(room.code));
+  });
+});
+
+test('bots fire at the weapon\'s rate and hit what they aim at', () => {
+  const clock = new FakeClock();
+  const prev = useClock(clock);
+  try {
+    withRoom({}, (room) => {
+      const target = human(room, 'target', { x: 0, z: -10 });
+      const bot = addBot(room);
+      Object.assign(bot, { x: 0, y: 1.6, z: 0, yaw: 0, pitch: Math.atan2(-0.8, 10) }); // the chest
+      bot.weapon = 0;
+      const mag = bot.ammo[0].mag;
+
+      assert.ok(botFire(room, bot.id, bot));
+      assert.strictEqual(target.hp, 100 - WEAPONS[0].dmg);
+      assert.strictEqual(bot.ammo[0].mag, mag - 1);
+      assert.ok(!botFire(room, bot.id, bot)); // too soon
+      clock.advance(WEAPONS[0].rate * 1000 - 50);
+      assert.ok(!botFire(room, bot.id, bot));
+      clock.advance(51); // a millisecond over, clear of float rounding in the seconds
+      assert.ok(botFire(room, bot.id, bot));
+
+      bot.ammo[0].mag = 0;
+      bot.lastShot = 0;
+      assert.ok(!botFire(room, bot.id, bot));
+
+      target.spawnProtectionTimer = 3;
+      bot.ammo[0].mag = 5;
+      const hp = target.hp;
+      botFire(room, bot.id, bot);
+      assert.strictEqual(target.hp, hp);
+    });
+  } finally {
+    useClock(prev);
+  }
+});
+
+test('a bot walks around a wall until it has a target in sight', () => {
+  withRoom({}, (room) => {
+    const target = human(room, 'target', { x: 22, z: 0 });
+    const bot = addBot(room, 'easy');
+    resetMovement(bot, { x: 8, y: 1.6, z: 0 });
+    assert.ok(!hasLineOfSight('arena', bot, target));
+    let ticks = 0;
+    for (; ticks < 60 && !hasLineOfSight('arena', bot, target); ticks++) { // up to 3 seconds
+      updateBot(room, bot.id, bot, 0.05);
+      assert.ok(!inWall(bot.x, bot.z, 0.39), `in a wall at ${bot.x},${bot.z}`);
+    }
+    assert.ok(ticks < 60, 'never came around the wall');
+  });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { io: connect } = require('socket.io-client');
+
+const {
+  server, rooms, closeRoom, MemoryStatsStore, setStatsStore, setReplayStore, MemoryAccountStore, setAccountStore,
+  CHAT_BURST, CHAT_STRIKES, setChatFilter, filterChat, createChatState, checkChatRate, chatVisibleTo, chatHistoryFor,
+} = require('../server');
+
+test('a burst is allowed, then messages are refused until the bucket refills', () => {
+  const state = createChatState();
+  let now = 1000;
+  for (let i = 0; i < CHAT_BURST; i++) assert.strictEqual(checkChatRate(state, `msg ${i}`, now), null);
+  assert.strictEqual(checkChatRate(state, 'one more', now), 'Slow down');
+  now += 5000;
+  assert.strictEqual(checkChatRate(state, 'one more', now), null);
+});
+
+test('repeats are refused and enough strikes mute the sender', () => {
+  const state = createChatState();
+  let now = 1000;
+  assert.strictEqual(checkChatRate(state, 'gg', now), null);
+  for (let i = 1; i < CHAT_STRIKES; i++) {
+    now += 2000;
+    assert.strictEqual(checkChatRate(state, 'GG ', now), "Don't repeat yourself");
+  }
+  now += 2000;
+  assert.match(checkChatRate(state, 'gg', now), /^Muted for/);
+  assert.match(checkChatRate(state, 'something new', now + 1000), /^You are muted/);
+  assert.strictEqual(checkChatRate(state, 'something new', now + 60000), null);
+});
+
+test('filtered words are masked, including longer forms', () => {
+  setChatFilter(['darn', 'heck']);
+  assert.strictEqual(filterChat('Darn it, what the heckin heck'), '**** it, what the ****** ****');
+  assert.strictEqual(filterChat('darnation is fine? no: it starts with darn'), '********* is fine? no: it starts with ****');
+  assert.strictEqual(filterChat('abdarn stays'), 'abdarn stays');
+  setChatFilter([]);
+  assert.strictEqual(filterChat('darn'), 'darn');
+});
+
+test('team lines, mutes and blocks decide who sees a message', () => {
+  const viewer = (key, team) => ({ key, team, chat: createChatState() });
+  const red = viewer('ace', 'red'), blue = viewer('bob', 'blue'), spec = viewer('cat', null);
+  const teamLine = { from: 'Dan', fromKey: 'dan', msg: 'push mid', team: 'red' };
+  assert.ok(chatVisibleTo(teamLine, red));
+  assert.ok(!chatVisibleTo(teamLine, blue));
+  assert.ok(!chatVisibleTo(teamLine, spec));
+
+  const line = { from: 'Dan', fromKey: 'dan', msg: 'hi' };
+  red.chat.muted.add('dan');
+  assert.ok(!chatVisibleTo(line, red));
+  assert.ok(chatVisibleTo({ from: 'SYSTEM', msg: 'Dan joined', system: true }, red));
+
+  const dan = createChatState();
+  dan.blocked.add('bob');
+  assert.ok(!chatVisibleTo(line, blue, dan));
+  assert.ok(chatVisibleTo(line, spec, dan));
+
+  const room = { chat: [line, teamLine, { from: 'SYSTEM', msg: 'x', system: true }] };
+  assert.deepStrictEqual(chatHistoryFor(room, blue).map(l => l.msg), ['hi', 'x']);
+  assert.ok(!('fromKey' in chatHistoryFor(room, blue)[0]));
+});
+
+test('a mute follows the player, not the name they type', async () => {
+  setStatsStore(new MemoryStatsStore());
+  setReplayStore({ save() {} });
+  setAccountStore(new MemoryAccountStore());
+  server.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const sockets = [];
+  const open = async () => {
+    const s = connect(url, { transports: ['websocket'], forceNew: true, reconnection: false });
+    sockets.push(s);
+    await new Promise(resolve => s.once('connect', resolve));
+    return s;
+  };
+  const sync = () => Promise.all(sockets.map(s => s.emitWithAck('ping-check', 0)));
+  try {
+    const alice = await open(), bob = await open(), carol = await open();
+    const heard = [];
+    alice.on('chat', line => heard.push(`${line.from}: ${line.msg}`));
+    const { code } = await alice.emitWithAck('create-room', { map: 'arena', mode: 'deathmatch' });
+    await alice.emitWithAck('join-room', { code, name: 'Alice' });
+    await bob.emitWithAck('join-room', { code, name: 'Bob' });
+    alice.emit('chat', '/mute Bob');
+    await sync();
+
+    // Bob comes back as someone else and is still muted...
+    bob.emit('leave-room');
+    await bob.emitWithAck('join-room', { code, name: 'Robert' });
+    bob.emit('chat', 'it is me');
+    // ...while whoever takes his old name is heard
+    await carol.emitWithAck('join-room', { code, name: 'Bob' });
+    carol.emit('chat', 'new here');
+    await sync();
+    const said = heard.filter(l => !l.startsWith('SYSTEM'));
+    assert.deepStrictEqual(said, ['Bob: new here']);
+    assert.ok(heard.includes('SYSTEM: Bob muted'));
+  } finally {
+    for (const room of [...rooms.values()]) closeRoom(room);
+    for (const s of sockets) s.disconnect();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,253 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+
+const {
+  app, rooms, createRoom, closeRoom, CLUSTER_TIMEOUT_MS, connectRedis, clusterAdapter, startCluster, stopCluster,
+  onPeerState, prunePeers, globalRoomList, globalPlayerCount, roomOwner, serverOverview,
+  MemoryAccountStore, setAccountStore, MemoryStatsStore, setStatsStore, registerAccount,
+} = require('../server');
+
+// Nothing here should touch the data files
+setAccountStore(new MemoryAccountStore());
+setStatsStore(new MemoryStatsStore());
+
+// A real Redis for the multi-process test, e.g. redis://127.0.0.1:6379; it is skipped without one
+const REDIS_URL = process.env.TEST_REDIS_URL;
+
+// Just enough of Redis for the cluster, in process: pub/sub and hashes, under node-redis's names
+class MemoryRedis {
+  constructor() {
+    this.hashes = new Map();      // key -> Map of fields
+    this.subscribers = new Set(); // { client, key, matches(channel), listener, buffers }
+  }
+
+  // The { pub, sub } pair startCluster takes
+  connect() {
+    return { pub: new MemoryRedisClient(this), sub: new MemoryRedisClient(this) };
+  }
+
+  hash(key) {
+    if (!this.hashes.has(key)) this.hashes.set(key, new Map());
+    return this.hashes.get(key);
+  }
+}
+
+class MemoryRedisClient extends EventEmitter {
+  constructor(redis) {
+    super();
+    this.redis = redis;
+  }
+
+  listen(key, matches, listener, buffers) {
+    this.redis.subscribers.add({ client: this, key, matches, listener, buffers });
+  }
+
+  forget(key, listener) {
+    for (const s of this.redis.subscribers) {
+      if (s.client === this && s.key === key && s.listener === listener) this.redis.subscribers.delete(s);
+    }
+  }
+
+  subscribe(channels, listener, buffers) {
+    for (const channel of [].concat(channels)) this.listen(channel, c => c === channel, listener, buffers);
+  }
+
+  pSubscribe(pattern, listener, buffers) {
+    const prefix = pattern.slice(0, -1); // only 'prefix*' patterns are used
+    this.listen(pattern, c => c.startsWith(prefix), listener, buffers);
+  }
+
+  unsubscribe(channel, listener) { this.forget(channel, listener); }
+  pUnsubscribe(pattern, listener) { this.forget(pattern, listener); }
+
+  async publish(channel, message) {
+    const to = [...this.redis.subscribers].filter(s => s.matches(channel));
+    setImmediate(() => {
+      for (const s of to) s.listener(s.buffers ? Buffer.from(message) : String(message), s.buffers ? Buffer.from(channel) : channel);
+    });
+    return to.length;
+  }
+
+  async hGetAll(key) { return Object.fromEntries(this.redis.hash(key)); }
+  async hGet(key, field) { return this.redis.hash(key).get(field) ?? null; }
+
+  async hSet(key, fields) {
+    for (const [field, value] of Object.entries(fields)) this.redis.hash(key).set(field, String(value));
+    return Object.keys(fields).length;
+  }
+
+  async hSetNX(key, field, value) {
+    if (this.redis.hash(key).has(field)) return 0;
+    this.redis.hash(key).set(field, String(value));
+    return 1;
+  }
+}
+
+const until = async (check, ms = 5000) => {
+  for (const end = Date.now() + ms; Date.now() < end; await new Promise(r => setTimeout(r, 25))) {
+    const value = await check();
+    if (value) return value;
+  }
+  assert.fail('timed out');
+};
+
+async function withServer(fn) {
+  const srv = app.listen(0);
+  await new Promise(resolve => srv.once('listening', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${srv.address().port}`);
+  } finally {
+    srv.close();
+  }
+}
+
+test('the adapter crosses instances for server-side emits and global broadcasts only', async () => {
+  const redis = new MemoryRedis();
+  const mine = redis.connect();
+  const published = [];
+  const publish = mine.pub.publish.bind(mine.pub);
+  mine.pub.publish = (channel, message) => { published.push(channel); return publish(channel, message); };
+  const one = new Server({ adapter: clusterAdapter(mine) }), two = new Server({ adapter: clusterAdapter(redis.connect()) });
+  try {
+    const heard = new Promise(resolve => two.on('hello', resolve));
+    one.serverSideEmit('hello', { from: 'one' });
+    assert.deepStrictEqual(await heard, { from: 'one' });
+
+    published.length = 0;
+    one.to('ROOM42').emit('game-state', {}); // rooms live on one instance
+    one.emit('server-message', { msg: 'hi' });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(published, ['cockblaster#/#']); // one broadcast
+  } finally {
+    one.of('/').adapter.close();
+    two.of('/').adapter.close();
+  }
+});
+
+test('peer states make the room directory, list and player count', async () => {
+  await startCluster(new MemoryRedis().connect(), { instance: 'here', url: 'http://here.test' });
+  const local = createRoom({ map: 'arena', name: 'Local' });
+  try {
+    const now = Date.now();
+    onPeerState({ instance: 'there', url: 'http://there.test', players: 3, codes: ['REMOTE', 'HIDDEN'],
+      rooms: [{ code: 'REMOTE', name: 'Remote', mode: 'deathmatch', map: 'arena', players: 3, maxPlayers: 8 }] }, now);
+    onPeerState({ instance: 'here', url: 'http://spoof.test', codes: [local.code], rooms: [], players: 9 }, now); // ourselves
+
+    assert.deepStrictEqual(globalRoomList().map(r => r.code).sort(), [local.code, 'REMOTE'].sort());
+    assert.strictEqual(globalPlayerCount(), 3);
+    assert.deepStrictEqual(roomOwner('HIDDEN'), { instance: 'there', url: 'http://there.test' });
+    assert.strictEqual(roomOwner(local.code), null);
+    assert.strictEqual(roomOwner('NOWHERE'), null);
+
+    await withServer(async (base) => {
+      const moved = await fetch(`${base}/room/remote`, { redirect: 'manual' });
+      assert.strictEqual(moved.status, 302);
+      assert.strictEqual(moved.headers.get('location'), 'http://there.test/room/remote');
+      assert.strictEqual((await fetch(`${base}/room/${local.code}`, { redirect: 'manual' })).status, 200);
+    });
+
+    prunePeers(now + CLUSTER_TIMEOUT_MS + 1);
+    assert.strictEqual(roomOwner('HIDDEN'), null);
+    assert.deepStrictEqual(globalRoomList().map(r => r.code), [local.code]);
+  } finally {
+    rooms.delete(local.code);
+    stopCluster();
+  }
+});
+
+test('accounts, careers and usernames are shared through Redis', async () => {
+  const redis = new MemoryRedis();
+  // Already shared by another instance: a guest, and a name it gave out
+  const { account: theirs, token } = new MemoryAccountStore().createGuest();
+  redis.hash('cockblaster:accounts').set(theirs.id, JSON.stringify(theirs));
+  redis.hash('cockblaster:usernames').set('taken', 'someone-else');
+  const accounts = new MemoryAccountStore(), stats = new MemoryStatsStore();
+  setAccountStore(accounts);
+  setStatsStore(stats);
+  const peer = new Server({ adapter: clusterAdapter(redis.connect()) });
+  const heard = [];
+  peer.on('cluster-records', msg => heard.push(msg));
+  await startCluster(redis.connect(), { instance: 'here', url: 'http://here.test' });
+  try {
+    assert.strictEqual(accounts.findByToken(token).id, theirs.id);
+
+    // Ours go to Redis and to the others as they change
+    const { account: mine } = accounts.createGuest();
+    accounts.keep(mine);
+    await until(() => heard.length);
+    assert.deepStrictEqual(heard[0], { store: 'accounts', records: [[mine.id, JSON.parse(JSON.stringify(mine))]] });
+    assert.deepStrictEqual(JSON.parse(redis.hash('cockblaster:accounts').get(mine.id)), heard[0].records[0][1]);
+
+    // Theirs come in the same way: a match played elsewhere counts here
+    const elsewhere = new MemoryStatsStore();
+    elsewhere.recordMatch({ mode: 'deathmatch', map: 'arena', endedAt: 1, players: [
+      { name: 'Ace', key: `acct:${theirs.id}`, kills: 3, deaths: 1, headshots: 0, assists: 0, bestStreak: 2, won: true },
+    ] });
+    peer.serverSideEmit('cluster-records', { store: 'stats', records: [...elsewhere.records()] });
+    peer.serverSideEmit('cluster-records', { store: '__proto__', records: [] });
+    assert.strictEqual((await until(() => stats.getPlayer(`acct:${theirs.id}`))).kills, 3);
+
+    // A name given out anywhere is taken everywhere
+    assert.deepStrictEqual(await registerAccount(mine, 'Taken', 'secret1'), { error: 'Username taken' });
+    assert.ok((await registerAccount(mine, 'Fresh', 'secret1')).ok);
+    assert.strictEqual(redis.hash('cockblaster:usernames').get('fresh'), mine.id);
+  } finally {
+    stopCluster();
+    peer.of('/').adapter.close();
+  }
+});
+
+test('separate processes share rooms and accounts through Redis', { skip: !REDIS_URL && 'set TEST_REDIS_URL to run it' }, async () => {
+  const port = await new Promise((resolve) => {
+    const probe = app.listen(0, () => { const p = probe.address().port; probe.close(() => resolve(p)); });
+  });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cluster-'));
+  const accounts = new MemoryAccountStore();
+  setAccountStore(accounts);
+  const { account, token } = accounts.createGuest();
+  accounts.keep(account); // before we join, so it goes in with the rest
+  const redis = await connectRedis(REDIS_URL);
+  await startCluster(redis, { instance: 'parent', url: 'http://parent.test' });
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, PORT: String(port), CLUSTER_URL: REDIS_URL, INSTANCE_ID: 'child', PUBLIC_URL: `http://127.0.0.1:${port}`,
+      STATS_FILE: path.join(dir, 'stats.json'), ACCOUNTS_FILE: path.join(dir, 'accounts.json'), REPLAY_DIR: path.join(dir, 'replays') },
+    stdio: 'ignore',
+  });
+  const room = createRoom({ map: 'arena', name: 'Parent room' });
+  let socket = null;
+  try {
+    // The child learns about our room and sends links to it here
+    const moved = await until(async () => {
+      const res = await fetch(`http://127.0.0.1:${port}/room/${room.code}`, { redirect: 'manual' }).catch(() => null);
+      return res && res.status === 302 && res;
+    }, 10000);
+    assert.strictEqual(moved.headers.get('location'), `http://parent.test/room/${room.code}`);
+    // ... and we learn about the child
+    await until(() => serverOverview().instances === 2);
+    assert.deepStrictEqual(globalRoomList().map(r => r.code), [room.code]);
+
+    // A token from here signs in there
+    socket = connect(`http://127.0.0.1:${port}`, { transports: ['websocket'], auth: { token }, reconnection: false });
+    const signedIn = await new Promise(resolve => socket.once('account', resolve));
+    assert.strictEqual(signedIn.id, account.id);
+    assert.strictEqual(signedIn.token, undefined); // no new guest
+  } finally {
+    socket?.disconnect();
+    closeRoom(room);
+    stopCluster();
+    child.kill();
+    await new Promise(resolve => child.once('exit', resolve));
+    await redis.pub.del(['cockblaster:accounts', 'cockblaster:stats', 'cockblaster:usernames']);
+    await Promise.all([redis.pub.close(), redis.sub.close()]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { modeOf, applyDamage, ENEMY_TYPES, spawnEnemy, updateEnemy, damageEnemy } = require('../server');
+const { DT, player, setup, kickOff, ticks } = require('./helpers');
+
+// A co-op match under way, everyone where the test put them
+function start(mode, players) {
+  return kickOff(setup({ mode }, players));
+}
+
+function run(room, seconds) {
+  ticks(seconds, () => modeOf(room).onTick(room, DT));
+}
+
+test('waves grow and toughen with the size of the squad', () => {
+  const solo = start('survival', [player('a')]);
+  const trio = start('survival', [player('a'), player('b', { x: 5, z: 0 }), player('c', { x: -5, z: 0 })]);
+  assert.strictEqual(solo.coop.total, 8);
+  assert.strictEqual(trio.coop.total, 16);
+  assert.strictEqual(spawnEnemy(solo, 0).hp, ENEMY_TYPES[0].hp);
+  assert.strictEqual(spawnEnemy(trio, 0).hp, ENEMY_TYPES[0].hp * 1.5);
+  assert.strictEqual(start('zombie', [player('a')]).coop.total, 20);
+});
+
+test('enemies spawn away from players and chase the nearest one standing', () => {
+  const room = start('zombie', [player('a', { x: 0, z: 20 }), player('b', { x: 40, z: -40 })]);
+  run(room, 3);
+  assert.ok(room.coop.enemies.length > 0);
+  for (const e of room.coop.enemies) assert.strictEqual(ENEMY_TYPES[e.type].name, 'Zombie');
+
+  const z = spawnEnemy(room, 4, { x: 0, z: 30 });
+  const before = Math.hypot(z.x, z.z - 20);
+  for (let i = 0; i < 20; i++) updateEnemy(room, z, DT);
+  assert.ok(Math.hypot(z.x, z.z - 20) < before - 1);
+
+  room.players.get('a').down = 1; // downed players are ignored
+  const zx = z.x;
+  for (let i = 0; i < 20; i++) updateEnemy(room, z, DT);
+  assert.ok(z.x > zx, 'turned towards b');
+});
+
+test('zombies hit what they reach', () => {
+  const room = start('zombie', [player('a', { x: 0, z: 20 })]);
+  const z = spawnEnemy(room, 4, { x: 0, z: 21.5 });
+  for (let i = 0; i < 20; i++) updateEnemy(room, z, DT);
+  assert.strictEqual(room.players.get('a').hp, 100 - ENEMY_TYPES[4].dmg);
+});
+
+test('lethal damage downs a player; a squadmate nearby revives them', () => {
+  const room = start('survival', [player('a', { x: 0, z: 20 }), player('b', { x: 20, z: 20 })]);
+  room.coop.spawned = room.coop.total; // no wave enemies wandering in to hit the revived player
+  const a = room.players.get('a'), b = room.players.get('b');
+  applyDamage(room, a, 500, null, { cause: 'enemy' });
+  assert.strictEqual(a.down, 1);
+  assert.strictEqual(a.alive, true);
+  assert.strictEqual(a.deaths, 0);
+  assert.strictEqual(applyDamage(room, a, 10, null), 0); // no damage while downed
+
+  run(room, 2);
+  assert.strictEqual(a.down, 1);
+  b.x = 1; b.z = 20;
+  run(room, 3.1);
+  assert.strictEqual(a.down, 0);
+  assert.strictEqual(a.hp, 30);
+  assert.strictEqual(b.score, 20);
+});
+
+test('bleeding out sits you out until the wave is cleared', () => {
+  const room = start('survival', [player('a', { x: 0, z: 20 }), player('b', { x: 20, z: 20 })]);
+  const a = room.players.get('a');
+  applyDamage(room, a, 500, null);
+  run(room, 30.1);
+  assert.strictEqual(a.down, 2);
+  assert.strictEqual(a.alive, false);
+  assert.strictEqual(a.deaths, 1);
+
+  room.coop.left = 0;
+  run(room, DT);
+  assert.strictEqual(a.respawnTimer, 0); // the room tick respawns them
+  assert.strictEqual(room.coop.cleared, 1);
+  run(room, 5);
+  assert.strictEqual(room.coop.wave, 2);
+});
+
+test('killing enemies credits the shooter and clears the wave', () => {
+  const room = start('survival', [player('a', { x: 0, z: 20 })]);
+  const a = room.players.get('a');
+  const e = spawnEnemy(room, 0, { x: 0, z: 0 });
+  room.coop.spawned = room.coop.total;
+  room.coop.left = 1;
+  assert.strictEqual(damageEnemy(room, e, 30, a), false);
+  assert.strictEqual(damageEnemy(room, e, 30, a), true);
+  assert.strictEqual(a.kills, 1);
+  assert.strictEqual(a.score, ENEMY_TYPES[0].score);
+  assert.strictEqual(room.coop.enemies.length, 0);
+  run(room, DT);
+  assert.strictEqual(room.coop.cleared, 1);
+});
+
+test('powerups are shared by the squad', () => {
+  const room = start('survival', [player('a', { x: 0, z: 20, hp: 20 }), player('b', { x: 30, z: 20, hp: 50 })]);
+  room.coop.powerups.push({ id: 99, kind: 0, x: 0, z: 20.5, ttl: 30 });
+  run(room, DT);
+  assert.strictEqual(room.coop.powerups.length, 0);
+  assert.strictEqual(room.players.get('a').hp, 60);
+  assert.strictEqual(room.players.get('b').hp, 90);
+});
+
+test('the match is lost when everyone is down, won after the last wave', () => {
+  const room = start('survival', [player('a', { x: 0, z: 20 }), player('b', { x: 20, z: 20 })]);
+  const mode = modeOf(room);
+  assert.strictEqual(mode.checkWin(room, false), null);
+  room.players.get('a').down = 1;
+  room.players.get('b').down = 2;
+  assert.deepStrictEqual(mode.checkWin(room, false), { type: 'coop', won: false, wave: 1 });
+
+  room.players.get('a').down = 0;
+  room.coop.cleared = room.rules.scoreLimit;
+  assert.strictEqual(mode.checkWin(room, false).won, true);
+});
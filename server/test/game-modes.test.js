@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  createRoom, lateJoin, GAME_MODES, modeOf, resolveRules, applyDamage, isTeamMode,
+  MemoryStatsStore, setStatsStore, recordMatchStats,
+} = require('../server');
+const { player, setup, kickOff } = require('./helpers');
+
+// A match under way, seated the way join-room seats players
+function start(opts, players) {
+  return kickOff(setup(opts, players, { join: true }));
+}
+
+test('every mode implements the full hook set', () => {
+  const hooks = ['onJoin', 'onLateJoin', 'onStart', 'onSpawn', 'onTick', 'onDamage', 'onKill', 'checkWin', 'scoreboard'];
+  for (const [name, mode] of Object.entries(GAME_MODES)) {
+    assert.strictEqual(mode.name, name);
+    for (const hook of hooks) assert.strictEqual(typeof mode[hook], 'function', `${name}.${hook}`);
+  }
+  assert.ok(isTeamMode('ctf') && !isTeamMode('gungame'));
+});
+
+test('create-room overrides mode defaults within limits', () => {
+  assert.deepStrictEqual(resolveRules(GAME_MODES.ctf), { scoreLimit: 3, timeLimit: 600, respawnDelay: 3, friendlyFire: false });
+  const rules = resolveRules(GAME_MODES.deathmatch, { scoreLimit: 12.4, timeLimit: 5, respawnDelay: 'soon', friendlyFire: true });
+  assert.deepStrictEqual(rules, { scoreLimit: 12, timeLimit: 60, respawnDelay: 3, friendlyFire: true });
+
+  const room = start({ mode: 'team-deathmatch', scoreLimit: 5, respawnDelay: 0 }, []);
+  assert.strictEqual(room.rules.scoreLimit, 5);
+  assert.strictEqual(room.rules.respawnDelay, 0);
+});
+
+test('deathmatch: score limit and time-up winner', () => {
+  const room = start({ mode: 'deathmatch', scoreLimit: 2 }, [player('a'), player('b')]);
+  const [a, b] = room.players.values();
+  applyDamage(room, b, 150, a, { weapon: 0 });
+  assert.strictEqual(b.alive, false);
+  assert.strictEqual(b.respawnTimer, 3);
+  assert.strictEqual(a.kills, 1);
+  assert.strictEqual(modeOf(room).checkWin(room, false), null);
+  assert.strictEqual(modeOf(room).checkWin(room, true).id, 'a');
+  a.kills = 2;
+  assert.strictEqual(modeOf(room).checkWin(room, false).id, 'a');
+});
+
+test('friendly fire is off by default and can be enabled', () => {
+  const players = () => [player('r1'), player('r2'), player('b1')];
+  const off = start({ mode: 'team-deathmatch' }, players());
+  const [r1, r2] = [off.players.get('r1'), off.players.get('r2')];
+  r2.team = r1.team;
+  assert.strictEqual(applyDamage(off, r2, 40, r1), 0);
+  assert.strictEqual(r2.hp, 100);
+
+  const on = start({ mode: 'team-deathmatch', friendlyFire: true }, players());
+  const [s1, s2] = [on.players.get('r1'), on.players.get('r2')];
+  s2.team = s1.team;
+  assert.strictEqual(applyDamage(on, s2, 40, s1), 40);
+  assert.strictEqual(s2.hp, 60);
+});
+
+test('environment damage kills without crediting anyone', () => {
+  const room = start({ mode: 'deathmatch', respawnDelay: 7 }, [player('a')]);
+  const a = room.players.get('a');
+  applyDamage(room, a, 500, null, { cause: 'hazard' });
+  assert.strictEqual(a.deaths, 1);
+  assert.strictEqual(a.kills, 0);
+  assert.strictEqual(a.respawnTimer, 7);
+});
+
+test('gun game: kills advance the weapon, the last one wins', () => {
+  const room = start({ mode: 'gungame' }, [player('a'), player('b')]);
+  const a = room.players.get('a'), b = room.players.get('b');
+  assert.strictEqual(a.weapon, 3); // starts on the rocket launcher
+  applyDamage(room, b, 500, a);
+  assert.strictEqual(a.gunGameLevel, 1);
+  assert.strictEqual(a.weapon, 1);
+  assert.strictEqual(modeOf(room).scoreboard(room)[0].id, 'a');
+
+  a.gunGameLevel = 6;
+  assert.strictEqual(modeOf(room).checkWin(room, false).id, 'a');
+});
+
+test('assists are credited through the damage pipeline', () => {
+  const room = start({ mode: 'deathmatch' }, [player('a'), player('b'), player('c')]);
+  const [a, b, c] = ['a', 'b', 'c'].map(id => room.players.get(id));
+  applyDamage(room, c, 50, b);
+  applyDamage(room, c, 60, a, { headshot: true });
+  assert.strictEqual(a.score, 25);
+  assert.strictEqual(b.assistCount, 1);
+  assert.strictEqual(b.score, 5);
+});
+
+test('join in progress is a deathmatch-only room option', () => {
+  assert.strictEqual(createRoom({ mode: 'deathmatch', joinInProgress: true }).joinInProgress, true);
+  assert.strictEqual(createRoom({ mode: 'deathmatch' }).joinInProgress, false);
+  assert.strictEqual(createRoom({ mode: 'ctf', joinInProgress: true }).joinInProgress, false);
+});
+
+test('late joiners wait for the next respawn and start level with the last place', () => {
+  const room = start({ mode: 'deathmatch', respawnDelay: 4 }, [player('a', { kills: 9, score: 90 }), player('b', { kills: 3, score: 35 })]);
+  const c = player('c');
+  room.players.set('c', c);
+  lateJoin(room, c);
+  assert.strictEqual(c.alive, false);
+  assert.strictEqual(c.respawnTimer, 4);
+  assert.strictEqual(c.kills, 3);
+  assert.strictEqual(c.score, 35);
+
+  // The granted kills don't count towards career stats
+  const store = new MemoryStatsStore();
+  setStatsStore(store);
+  c.kills += 2;
+  recordMatchStats(room, null);
+  assert.strictEqual(store.getPlayer('C').kills, 2);
+});
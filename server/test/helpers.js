@@ -0,0 +1,72 @@
+'use strict';
+
+// Fixtures shared by the unit tests: roster entries and rooms with no sockets behind them
+const { rooms, createRoom, modeOf, createNetState } = require('../server');
+
+const DT = 0.05; // one tick, in seconds
+
+let lastAddress = 0;
+
+// A roster entry with the fields the game reads, laid out like newPlayerState; `extra` overrides
+function player(id, extra = {}) {
+  return {
+    id, name: id.toUpperCase(), team: null, ready: false,
+    x: 0, y: 1.6, z: 0, yaw: 0, pitch: 0, vx: 0, vy: 0, vz: 0, kx: 0, kz: 0,
+    grounded: true, peakY: 1.6, dashTimer: 0, dashCooldown: 0,
+    hp: 100, alive: true, respawnTimer: 0, spawnProtectionTimer: 0,
+    kills: 0, deaths: 0, score: 0, weapon: 0, gunGameLevel: 0, captures: 0,
+    killStreak: 0, bestStreak: 0, assists: new Map(), assistCount: 0,
+    lastInputSeq: 0, net: createNetState(false),
+    session: `session-${id}`, disconnected: false, graceTimer: null,
+    address: `10.0.0.${++lastAddress}`, aim: null, seen: new Map(),
+    ...extra,
+  };
+}
+
+function seat(room, players) {
+  for (const p of players) room.players.set(p.id, p);
+  return room;
+}
+
+// A room in the registry (findSession, the lobby list and grace timers look there) while `fn` runs
+function withRoom(opts, fn) {
+  const room = createRoom({ map: 'arena', mode: 'deathmatch', ...opts });
+  try {
+    return fn(room);
+  } finally {
+    rooms.delete(room.code);
+  }
+}
+
+// A match already playing, kept out of the registry. With `join` everyone goes through the mode's
+// onJoin first, as join-room does, so team modes deal out the teams.
+function setup(opts, players = [], { join = false } = {}) {
+  const room = createRoom({ map: 'arena', mode: 'deathmatch', ...opts });
+  rooms.delete(room.code);
+  room.state = 'playing';
+  for (const p of players) {
+    if (join) modeOf(room).onJoin(room, p);
+    room.players.set(p.id, p);
+  }
+  return room;
+}
+
+// What the end of the countdown does: the mode's start, then everyone's first spawn. Players stay
+// where the test put them.
+function kickOff(room) {
+  const mode = modeOf(room);
+  mode.onStart(room);
+  for (const p of room.players.values()) {
+    const at = { x: p.x, z: p.z };
+    mode.onSpawn(room, p, true);
+    Object.assign(p, at);
+  }
+  return room;
+}
+
+// Calls `fn` once a tick for `seconds`
+function ticks(seconds, fn) {
+  for (let t = 0; t < seconds - 1e-9; t += DT) fn();
+}
+
+module.exports = { DT, player, seat, withRoom, setup, kickOff, ticks };
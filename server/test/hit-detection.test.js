@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateHitWithRaycast, hasLineOfSight } = require('../server');
+
+const PISTOL = 0, SHOTGUN = 1;
+
+function aimAt(from, to) {
+  const dx = to.x - from.x, dy = to.y - from.y, dz = to.z - from.z;
+  const len = Math.hypot(dx, dy, dz);
+  return { dx: dx / len, dy: dy / len, dz: dz / len };
+}
+
+test('aiming at the head is a headshot, aiming at the chest is not', () => {
+  const attacker = { x: 0, y: 1.6, z: 0 };
+  const victim = { x: 0, y: 1.6, z: 8 };
+  const head = validateHitWithRaycast(attacker, victim, PISTOL, aimAt(attacker, { x: 0, y: 1.65, z: 8 }));
+  const chest = validateHitWithRaycast(attacker, victim, PISTOL, aimAt(attacker, { x: 0, y: 0.9, z: 8 }));
+  assert.strictEqual(head.headshot, true);
+  assert.strictEqual(chest.headshot, false);
+});
+
+test('shots over the head or beside the body miss', () => {
+  const attacker = { x: 0, y: 1.6, z: 0 };
+  const victim = { x: 0, y: 1.6, z: 8 };
+  assert.strictEqual(validateHitWithRaycast(attacker, victim, PISTOL, aimAt(attacker, { x: 0, y: 2.4, z: 8 })), null);
+  assert.strictEqual(validateHitWithRaycast(attacker, victim, PISTOL, aimAt(attacker, { x: 1.2, y: 1, z: 8 })), null);
+});
+
+test('shots from above or below use the real 3D ray', () => {
+  const victim = { x: 0, y: 1.6, z: 6 };
+  const high = { x: 0, y: 5.6, z: 0 };
+  assert.ok(validateHitWithRaycast(high, victim, PISTOL, aimAt(high, { x: 0, y: 0.8, z: 6 })));
+  // Same horizontal direction, but the ray passes well above the victim
+  assert.strictEqual(validateHitWithRaycast(high, victim, PISTOL, { dx: 0, dy: 0, dz: 1 }), null);
+});
+
+test('walls block shots and line of sight', () => {
+  // Arena pillar at x=15 spans z -5..5
+  const attacker = { x: 5, y: 1.6, z: 0 };
+  const victim = { x: 25, y: 1.6, z: 0 };
+  assert.strictEqual(validateHitWithRaycast(attacker, victim, PISTOL, aimAt(attacker, victim), 'arena'), null);
+  assert.strictEqual(hasLineOfSight('arena', attacker, victim), false);
+
+  const clear = { x: 25, y: 1.6, z: 10 };
+  const clearFrom = { x: 5, y: 1.6, z: 10 };
+  assert.ok(validateHitWithRaycast(clearFrom, clear, PISTOL, aimAt(clearFrom, clear), 'arena'));
+  assert.strictEqual(hasLineOfSight('arena', clearFrom, clear), true);
+});
+
+test('geometry is per map', () => {
+  // Fortress has a central keep at the origin; the arena has open floor there
+  const attacker = { x: 0, y: 1.6, z: -12 };
+  const victim = { x: 0, y: 1.6, z: 12 };
+  const dir = aimAt(attacker, victim);
+  assert.strictEqual(validateHitWithRaycast(attacker, victim, PISTOL, dir, 'fortress'), null);
+  assert.ok(validateHitWithRaycast(attacker, victim, PISTOL, dir, 'arena'));
+});
+
+test('range is enforced along the ray', () => {
+  const attacker = { x: -45, y: 1.6, z: 45 };
+  const victim = { x: 5, y: 1.6, z: 45 }; // 50 units, shotgun range 40
+  assert.strictEqual(validateHitWithRaycast(attacker, victim, SHOTGUN, aimAt(attacker, victim)), null);
+  assert.ok(validateHitWithRaycast(attacker, victim, PISTOL, aimAt(attacker, victim)));
+});
+
+test('a hit report without a direction is rejected', () => {
+  assert.strictEqual(validateHitWithRaycast({ x: 0, y: 1.6, z: 0 }, { x: 0, y: 1.6, z: 2 }, PISTOL, undefined), null);
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  PositionHistory, estimateViewTime, getLagCompensatedPose, validateHitWithRaycast,
+  TICK_MS, REPLAY_WINDOW_MS,
+} = require('../server');
+
+const PISTOL = 0;
+const SPEED = 8; // units/s, normal run speed
+
+// Target strafing along +x across open arena floor, recorded once per server tick from t=0
+function strafingTarget(durationMs) {
+  const history = new PositionHistory();
+  const posAt = (t) => ({ x: 22 + SPEED * t / 1000, y: 1.6, z: 12, alive: true });
+  for (let t = 0; t <= durationMs; t += TICK_MS) history.record(t, posAt(t));
+  return { history, posAt, ...posAt(durationMs) };
+}
+
+// Shooter aiming straight at a point
+function aimAt(attacker, point) {
+  const dx = point.x - attacker.x, dy = point.y - attacker.y, dz = point.z - attacker.z;
+  const len = Math.hypot(dx, dy, dz);
+  return { dx: dx / len, dy: dy / len, dz: dz / len };
+}
+
+const attacker = { x: 30, y: 1.6, z: 0 };
+
+test('history interpolates between ticks', () => {
+  const target = strafingTarget(1000);
+  const pose = target.history.sample(TICK_MS * 2.5);
+  assert.ok(Math.abs(pose.x - target.posAt(TICK_MS * 2.5).x) < 1e-9);
+  assert.strictEqual(pose.alive, true);
+});
+
+test('history keeps only the configured window', () => {
+  const history = new PositionHistory(200);
+  for (let t = 0; t <= 1000; t += TICK_MS) history.record(t, { x: t, y: 1.6, z: 0, alive: true });
+  assert.ok(history.entries[0].time >= 1000 - 200 - TICK_MS);
+  assert.strictEqual(history.sample(0).x, history.entries[0].x); // clamped to oldest
+});
+
+test('rewound pose is never alive across a death', () => {
+  const history = new PositionHistory();
+  history.record(0, { x: 0, y: 1.6, z: 0, alive: false });
+  history.record(TICK_MS, { x: 30, y: 1.6, z: 30, alive: true }); // respawn teleport
+  assert.strictEqual(history.sample(TICK_MS / 2).alive, false);
+});
+
+test('scripted shots at a moving target hit only with rewind', () => {
+  const now = 1000;
+  for (const rtt of [20, 60, 100]) {
+    const target = strafingTarget(now);
+    const seen = target.posAt(estimateViewTime(rtt, now)); // what the shooter had on screen
+    const dir = aimAt(attacker, seen);
+
+    const rewound = getLagCompensatedPose(target, rtt, now);
+    assert.ok(validateHitWithRaycast(attacker, rewound, PISTOL, dir), `rtt ${rtt}: rewound shot should hit`);
+    assert.ok(!validateHitWithRaycast(attacker, target, PISTOL, dir), `rtt ${rtt}: current pose should miss`);
+  }
+});
+
+test('shots between ticks still hit the interpolated pose', () => {
+  const target = strafingTarget(1000);
+  const rtt = 70;
+  for (const now of [1000 - 13, 1000 - 27, 1000 - 41]) {
+    const seen = target.posAt(estimateViewTime(rtt, now));
+    const dir = aimAt(attacker, seen);
+    assert.ok(validateHitWithRaycast(attacker, getLagCompensatedPose(target, rtt, now), PISTOL, dir));
+  }
+});
+
+test('rewind is capped at REPLAY_WINDOW_MS', () => {
+  const now = 1000;
+  assert.strictEqual(estimateViewTime(10000, now), now - REPLAY_WINDOW_MS);
+
+  // A shooter reporting huge latency aims where the target was long ago — rejected
+  const target = strafingTarget(now);
+  const dir = aimAt(attacker, target.posAt(now - 500));
+  assert.ok(!validateHitWithRaycast(attacker, getLagCompensatedPose(target, 1000, now), PISTOL, dir));
+});
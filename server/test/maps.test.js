@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { app, MAP_DEFS, loadMaps, validateMap } = require('../server');
+
+function minimalMap(name) {
+  return {
+    name, title: name.toUpperCase(),
+    theme: { base: '#000088', emissive: '#0080ff', neon: '#00ffff', ambient: [55, 82] },
+    walls: [{ x: 0, z: 10, w: 4, d: 1, h: 3 }],
+    spawns: [{ x: -20, z: 0 }, { x: 20, z: 0 }],
+    hazards: [], platforms: [], powerups: [],
+  };
+}
+
+function insideWall(def, x, z) {
+  return def.walls.some(w => Math.abs(x - w.x) < w.w / 2 && Math.abs(z - w.z) < w.d / 2);
+}
+
+test('bundled maps load and validate', () => {
+  assert.deepStrictEqual(Object.keys(MAP_DEFS).sort(), ['arena', 'corridors', 'fortress']);
+  for (const def of Object.values(MAP_DEFS)) {
+    assert.doesNotThrow(() => validateMap(def, def.name));
+    assert.strictEqual(def.colliders.length, def.walls.length);
+  }
+});
+
+test('bundled spawns are on open floor', () => {
+  for (const def of Object.values(MAP_DEFS)) {
+    for (const s of def.spawns) assert.ok(!insideWall(def, s.x, s.z), `${def.name} spawn ${s.x},${s.z}`);
+  }
+});
+
+test('malformed definitions are rejected', () => {
+  assert.doesNotThrow(() => validateMap(minimalMap('test'), 'test'));
+  const broken = [
+    d => { d.name = 'other'; },
+    d => { d.theme.neon = 'cyan'; },
+    d => { d.walls[0].w = -1; },
+    d => { d.spawns = [{ x: 0, z: 0 }]; },
+    d => { d.spawns[0] = { x: 0, z: 10 }; }, // inside the wall
+    d => { d.spawns[0] = { x: 80, z: 0 }; }, // outside the arena
+    d => { d.hazards = [{ x: 0, z: 0, radius: 'big', damage: 5 }]; },
+    d => { delete d.walls; },
+  ];
+  for (const mutate of broken) {
+    const def = minimalMap('test');
+    mutate(def);
+    assert.throws(() => validateMap(def, 'test'));
+  }
+});
+
+test('loadMaps skips invalid files and keeps the rest', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maps-'));
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    fs.writeFileSync(path.join(dir, 'arena.json'), JSON.stringify(minimalMap('arena')));
+    fs.writeFileSync(path.join(dir, 'bad.json'), '{ not json');
+    fs.writeFileSync(path.join(dir, 'wrong.json'), JSON.stringify(minimalMap('mismatch')));
+    const defs = loadMaps(dir);
+    assert.deepStrictEqual(Object.keys(defs), ['arena']);
+  } finally {
+    console.warn = warn;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('/maps serves bundled maps by name and nothing else', async () => {
+  const srv = app.listen(0);
+  await new Promise(resolve => srv.once('listening', resolve));
+  const base = `http://127.0.0.1:${srv.address().port}`;
+  try {
+    assert.strictEqual((await (await fetch(`${base}/maps/arena`)).json()).name, 'arena');
+    for (const name of ['ghost', '__proto__', 'constructor', 'toString']) {
+      assert.strictEqual((await fetch(`${base}/maps/${name}`)).status, 404);
+    }
+  } finally {
+    srv.close();
+  }
+});
@@ -0,0 +1,263 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { io: connect } = require('socket.io-client');
+
+const { FakeClock, useClock } = require('../lib/clock');
+const { INPUT_KEYS, resetMovement } = require('../lib/physics');
+const {
+  server, rooms, WEAPONS, closeRoom, MemoryStatsStore, setStatsStore, setReplayStore, MemoryAccountStore, setAccountStore,
+} = require('../server');
+
+const PISTOL = 0, SNIPER = 4;
+const CHEST = 0.725 - 1.6; // from the eye down to the middle of the body
+
+// A headless player: records everything the server sends it
+class Client {
+  constructor(socket) {
+    this.socket = socket;
+    this.events = [];
+    this.seq = 0;
+    socket.onAny((event, data) => this.events.push({ event, data }));
+  }
+
+  get id() { return this.socket.id; }
+  request(event, data) { return data === undefined ? this.socket.emitWithAck(event) : this.socket.emitWithAck(event, data); }
+  send(event, data) { this.socket.emit(event, data); }
+  received(event) { return this.events.filter(e => e.event === event).map(e => e.data); }
+
+  // Anything the server sent before answering this has arrived by the time it resolves
+  sync() { return this.request('ping-check', 0); }
+
+  walk(keys, yaw, weapon) {
+    this.send('input', { inputs: [{ seq: ++this.seq, dt: 0.05, keys, yaw }], pitch: 0, weapon });
+  }
+
+  // Fires along the ray from `from` to `to` and reports the hit, as the client does on a hit
+  shoot(weapon, from, to, target) {
+    const d = { dx: to.x - from.x, dy: to.y + CHEST - from.y, dz: to.z - from.z };
+    this.send('shoot', { weapon, x: from.x, y: from.y, z: from.z, ...d });
+    if (target) this.send('hit', { targetId: target.id, weapon, direction: d });
+  }
+}
+
+// A listening server on a fake clock, with stores that stay in memory
+async function withServer(fn) {
+  const clock = new FakeClock();
+  const prev = useClock(clock);
+  setStatsStore(new MemoryStatsStore());
+  setReplayStore({ save() {} });
+  setAccountStore(new MemoryAccountStore());
+  server.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const clients = [];
+  const h = {
+    clock,
+    async join(code, name, opts = {}) {
+      const c = new Client(connect(url, { transports: ['websocket'], forceNew: true, reconnection: false }));
+      clients.push(c);
+      await new Promise(resolve => c.socket.once('connect', resolve));
+      if (!code) code = (await c.request('create-room', { map: 'arena', mode: 'deathmatch', scoreLimit: 1, ...opts })).code;
+      assert.ok((await c.request('join-room', { code, name })).ok);
+      c.code = code;
+      return c;
+    },
+    // Packets already sent are handled at the current time, then the clock moves on
+    async advance(ms) {
+      await Promise.all(clients.map(c => c.sync()));
+      h.clock.advance(ms);
+      await Promise.all(clients.map(c => c.sync()));
+    },
+  };
+  try {
+    return await fn(h);
+  } finally {
+    for (const room of [...rooms.values()]) closeRoom(room);
+    for (const c of clients) c.socket.disconnect();
+    await new Promise(resolve => server.close(resolve));
+    useClock(prev);
+  }
+}
+
+// Host starts a ready room; returns it on the tick the match begins
+async function startMatch(h, host, others) {
+  for (const c of others) c.send('ready', true);
+  await Promise.all(others.map(c => c.sync()));
+  assert.deepStrictEqual(await host.request('start-match'), { ok: true });
+  const room = rooms.get(host.code);
+  while (room.state === 'countdown') h.clock.advance(50);
+  await h.advance(0);
+  return room;
+}
+
+// Puts players where a test needs them, facing -z like the shooter
+function place(room, client, x, z) {
+  const p = room.players.get(client.id);
+  resetMovement(p, { x, y: 1.6, z });
+  p.yaw = 0;
+  return p;
+}
+
+test('the fake clock runs due timers in order, each at its own time', () => {
+  const clock = new FakeClock(0);
+  const log = [];
+  const tick = clock.setInterval(() => log.push(`tick ${clock.now()}`), 50);
+  clock.setTimeout(() => log.push(`once ${clock.now()}`), 75);
+  const never = clock.setTimeout(() => log.push('never'), 60);
+  clock.clearTimeout(never);
+  clock.advance(120);
+  assert.deepStrictEqual(log, ['tick 50', 'once 75', 'tick 100']);
+  assert.strictEqual(clock.now(), 120);
+  clock.clearInterval(tick);
+  assert.strictEqual(clock.pending, 0);
+});
+
+test('a whole match: create, join, ready, countdown, move, shoot, hit, kill and game over', async () => {
+  await withServer(async (h) => {
+    const alice = await h.join(null, 'Alice');
+    const bob = await h.join(alice.code, 'Bob');
+    await alice.sync();
+    assert.strictEqual(alice.received('room-state').at(-1).players.length, 2);
+
+    const room = await startMatch(h, alice, [bob]);
+    assert.strictEqual(room.state, 'playing');
+    assert.deepStrictEqual([...new Set(alice.received('countdown'))], [3, 2, 1]);
+    assert.strictEqual(bob.received('game-start').length, 1);
+
+    // Move: a second of walking forward, one input per tick
+    const a = place(room, alice, 0, 0), b = place(room, bob, 0, -12);
+    for (let i = 0; i < 20; i++) {
+      alice.walk(INPUT_KEYS.FORWARD, 0, SNIPER);
+      await h.advance(50);
+    }
+    assert.strictEqual(a.lastInputSeq, 20);
+    assert.ok(Math.abs(a.z + 8) < 0.01, `walked to ${a.z}`); // MOVE_SPEED for one second
+    assert.ok(alice.received('game-state').length >= 20);
+    await h.advance(1100); // Bob's spawn protection runs out
+
+    // Shoot and hit: a pistol shot first, then the sniper finishes it
+    alice.shoot(PISTOL, a, b, bob);
+    await h.advance(1300); // the sniper's fire rate counts from the last shot of any weapon
+    assert.deepStrictEqual(bob.received('player-damage'), [{ id: bob.id, hp: 80, attackerId: alice.id, isHeadshot: false }]);
+    assert.strictEqual(bob.received('bullet').length, 1);
+
+    alice.shoot(SNIPER, a, b, bob);
+    await h.advance(50);
+    const kill = bob.received('kill').at(-1);
+    assert.strictEqual(kill.killer, alice.id);
+    assert.strictEqual(kill.weapon, SNIPER);
+
+    // Game over on the first kill; back in the lobby 10 seconds later
+    const over = alice.received('game-over').at(-1);
+    assert.deepStrictEqual(over.winner, { type: 'player', id: alice.id, name: 'Alice' });
+    assert.deepStrictEqual(over.scoreboard.map(r => [r.name, r.kills, r.deaths]), [['Alice', 1, 0], ['Bob', 0, 1]]);
+    assert.strictEqual(room.state, 'results');
+    await h.advance(10000);
+    assert.strictEqual(room.state, 'lobby');
+    assert.strictEqual(bob.received('room-state').at(-1).state, 'lobby');
+  });
+});
+
+test('spawn protection lasts two seconds of game time', async () => {
+  await withServer(async (h) => {
+    const alice = await h.join(null, 'Alice');
+    const bob = await h.join(alice.code, 'Bob');
+    const room = await startMatch(h, alice, [bob]);
+    const a = place(room, alice, 0, 0), b = place(room, bob, 0, -10);
+    await h.advance(100); // so the rewind finds them there
+
+    alice.shoot(PISTOL, a, b, bob);
+    await h.advance(1800);
+    assert.strictEqual(b.hp, 100); // protected at 0.1s
+
+    alice.shoot(PISTOL, a, b, bob);
+    await h.advance(300);
+    assert.strictEqual(b.hp, 100); // and at 1.9s
+
+    alice.shoot(PISTOL, a, b, bob);
+    await h.advance(50);
+    assert.strictEqual(b.hp, 100 - WEAPONS[PISTOL].dmg); // but not at 2.2s
+    assert.deepStrictEqual(bob.received('player-damage').map(d => d.hp), [80]);
+  });
+});
+
+test('damage earns an assist only within five seconds of the kill', async () => {
+  await withServer(async (h) => {
+    const alice = await h.join(null, 'Alice');
+    const bob = await h.join(alice.code, 'Bob');
+    const carol = await h.join(alice.code, 'Carol');
+    const room = await startMatch(h, alice, [bob, carol]);
+    room.rules.scoreLimit = 10;
+    const a = place(room, alice, -3, 0), b = place(room, bob, 3, 0), c = place(room, carol, 0, -12);
+    await h.advance(2100); // past spawn protection
+
+    // Bob chips Carol, Alice finishes her 4.95 seconds later
+    bob.shoot(PISTOL, b, c, carol);
+    await h.advance(4950);
+    alice.shoot(SNIPER, a, c, carol);
+    await h.advance(50);
+    assert.strictEqual(alice.received('kill').length, 1);
+    assert.deepStrictEqual([a.score, b.score, b.assistCount], [10, 5, 1]);
+
+    // Next life: the same again, 5 seconds apart, is too late
+    await h.advance(room.rules.respawnDelay * 1000 + 100);
+    place(room, carol, 0, -12);
+    await h.advance(2100);
+    bob.shoot(PISTOL, b, c, carol);
+    await h.advance(5000);
+    alice.shoot(SNIPER, a, c, carol);
+    await h.advance(50);
+    assert.strictEqual(alice.received('kill').length, 2);
+    assert.deepStrictEqual([a.score, b.score, b.assistCount], [20, 5, 1]);
+  });
+});
+
+test('packets naming no real weapon are dropped without taking the server down', async () => {
+  await withServer(async (h) => {
+    const alice = await h.join(null, 'Alice');
+    const bob = await h.join(alice.code, 'Bob');
+    const room = await startMatch(h, alice, [bob]);
+    const a = room.players.get(alice.id);
+    const mags = a.ammo.map(s => s.mag);
+
+    for (const bad of [null, 7, {}, { weapon: 1.5 }, { weapon: -1 }, { weapon: WEAPONS.length }, { weapon: '1' }]) {
+      alice.send('shoot', bad);
+      alice.send('reload', bad);
+      alice.send('hit', bad && typeof bad === 'object' ? { ...bad, targetId: bob.id, direction: { dx: 0, dy: 0, dz: -1 } } : bad);
+    }
+    await h.advance(50);
+    assert.deepStrictEqual(a.ammo.map(s => s.mag), mags);
+    assert.strictEqual(a.weapon, 0);
+    assert.strictEqual(await bob.sync(), 0); // still up
+  });
+});
+
+test('co-op enemy hits naming no real weapon are dropped too', async () => {
+  await withServer(async (h) => {
+    const alice = await h.join(null, 'Alice', { mode: 'survival' });
+    const bob = await h.join(alice.code, 'Bob');
+    const room = await startMatch(h, alice, [bob]);
+    for (let i = 0; i < 200 && !room.coop.enemies.length; i++) h.clock.advance(50);
+    const enemy = room.coop.enemies[0];
+    const hp = enemy.hp;
+
+    for (const weapon of [1.5, -1, WEAPONS.length, '0', undefined]) {
+      alice.send('hit-enemy', { enemyId: enemy.id, weapon, direction: { dx: 0, dy: 0, dz: -1 } });
+    }
+    alice.send('hit-enemy', null);
+    await h.advance(0);
+    assert.strictEqual(enemy.hp, hp);
+    assert.strictEqual(await bob.sync(), 0); // still up
+  });
+});
+
+test('a name that is not text joins or queues as ANON', async () => {
+  await withServer(async (h) => {
+    const alice = await h.join(null, 12345);
+    assert.strictEqual(rooms.get(alice.code).players.get(alice.id).name, 'ANON');
+    assert.ok((await alice.request('queue', { mode: 'deathmatch', name: { first: 'Ace' } })).ok);
+    assert.strictEqual(await alice.sync(), 0); // still up
+  });
+});
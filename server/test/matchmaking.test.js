@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  rooms, createRoom, DEFAULT_RATING, DEFAULT_RD, rateMatch, getTeam, balanceTeams,
+  QUEUE_MATCH_SIZE, QUEUE_FILL_WAIT_MS, searchRange, findMatches,
+  MemoryStatsStore, setStatsStore, recordMatchStats,
+} = require('../server');
+
+function ticket(id, rating, waitedMs, mode = 'deathmatch') {
+  return { id, mode, rating, joinedAt: 100000 - waitedMs, data: {} };
+}
+const NOW = 100000;
+
+test('beating a stronger player gains more than beating a weaker one', () => {
+  const [upset] = rateMatch([{ rating: 1400, rd: 100, place: 0 }, { rating: 1600, rd: 100, place: 1 }]);
+  const [expected] = rateMatch([{ rating: 1600, rd: 100, place: 0 }, { rating: 1400, rd: 100, place: 1 }]);
+  assert.ok(upset.rating - 1400 > expected.rating - 1600);
+  assert.ok(expected.rating > 1600);
+
+  // New players move faster, and become more certain
+  const [fresh] = rateMatch([{ rating: 1500, rd: DEFAULT_RD, place: 0 }, { rating: 1500, rd: 60, place: 1 }]);
+  const [settled] = rateMatch([{ rating: 1500, rd: 60, place: 0 }, { rating: 1500, rd: DEFAULT_RD, place: 1 }]);
+  assert.ok(fresh.rating - 1500 > settled.rating - 1500);
+  assert.ok(fresh.rd < DEFAULT_RD);
+});
+
+test('teammates are only rated against the other team', () => {
+  const rated = rateMatch([
+    { rating: 1500, rd: 100, place: 0, team: 'red' }, { rating: 1500, rd: 100, place: 0, team: 'red' },
+    { rating: 1500, rd: 100, place: 1, team: 'blue' }, { rating: 1500, rd: 100, place: 1, team: 'blue' },
+  ]);
+  assert.deepStrictEqual(rated.map(r => Math.sign(r.rating - 1500)), [1, 1, -1, -1]);
+});
+
+test('match results update stored ratings from the scoreboard', () => {
+  const store = new MemoryStatsStore();
+  setStatsStore(store);
+  const player = (name, kills) => ({ name, team: null, kills, deaths: 0, headshots: 0, assistCount: 0, bestStreak: 0 });
+  const room = { code: 'TEST', mode: 'deathmatch', map: 'arena',
+    players: new Map([['a', player('Ace', 5)], ['b', player('Bob', 1)], ['c', player('Cat', 3)]]) };
+  const scoreboard = [{ id: 'a', score: 5, kills: 5 }, { id: 'c', score: 3, kills: 3 }, { id: 'b', score: 1, kills: 1 }];
+  recordMatchStats(room, { type: 'player', id: 'a' }, scoreboard);
+
+  const ace = store.getRating('ace'), cat = store.getRating('Cat'), bob = store.getRating('bob');
+  assert.ok(ace.rating > cat.rating && cat.rating === DEFAULT_RATING && bob.rating < DEFAULT_RATING);
+  assert.ok(ace.rd < DEFAULT_RD);
+  assert.strictEqual(room.players.get('a').rating, ace.rating);
+  assert.strictEqual(store.getPlayer('Ace').rating, ace.rating);
+  assert.deepStrictEqual(store.getRating('nobody'), { rating: DEFAULT_RATING, rd: DEFAULT_RD });
+
+  // Co-op matches aren't rated
+  recordMatchStats({ ...room, mode: 'survival' }, { type: 'coop', won: true, wave: 5 }, []);
+  assert.strictEqual(store.getRating('ace').rating, ace.rating);
+});
+
+test('the accepted rating gap widens with waiting time', () => {
+  assert.ok(searchRange(ticket('a', 1500, 0), NOW) < searchRange(ticket('a', 1500, 10000), NOW));
+
+  // Fresh tickets far apart stay apart; a full group of close ratings matches at once
+  const close = Array.from({ length: QUEUE_MATCH_SIZE }, (_, i) => ticket(`c${i}`, 1500 + i * 10, 1000));
+  const matches = findMatches([ticket('far', 2200, 1000), ...close], NOW);
+  assert.strictEqual(matches.length, 1);
+  assert.deepStrictEqual(matches[0].map(t => t.id).sort(), close.map(t => t.id).sort());
+
+  // Two players can't fill a room; after the fill wait they start anyway, once in each other's range
+  assert.deepStrictEqual(findMatches([ticket('a', 1500, 5000), ticket('b', 1550, 5000)], NOW), []);
+  const pair = findMatches([ticket('a', 1500, QUEUE_FILL_WAIT_MS), ticket('b', 1550, QUEUE_FILL_WAIT_MS)], NOW);
+  assert.strictEqual(pair.length, 1);
+  assert.deepStrictEqual(findMatches([ticket('a', 1500, QUEUE_FILL_WAIT_MS), ticket('b', 2400, QUEUE_FILL_WAIT_MS)], NOW), []);
+
+  // Different modes never mix
+  assert.deepStrictEqual(findMatches([ticket('a', 1500, QUEUE_FILL_WAIT_MS), ticket('b', 1500, QUEUE_FILL_WAIT_MS, 'ctf')], NOW), []);
+});
+
+test('teams are balanced by rating, not just head count', () => {
+  const room = createRoom({ mode: 'team-deathmatch', map: 'arena' });
+  rooms.delete(room.code);
+  [2000, 1800, 1500, 1450, 1200, 1000].forEach((rating, i) => room.players.set(`p${i}`, { id: `p${i}`, team: null, rating }));
+  balanceTeams(room);
+  const total = { red: 0, blue: 0 }, count = { red: 0, blue: 0 };
+  for (const p of room.players.values()) { total[p.team] += p.rating; count[p.team]++; }
+  assert.deepStrictEqual(count, { red: 3, blue: 3 });
+  assert.ok(Math.abs(total.red - total.blue) <= 200);
+
+  // Equal head counts: a newcomer goes to the weaker side
+  for (const [i, p] of [...room.players.values()].entries()) p.team = i % 2 ? 'blue' : 'red';
+  assert.strictEqual(getTeam(room), 'blue'); // red holds 2000 + 1500 + 1200
+});
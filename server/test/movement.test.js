@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { INPUT_KEYS, MAP_DEFS, sanitizeInput, resetMovement, simulateMove, spendMoveBudget } = require('../server');
+
+const DT = 1 / 60;
+const OPEN = []; // no walls
+
+function spawnAt(x, z) {
+  const p = {};
+  resetMovement(p, { x, y: 1.6, z });
+  return p;
+}
+
+function run(p, keys, seconds, colliders = OPEN, yaw = 0) {
+  const events = [];
+  for (let t = 0; t < seconds - 1e-9; t += DT) events.push(simulateMove(p, { dt: DT, keys, yaw }, colliders));
+  return events;
+}
+
+test('walking covers MOVE_SPEED units per second, diagonals included', () => {
+  const p = spawnAt(0, 0);
+  run(p, INPUT_KEYS.FORWARD, 1);
+  assert.ok(Math.abs(p.z - -8) < 1e-6, `z=${p.z}`);
+
+  const d = spawnAt(0, 0);
+  run(d, INPUT_KEYS.FORWARD | INPUT_KEYS.RIGHT, 1);
+  assert.ok(Math.abs(Math.hypot(d.x, d.z) - 8) < 1e-6);
+});
+
+test('yaw rotates the movement direction', () => {
+  const p = spawnAt(0, 0);
+  run(p, INPUT_KEYS.FORWARD, 1, OPEN, Math.PI / 2);
+  assert.ok(Math.abs(p.x - -8) < 1e-6 && Math.abs(p.z) < 1e-6);
+});
+
+test('gravity is applied once: a jump lands after 2 * JUMP_POWER / GRAVITY', () => {
+  const p = spawnAt(0, 0);
+  const events = run(p, INPUT_KEYS.JUMP, 1.2);
+  assert.strictEqual(events[0].jumped, true);
+  const landedAt = events.findIndex(e => e.landed) * DT;
+  assert.ok(Math.abs(landedAt - 0.8) < 2 * DT, `landed after ${landedAt}s`);
+  assert.strictEqual(events.filter(e => e.jumped).length, 2); // holding jump hops again once grounded
+  assert.ok(events.every(e => e.fallDamage === 0));
+});
+
+test('dash triples speed briefly and then cools down', () => {
+  const p = spawnAt(0, 0);
+  run(p, INPUT_KEYS.FORWARD | INPUT_KEYS.DASH, 0.2);
+  assert.ok(Math.abs(p.z - -4.8) < 0.2, `z=${p.z}`);
+  const before = p.z;
+  run(p, INPUT_KEYS.FORWARD | INPUT_KEYS.DASH, 1); // still cooling down
+  assert.ok(Math.abs(p.z - before - -8) < 1e-6);
+});
+
+test('walls stop movement and the player slides along them', () => {
+  // Arena pillar at x=15 spans x 14..16, z -5..5
+  const colliders = MAP_DEFS.arena.colliders;
+  const p = spawnAt(12, 0);
+  run(p, INPUT_KEYS.RIGHT, 1, colliders);
+  assert.ok(Math.abs(p.x - (14 - 0.4)) < 0.2, `x=${p.x}`);
+  assert.ok(p.x <= 14 - 0.4);
+
+  run(p, INPUT_KEYS.RIGHT | INPUT_KEYS.FORWARD, 2, colliders);
+  assert.ok(p.z < -5.4 && p.x > 16, 'slid along the pillar and round its end');
+
+  const edge = spawnAt(47, 0);
+  run(edge, INPUT_KEYS.RIGHT, 1, colliders);
+  assert.ok(edge.x <= 49.5 - 0.4, 'boundary wall holds');
+});
+
+test('inputs are sanitized and clamped', () => {
+  assert.strictEqual(sanitizeInput({ seq: 1, dt: 0.016 }), null);
+  assert.strictEqual(sanitizeInput({ seq: -1, dt: 0.016, yaw: 0 }), null);
+  assert.strictEqual(sanitizeInput({ seq: 1, dt: -1, yaw: 0 }), null);
+  assert.strictEqual(sanitizeInput({ seq: 1, dt: 5, yaw: 0, keys: 3 }).dt, 0.05);
+});
+
+test('the move budget rejects inputs covering more time than has passed', () => {
+  const p = spawnAt(0, 0);
+  p.moveBudget = 0.05;
+  let accepted = 0;
+  for (let i = 0; i < 30; i++) if (spendMoveBudget(p, DT)) accepted++;
+  assert.strictEqual(accepted, 3);
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  NET_SCHEMA, createNetState, buildSnapshot, acknowledgeSnapshot, encodeSnapshot, decodeSnapshot,
+  broadcastGameState, resetNetStats, getBandwidthStats,
+} = require('../server');
+const { player, setup } = require('./helpers');
+
+const field = key => NET_SCHEMA.findIndex(([k]) => k === key);
+const COMMON_FIELDS = NET_SCHEMA.findIndex(([k]) => k === 'vy');
+
+function makeRoom(players) {
+  const room = setup({}, players);
+  room.gameTimer = 600;
+  room.features = []; // nothing moving but the players
+  resetNetStats(room);
+  return room;
+}
+
+// Decode a field of an entry given its mask
+function valueOf(entry, key) {
+  const [, mask, ...vals] = entry;
+  const idx = field(key);
+  if (!(mask & (1 << idx))) return undefined;
+  let k = 0;
+  for (let i = 0; i < idx; i++) if (mask & (1 << i)) k++;
+  return vals[k];
+}
+
+test('the first snapshot is complete; owner-only fields go to the owner only', () => {
+  const a = player('a', { nid: 1, x: 0, z: 0 }), b = player('b', { nid: 2, x: 5, z: 0 });
+  const room = makeRoom([a, b]);
+  const msg = buildSnapshot(room, 'a', a);
+  assert.strictEqual(msg.base, 0);
+  const mine = msg.e.find(e => e[0] === 1), theirs = msg.e.find(e => e[0] === 2);
+  assert.strictEqual(mine.length - 2, NET_SCHEMA.length);
+  assert.strictEqual(theirs.length - 2, COMMON_FIELDS);
+  assert.strictEqual(valueOf(theirs, 'x'), 500); // quantized to 1cm
+  assert.strictEqual(msg.fp, undefined); // no moving platforms in this room
+});
+
+test('deltas carry only fields changed since the acknowledged snapshot', () => {
+  const a = player('a', { nid: 1, x: 0, z: 0 }), b = player('b', { nid: 2, x: 5, z: 0 });
+  const room = makeRoom([a, b]);
+  const first = buildSnapshot(room, 'a', a);
+  acknowledgeSnapshot(a.net, first.id);
+
+  room.tick++;
+  assert.deepStrictEqual(buildSnapshot(room, 'a', a).e, []); // nothing moved
+
+  b.x = 6;
+  room.tick++;
+  const delta = buildSnapshot(room, 'a', a);
+  assert.strictEqual(delta.base, first.id);
+  assert.strictEqual(delta.e.length, 1);
+  assert.strictEqual(delta.e[0][1], 1 << field('x'));
+  assert.strictEqual(valueOf(delta.e[0], 'x'), 600);
+
+  // Not acknowledged yet: the next delta is still against the same baseline and resends x
+  room.tick++;
+  const again = buildSnapshot(room, 'a', a);
+  assert.strictEqual(again.base, first.id);
+  assert.strictEqual(valueOf(again.e[0], 'x'), 600);
+});
+
+test('far players hidden behind walls update less often, but deaths go out at once', () => {
+  // Arena pillar at x=15 blocks the view between (5,0) and (45,0)
+  const a = player('a', { nid: 1, x: 5, z: 0 }), far = player('far', { nid: 2, x: 45, z: 0 });
+  const room = makeRoom([a, far]);
+  acknowledgeSnapshot(a.net, buildSnapshot(room, 'a', a).id);
+
+  let updates = 0;
+  for (let i = 0; i < 20; i++) {
+    room.tick++;
+    far.z += 0.1;
+    const msg = buildSnapshot(room, 'a', a);
+    acknowledgeSnapshot(a.net, msg.id);
+    if (msg.e.some(e => e[0] === 2)) updates++;
+  }
+  assert.strictEqual(updates, 4);
+
+  far.alive = false;
+  room.tick++;
+  while ((room.tick + far.nid) % 5 === 0) room.tick++;
+  const msg = buildSnapshot(room, 'a', a);
+  assert.strictEqual(valueOf(msg.e.find(e => e[0] === 2), 'alive'), 0);
+});
+
+test('players who left are listed as gone', () => {
+  const a = player('a', { nid: 1, x: 0, z: 0 }), b = player('b', { nid: 2, x: 5, z: 0 });
+  const room = makeRoom([a, b]);
+  acknowledgeSnapshot(a.net, buildSnapshot(room, 'a', a).id);
+  room.players.delete('b');
+  assert.deepStrictEqual(buildSnapshot(room, 'a', a).g, [2]);
+});
+
+test('quantization wraps angles and clamps to the wire type', () => {
+  const a = player('a', { nid: 1, x: 0, z: 0, yaw: -Math.PI / 2, hp: 0.3, lastInputSeq: 7 });
+  const room = makeRoom([a]);
+  const entry = buildSnapshot(room, 'a', a).e[0];
+  assert.strictEqual(valueOf(entry, 'yaw'), 49152); // 3/4 turn
+  assert.strictEqual(valueOf(entry, 'hp'), 1);       // never shows 0 while alive
+  assert.strictEqual(valueOf(entry, 'seq'), 7);
+});
+
+test('binary encoding round-trips and is smaller than JSON', () => {
+  const players = [];
+  for (let n = 1; n <= 8; n++) players.push(player(`s${n}`, { nid: n, x: n * 3 - 20, z: -n * 2, yaw: n, vy: -n / 3 }));
+  const room = makeRoom(players);
+  const viewer = players[0];
+  const msg = buildSnapshot(room, 's1', viewer);
+  const buf = encodeSnapshot(msg);
+  assert.deepStrictEqual(decodeSnapshot(buf), msg);
+  assert.ok(buf.length < Buffer.byteLength(JSON.stringify(msg)));
+});
+
+test('bandwidth stats show the savings over full broadcasts', () => {
+  const players = [];
+  for (let n = 1; n <= 6; n++) players.push(player(`s${n}`, { nid: n, x: n * 4 - 12, z: 0 }));
+  const room = makeRoom(players);
+  for (let t = 0; t < 40; t++) {
+    room.tick++;
+    players[0].x += 0.2; // one player running, the rest idle
+    broadcastGameState(room);
+    for (const [, p] of room.players) acknowledgeSnapshot(p.net, p.net.nextId - 1);
+  }
+  const stats = getBandwidthStats(room);
+  assert.strictEqual(stats.messages, 40 * 6);
+  assert.ok(stats.savings > 0.5, `savings ${stats.savings}`);
+});
+
+test('spectators get every player each tick, without interest culling', () => {
+  const a = player('a', { nid: 1, x: -40, z: -40 }), b = player('b', { nid: 2, x: 40, z: 40 }), c = player('c', { nid: 3, x: 40, z: -40 });
+  const room = makeRoom([a, b, c]);
+  const spec = { id: 's', spectator: true, net: createNetState(false) };
+  room.spectators.set('s', spec);
+  acknowledgeSnapshot(spec.net, buildSnapshot(room, 's', spec).id);
+  for (let t = 1; t <= 3; t++) {
+    room.tick++;
+    b.x -= 0.5;
+    c.x -= 0.5;
+    const msg = buildSnapshot(room, 's', spec);
+    acknowledgeSnapshot(spec.net, msg.id);
+    assert.deepStrictEqual(msg.e.map(([nid]) => nid), [2, 3]);
+    assert.ok(msg.e.every(([, mask]) => !(mask & (1 << COMMON_FIELDS)))); // no owner-only fields
+  }
+});
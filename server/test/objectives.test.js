@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  isTeamMode, mapSupportsMode, initObjective, updateObjective, publicObjective, GAME_MODES,
+} = require('../server');
+const { DT, player, setup, ticks } = require('./helpers');
+
+// Players as [id, team, x, z]
+function start(mode, players) {
+  const room = setup({ mode }, players.map(([id, team, x, z]) => player(id, { team, x, z })));
+  room.objective = initObjective(room);
+  return room;
+}
+
+function step(room, seconds = DT) {
+  ticks(seconds, () => {
+    room.tick++;
+    updateObjective(room, DT);
+  });
+}
+
+test('objective modes are team modes and need map support', () => {
+  assert.ok(isTeamMode('ctf') && isTeamMode('koth') && isTeamMode('team-deathmatch'));
+  assert.ok(!isTeamMode('deathmatch'));
+  assert.strictEqual(mapSupportsMode({ spawns: [] }, 'ctf'), false);
+  assert.strictEqual(mapSupportsMode({ spawns: [] }, 'deathmatch'), true);
+});
+
+test('ctf: take, drop, return and capture', () => {
+  // Arena flag bases: red (-42, 0), blue (42, 0)
+  const room = start('ctf', [['r', 'red', 41, 0], ['b', 'blue', 0, 20]]);
+  const { flags } = room.objective;
+  const r = room.players.get('r'), b = room.players.get('b');
+
+  step(room);
+  assert.strictEqual(flags.blue.carrier, 'r');
+
+  // Carrier dies mid-field: the flag drops there
+  r.x = 10; step(room);
+  r.alive = false; step(room);
+  assert.strictEqual(flags.blue.carrier, null);
+  assert.deepStrictEqual([flags.blue.x, flags.blue.z, flags.blue.atHome], [10, 0, false]);
+
+  // A blue player touching their dropped flag sends it home
+  b.x = 10; b.z = 1; step(room);
+  assert.strictEqual(flags.blue.atHome, true);
+  assert.strictEqual(flags.blue.x, 42);
+
+  // Take it again and bring it to the red base
+  r.alive = true; r.x = 42; r.z = 0; step(room);
+  r.x = -42; step(room); step(room);
+  assert.strictEqual(room.objective.scores.red, 1);
+  assert.strictEqual(r.captures, 1);
+  assert.strictEqual(flags.blue.atHome, true);
+});
+
+test('ctf: no capture while your own flag is away, and dropped flags return on their own', () => {
+  const room = start('ctf', [['r', 'red', 41, 0], ['b', 'blue', -41, 0]]);
+  const { flags } = room.objective;
+  step(room); // both flags taken
+  assert.strictEqual(flags.blue.carrier, 'r');
+  assert.strictEqual(flags.red.carrier, 'b');
+
+  const r = room.players.get('r');
+  r.x = -42; step(room); step(room);
+  assert.strictEqual(room.objective.scores.red, 0);
+
+  r.alive = false; step(room);
+  step(room, 20);
+  assert.strictEqual(flags.blue.atHome, true);
+});
+
+test('ctf: three captures win', () => {
+  const room = start('ctf', []);
+  room.objective.scores.blue = 3;
+  assert.deepStrictEqual(GAME_MODES.ctf.checkWin(room, false), { type: 'team', team: 'blue' });
+});
+
+test('koth: sole control scores team time, contested scores nothing, the hill moves', () => {
+  // First arena hill at (0, 30) radius 6
+  const room = start('koth', [['r', 'red', 0, 30], ['b', 'blue', 0, 0]]);
+  step(room, 2);
+  assert.strictEqual(publicObjective(room).scores.red, 2);
+  assert.strictEqual(room.objective.holder, 'red');
+
+  room.players.get('b').z = 29;
+  step(room, 2);
+  assert.strictEqual(room.objective.holder, 'contested');
+  assert.strictEqual(Math.floor(room.objective.scores.red), 2);
+
+  step(room, 60);
+  assert.deepStrictEqual(room.objective.zone, { x: -30, z: 0, radius: 6 });
+  assert.strictEqual(room.objective.holder, null);
+
+  room.objective.scores.red = 120;
+  assert.deepStrictEqual(GAME_MODES.koth.checkWin(room, false), { type: 'team', team: 'red' });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  MemoryStatsStore, setStatsStore, recordMatchStats,
+  matchXp, levelForXp, levelStartXp, equipCosmetics, describeProfile, matchProgress,
+} = require('../server');
+
+function line(name, extra = {}) {
+  return { name, kills: 0, deaths: 0, headshots: 0, assists: 0, bestStreak: 0, won: false, ...extra };
+}
+
+test('matches pay XP from score, headshots, streaks and wins; levels get steeper', () => {
+  assert.strictEqual(matchXp({}), 20);
+  const good = matchXp({ score: 100, headshots: 4, bestStreak: 5, won: true });
+  assert.strictEqual(good, 20 + 50 + 200 + 20 + 30);
+
+  assert.strictEqual(levelForXp(0), 1);
+  assert.strictEqual(levelStartXp(2), 100);
+  assert.strictEqual(levelStartXp(3), 300);
+  assert.strictEqual(levelForXp(299), 2);
+  assert.strictEqual(levelForXp(300), 3);
+  assert.strictEqual(levelForXp(1e9), 50);
+});
+
+test('the store keeps XP and awards each achievement once', () => {
+  const store = new MemoryStatsStore();
+  store.recordMatch({ mode: 'deathmatch', map: 'arena', endedAt: 1, players: [line('Ace', { kills: 3, headshots: 5, xp: 120 })] });
+  store.recordMatch({ mode: 'deathmatch', map: 'arena', endedAt: 2, players: [line('ace', { kills: 1, headshots: 6, xp: 80 })] });
+  const profile = store.getProfile('ACE');
+  assert.strictEqual(profile.xp, 200);
+  assert.deepStrictEqual(profile.achievements, ['first-blood', 'headhunter']);
+  assert.deepStrictEqual(store.getProfile('nobody'), { name: 'nobody', xp: 0, achievements: [] });
+});
+
+test('only owned cosmetics can be equipped', () => {
+  const fresh = { name: 'new', xp: 0, achievements: [] };
+  assert.deepStrictEqual(equipCosmetics(fresh, { color: '#FF00AA', hat: 'crown', skinId: 'gold', effectId: 'confetti' }),
+    { color: '#ff00aa', hat: 'none', skinId: 'default', effectId: 'default' });
+  assert.strictEqual(equipCosmetics(fresh, { color: 'red; background:url(x)' }).color, '#00ffff');
+  assert.strictEqual(equipCosmetics(fresh, { hat: 'nonsense' }).hat, 'none');
+
+  const seasoned = { name: 'old', xp: levelStartXp(5), achievements: ['champion', 'first-blood'] };
+  assert.deepStrictEqual(equipCosmetics(seasoned, { hat: 'crown', skinId: 'stripes', effectId: 'confetti' }),
+    { color: '#00ffff', hat: 'crown', skinId: 'stripes', effectId: 'confetti' });
+  assert.strictEqual(equipCosmetics(seasoned, { skinId: 'chrome' }).skinId, 'default'); // level 12
+
+  const locker = describeProfile(seasoned);
+  assert.strictEqual(locker.level, 5);
+  assert.strictEqual(locker.nextLevelXp, levelStartXp(6));
+  assert.deepStrictEqual(locker.cosmetics.hat.find(c => c.id === 'horns'), { id: 'horns', name: 'Devil Horns', owned: false, unlock: 'Level 8' });
+  assert.strictEqual(locker.achievements.find(a => a.id === 'champion').earned, true);
+});
+
+test('a match reports XP gained, level-ups, achievements and unlocks', () => {
+  const store = new MemoryStatsStore();
+  setStatsStore(store);
+  const player = (name, kills, score) => ({ name, team: null, kills, deaths: 0, headshots: 0, assistCount: 0, bestStreak: kills, score });
+  const room = { code: 'TEST', mode: 'deathmatch', map: 'arena',
+    players: new Map([['a', player('Ace', 6, 100)], ['b', player('Bob', 0, 0)]]) };
+  const before = store.getProfile('Ace');
+  recordMatchStats(room, { type: 'player', id: 'a' }, [{ id: 'a', score: 100, kills: 6 }, { id: 'b', score: 0, kills: 0 }]);
+
+  const xp = matchXp({ score: 100, bestStreak: 6, won: true }); // 310: level 3
+  const progress = matchProgress(before, { name: 'Ace', xp });
+  assert.strictEqual(progress.xp, xp);
+  assert.strictEqual(progress.level, levelForXp(xp));
+  assert.ok(progress.levelUp);
+  assert.deepStrictEqual(progress.achievements, [{ id: 'first-blood', name: 'First Blood' }]);
+  assert.ok(progress.unlocked.includes('effect:confetti'));
+  assert.ok(progress.unlocked.includes('hat:tophat'));
+  assert.strictEqual(store.getProfile('Bob').xp, matchXp({}));
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { spawnProjectile, updateProjectiles, simulateMove, resetMovement } = require('../server');
+const { DT, player, setup, ticks } = require('./helpers');
+
+function run(room, seconds) {
+  ticks(seconds, () => updateProjectiles(room, DT));
+}
+
+test('a rocket flies for a while and bursts on the first player in its path', () => {
+  const shooter = player('a', { x: 0, z: 20 }), target = player('b', { x: 0, z: 35 });
+  const room = setup({}, [shooter, target]);
+  spawnProjectile(room, 'a', 'rocket', { x: 0, y: 1.2, z: 20.5 }, { x: 0, y: 0, z: 1 });
+  run(room, 0.2); // 12 units of 15
+  assert.strictEqual(room.projectiles.length, 1);
+  run(room, 0.1);
+  assert.strictEqual(room.projectiles.length, 0);
+  assert.ok(target.hp < 40, `direct hit leaves ${target.hp}`);
+  assert.strictEqual(shooter.hp, 100); // 15 units away, outside the splash
+  assert.ok(target.kz > 0); // knocked away from the blast
+});
+
+test('walls stop rockets and absorb splash', () => {
+  // Arena pillar at x=15 spans z -5..5; target hides behind it
+  const shooter = player('a', { x: 8, z: 0 }), hidden = player('b', { x: 17, z: 0 });
+  const room = setup({}, [shooter, hidden]);
+  spawnProjectile(room, 'a', 'rocket', { x: 8, y: 1.2, z: 0 }, { x: 1, y: 0, z: 0 });
+  run(room, 0.5);
+  assert.strictEqual(room.projectiles.length, 0);
+  assert.strictEqual(hidden.hp, 100);
+  assert.ok(shooter.hp < 100 && shooter.hp > 50); // 8 units of splash radius, self-damage is halved
+});
+
+test('rocket jump: firing at your feet hurts a little and launches you up', () => {
+  const jumper = player('a', { x: -20, z: 20 });
+  const room = setup({}, [jumper]);
+  spawnProjectile(room, 'a', 'rocket', { x: -20, y: 1.4, z: 20.1 }, { x: 0, y: -1, z: 0 });
+  run(room, DT);
+  assert.ok(jumper.hp >= 60 && jumper.hp < 100, `hp ${jumper.hp}`);
+  assert.ok(jumper.vy > 8, `vy ${jumper.vy}`); // stronger than a normal jump
+  assert.strictEqual(jumper.grounded, false);
+  assert.strictEqual(jumper.deaths, 0);
+});
+
+test('own blasts can kill you without crediting anyone', () => {
+  const p = player('a', { x: -20, z: 20, hp: 10 });
+  const room = setup({}, [p]);
+  spawnProjectile(room, 'a', 'rocket', { x: -20, y: 1.0, z: 20 }, { x: 0, y: -1, z: 0 });
+  run(room, DT);
+  assert.strictEqual(p.alive, false);
+  assert.strictEqual(p.kills, 0);
+});
+
+test('grenades bounce off walls and go off when the fuse runs out', () => {
+  const thrower = player('a', { x: 10, z: 0 }), victim = player('b', { x: 3, z: 1 });
+  const room = setup({}, [thrower, victim]);
+  // Thrown flat at the pillar 5 units away
+  const g = spawnProjectile(room, 'a', 'grenade', { x: 10, y: 1.5, z: 0 }, { x: 1, y: 0, z: 0 });
+  run(room, 0.5);
+  assert.ok(g.vx < 0, 'bounced back off the pillar');
+  assert.ok(g.x < 14.85);
+  run(room, 1.4);
+  assert.strictEqual(room.projectiles.length, 1);
+  assert.ok(g.y >= 0.15);
+  run(room, 0.2);
+  assert.strictEqual(room.projectiles.length, 0);
+  assert.ok(victim.hp < 100);
+});
+
+test('knockback carries you through the air and fades on the ground', () => {
+  const p = player('a', { x: 0, z: 20 });
+  resetMovement(p, { x: 0, y: 1.6, z: 20 });
+  p.kx = 10; p.vy = 6; p.grounded = false;
+  let t = 0;
+  while (!p.grounded) { simulateMove(p, { seq: 1, dt: DT, keys: 0, yaw: 0 }, []); t += DT; }
+  assert.ok(p.x > 4, `carried ${p.x}`);
+  const landedAt = p.x;
+  for (let i = 0; i < 20; i++) simulateMove(p, { seq: 1, dt: DT, keys: 0, yaw: 0 }, []);
+  assert.strictEqual(p.kx, 0);
+  assert.ok(p.x - landedAt < 1.5);
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { app, ReplayRecorder, ReplayStore, setReplayStore, saveReplay } = require('../server');
+
+function fakeRoom() {
+  const player = (name, x) => ({ name, color: '#00ffff', hat: 'none', team: null,
+    x, y: 1.6, z: 0, yaw: 0.123456, pitch: 0, hp: 100, alive: true, weapon: 0, down: 0 });
+  return { code: 'REPL', name: 'Replay room', mode: 'deathmatch', map: 'arena', tick: 100,
+    rules: { scoreLimit: 30, timeLimit: 600, respawnDelay: 3, friendlyFire: false },
+    players: new Map([['a', player('Ace', -5)], ['b', player('Bob', 5)]]), coop: null };
+}
+
+function recordMatch(room) {
+  room.replay = new ReplayRecorder(room);
+  for (let i = 0; i < 3; i++) {
+    room.tick++;
+    room.players.get('a').x += 1;
+    room.replay.frame(room);
+  }
+  room.replay.event(room, 'kill', { killer: 'a', victim: 'b' });
+  return room.replay;
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'replays-'));
+}
+
+test('frames hold every player per tick, events are stamped with the tick', () => {
+  const room = fakeRoom();
+  const replay = recordMatch(room).finish(room, { type: 'player', id: 'a', name: 'Ace' }, []);
+  assert.deepStrictEqual(replay.players.map(p => p.name), ['Ace', 'Bob']);
+  assert.strictEqual(replay.frames.length, 3);
+  assert.strictEqual(replay.ticks, 3);
+
+  const stride = replay.fields.length + 1;
+  const [tick, players] = replay.frames[2];
+  assert.strictEqual(tick, 3);
+  assert.strictEqual(players.length, 2 * stride);
+  assert.strictEqual(players[0], 0);                    // roster index
+  assert.strictEqual(players[1 + replay.fields.indexOf('x')], -2);
+  assert.strictEqual(players[1 + replay.fields.indexOf('yaw')], 0.12);
+  assert.strictEqual(players[1 + replay.fields.indexOf('alive')], 1);
+  assert.deepStrictEqual(replay.events, [[3, 'kill', { killer: 'a', victim: 'b' }]]);
+});
+
+test('players who join mid-match are added to the roster', () => {
+  const room = fakeRoom();
+  const rec = recordMatch(room);
+  room.players.set('c', { ...room.players.get('b'), name: 'Cat' });
+  room.tick++;
+  rec.frame(room);
+  const replay = rec.finish(room, null, []);
+  assert.deepStrictEqual(replay.players.map(p => p.name), ['Ace', 'Bob', 'Cat']);
+  assert.strictEqual(replay.frames[3][1][2 * (replay.fields.length + 1)], 2);
+});
+
+test('saved replays are gzipped, indexed and pruned to the limit', async () => {
+  const dir = tempDir();
+  try {
+    const store = new ReplayStore(dir, 2);
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      const room = fakeRoom();
+      const replay = recordMatch(room).finish(room, null, []);
+      replay.id += `-${i}`;
+      ids.push(replay.id);
+      await store.save(replay);
+    }
+    assert.deepStrictEqual(store.list().map(e => e.id), [ids[2], ids[1]]);
+    assert.strictEqual(store.file(ids[0]), null);
+    assert.ok(!fs.existsSync(path.join(dir, `${ids[0]}.json.gz`)));
+
+    const saved = JSON.parse(zlib.gunzipSync(fs.readFileSync(store.file(ids[2]))));
+    assert.strictEqual(saved.frames.length, 3);
+
+    // The index survives a restart
+    assert.deepStrictEqual(new ReplayStore(dir).list().map(e => e.id), [ids[2], ids[1]]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('REST endpoints list replays and serve the file', async () => {
+  const dir = tempDir();
+  const store = new ReplayStore(dir);
+  setReplayStore(store);
+  const room = fakeRoom();
+  recordMatch(room);
+  saveReplay(room, null, [{ name: 'Ace', kills: 1 }]);
+  assert.strictEqual(room.replay, null);
+  await store.writing;
+
+  const srv = app.listen(0);
+  await new Promise(resolve => srv.once('listening', resolve));
+  const base = `http://127.0.0.1:${srv.address().port}`;
+  try {
+    const list = await (await fetch(`${base}/api/replays`)).json();
+    assert.strictEqual(list.length, 1);
+    assert.deepStrictEqual(list[0].players, ['Ace', 'Bob']);
+    const replay = await (await fetch(`${base}/api/replays/${list[0].id}`)).json();
+    assert.strictEqual(replay.scoreboard[0].name, 'Ace');
+    assert.strictEqual((await fetch(`${base}/api/replays/nope`)).status, 404);
+    assert.strictEqual((await fetch(`${base}/api/replays/..%2Findex`)).status, 404);
+  } finally {
+    srv.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
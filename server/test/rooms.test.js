@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  applyRoomSettings, advanceRotation, ensureHost, canStartMatch, getRoomList, getRoomState,
+  removePlayer, clientAddress,
+} = require('../server');
+const { player, seat, withRoom } = require('./helpers');
+
+test('private rooms are left out of the list, locked rooms are flagged', () => {
+  withRoom({ name: 'Secret', private: true }, (secret) => {
+    withRoom({ name: 'Locked', password: ' hunter2 ' }, (locked) => {
+      const list = getRoomList();
+      assert.ok(!list.some(r => r.code === secret.code));
+      assert.strictEqual(list.find(r => r.code === locked.code).locked, true);
+      assert.strictEqual(locked.password, 'hunter2');
+      assert.ok(!('password' in getRoomState(locked)));
+    });
+  });
+});
+
+test('the host hands over to the next player when they leave', () => {
+  withRoom({}, (room) => {
+    room.host = 'a';
+    seat(room, [player('a'), player('b')]);
+    assert.strictEqual(ensureHost(room), false);
+    removePlayer(room, 'a');
+    assert.strictEqual(room.host, 'b');
+  });
+});
+
+test('a hosted match starts once everyone but the host is ready', () => {
+  withRoom({}, (room) => {
+    room.host = 'a';
+    room.players.set('a', player('a'));
+    assert.strictEqual(canStartMatch(room), false); // alone
+    room.players.set('b', player('b'));
+    assert.strictEqual(canStartMatch(room), false);
+    room.players.get('b').ready = true;
+    assert.strictEqual(canStartMatch(room), true);
+  });
+});
+
+test('lobby settings switch mode and map, keeping or resetting rules', () => {
+  withRoom({ mode: 'deathmatch', scoreLimit: 15 }, (room) => {
+    seat(room, [player('a'), player('b')]);
+
+    applyRoomSettings(room, { timeLimit: 300, password: 'pw', private: true, maxPlayers: 1 });
+    assert.strictEqual(room.rules.scoreLimit, 15); // kept
+    assert.strictEqual(room.rules.timeLimit, 300);
+    assert.strictEqual(room.password, 'pw');
+    assert.strictEqual(room.private, true);
+    assert.strictEqual(room.maxPlayers, 2); // never below the players already in
+
+    applyRoomSettings(room, { mode: 'ctf', map: 'corridors' });
+    assert.strictEqual(room.mode, 'ctf');
+    assert.strictEqual(room.rules.scoreLimit, 3); // ctf default
+    assert.deepStrictEqual([...room.players.values()].map(p => p.team).sort(), ['blue', 'red']);
+
+    applyRoomSettings(room, { mode: 'nope', map: 'nope' });
+    assert.strictEqual(room.mode, 'ctf');
+  });
+});
+
+test('the rotation moves to the next entry after each match and wraps around', () => {
+  withRoom({ mode: 'deathmatch', rotation: [{ mode: 'gungame', map: 'fortress' }, { mode: 'bogus', map: 'arena' },
+    { mode: 'team-deathmatch', map: 'arena' }] }, (room) => {
+    assert.strictEqual(room.rotation.length, 2); // invalid entries dropped
+    assert.deepStrictEqual(advanceRotation(room), { mode: 'gungame', map: 'fortress' });
+    assert.strictEqual(room.mode, 'gungame');
+    assert.strictEqual(room.map, 'fortress');
+    advanceRotation(room);
+    assert.strictEqual(room.mode, 'team-deathmatch');
+    advanceRotation(room);
+    assert.strictEqual(room.mode, 'gungame');
+
+    applyRoomSettings(room, { rotation: [] });
+    assert.strictEqual(advanceRotation(room), null);
+  });
+});
+
+test('bans go by the address our own proxy saw, not what the client claims', () => {
+  const socket = (forwarded) => ({ handshake: { address: '10.0.0.1', headers: forwarded ? { 'x-forwarded-for': forwarded } : {} } });
+  assert.strictEqual(clientAddress(socket('203.0.113.9'), 0), '10.0.0.1'); // no proxy: the header is anyone's
+  assert.strictEqual(clientAddress(socket('203.0.113.9'), 1), '203.0.113.9');
+  assert.strictEqual(clientAddress(socket('1.2.3.4, 203.0.113.9'), 1), '203.0.113.9'); // 1.2.3.4 is made up
+  assert.strictEqual(clientAddress(socket('203.0.113.9, 10.0.0.7'), 2), '203.0.113.9');
+  assert.strictEqual(clientAddress(socket(null), 1), '10.0.0.1');
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  rooms, createRoom, ReplayRecorder, findSession, rekeyPlayer, suspendPlayer, resumePlayer, removePlayer,
+} = require('../server');
+const { player, seat, withRoom } = require('./helpers');
+
+test('sessions are found by token across rooms', () => {
+  withRoom({}, (room) => {
+    seat(room, [player('a'), player('b')]);
+    const found = findSession('session-b');
+    assert.strictEqual(found.room, room);
+    assert.strictEqual(found.sid, 'b');
+    assert.strictEqual(findSession('nope'), null);
+    assert.strictEqual(findSession(undefined), null);
+  });
+});
+
+test('re-keying moves every reference to the new socket id', () => {
+  withRoom({ mode: 'ctf' }, (room) => {
+    seat(room, [player('a', { team: 'red' }), player('b', { team: 'blue' }), player('c', { team: 'red' })]);
+    room.objective = { type: 'ctf', flags: { red: { carrier: null }, blue: { carrier: 'a' } } };
+    room.projectiles = [{ owner: 'a' }, { owner: 'b' }];
+    room.players.get('b').assists.set('a', 1234);
+    room.tick = 0;
+    room.replay = new ReplayRecorder(room);
+    room.replay.frame(room);
+
+    const p = rekeyPlayer(room, 'a', 'a2');
+    assert.deepStrictEqual([...room.players.keys()], ['a2', 'b', 'c']); // order kept
+    assert.strictEqual(p.id, 'a2');
+    assert.strictEqual(room.objective.flags.blue.carrier, 'a2');
+    assert.deepStrictEqual(room.projectiles.map(pr => pr.owner), ['a2', 'b']);
+    assert.deepStrictEqual([...room.players.get('b').assists], [['a2', 1234]]);
+    assert.strictEqual(room.replay.players[0].id, 'a2');
+    assert.strictEqual(room.replay.rosterIndex('a2', p), 0);
+  });
+});
+
+test('a dropped player keeps their slot and stats until they resume', () => {
+  withRoom({ mode: 'gungame' }, (room) => {
+    seat(room, [player('a', { kills: 4, gunGameLevel: 3, x: 12, lastInputSeq: 80 }), player('b')]);
+    try {
+      suspendPlayer(room, 'a');
+      const held = room.players.get('a');
+      assert.strictEqual(held.disconnected, true);
+      assert.ok(held.graceTimer);
+
+      const p = resumePlayer(room, 'a', 'a2', true);
+      assert.strictEqual(p, held);
+      assert.strictEqual(p.disconnected, false);
+      assert.strictEqual(p.graceTimer, null);
+      assert.strictEqual(p.kills, 4);
+      assert.strictEqual(p.gunGameLevel, 3);
+      assert.strictEqual(p.x, 12);
+      assert.strictEqual(p.lastInputSeq, 0); // the new client counts from the start
+      assert.strictEqual(p.net.binary, true);
+      assert.ok(!room.players.has('a'));
+      assert.strictEqual(findSession('session-a').sid, 'a2');
+    } finally {
+      for (const p of room.players.values()) clearTimeout(p.graceTimer);
+    }
+  });
+});
+
+test('the slot is given up when the grace period runs out, and an empty room closes', async () => {
+  const room = seat(createRoom({ map: 'arena' }), [player('a'), player('b')]);
+  removePlayer(room, 'b');
+  assert.ok(rooms.has(room.code));
+  suspendPlayer(room, 'a', 20);
+  assert.ok(rooms.has(room.code)); // held open for the reconnect
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.strictEqual(room.players.size, 0);
+  assert.ok(!rooms.has(room.code));
+});
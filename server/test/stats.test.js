@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { app, MemoryStatsStore, FileStatsStore, setStatsStore, recordMatchStats } = require('../server');
+
+function line(name, kills, deaths, extra = {}) {
+  return { name, kills, deaths, headshots: 0, assists: 0, bestStreak: 0, won: false, ...extra };
+}
+
+test('matches accumulate into career totals and per-mode stats', () => {
+  const store = new MemoryStatsStore();
+  store.recordMatch({ mode: 'deathmatch', map: 'arena', endedAt: 1, players: [
+    line('Ace', 10, 2, { headshots: 4, bestStreak: 5, won: true }), line('Bob', 2, 10, { assists: 3 }),
+  ] });
+  store.recordMatch({ mode: 'gungame', map: 'fortress', endedAt: 2, players: [
+    line('ace', 3, 3, { bestStreak: 2 }), line('Bob', 6, 1, { won: true }),
+  ] });
+
+  const ace = store.getPlayer('ACE');
+  assert.strictEqual(ace.matches, 2);
+  assert.strictEqual(ace.kills, 13);
+  assert.strictEqual(ace.wins, 1);
+  assert.strictEqual(ace.bestStreak, 5);
+  assert.strictEqual(ace.modes.gungame.kills, 3);
+  assert.strictEqual(ace.recent[0].mode, 'gungame');
+  assert.strictEqual(store.getPlayer('nobody'), null);
+
+  assert.deepStrictEqual(store.getLeaderboard().map(r => r.name), ['ace', 'Bob']);
+  assert.deepStrictEqual(store.getLeaderboard({ mode: 'gungame' }).map(r => r.name), ['Bob', 'ace']);
+  assert.deepStrictEqual(store.getLeaderboard({ sort: 'assists', limit: 1 }).map(r => r.name), ['Bob']);
+  assert.strictEqual(store.getLeaderboard()[0].kd, 2.6);
+});
+
+test('file store survives a restart', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stats-'));
+  try {
+    const file = path.join(dir, 'nested', 'stats.json');
+    const store = new FileStatsStore(file);
+    store.recordMatch({ mode: 'deathmatch', map: 'arena', endedAt: 1, players: [line('Ace', 4, 1)] });
+    await store.writing;
+    const reloaded = new FileStatsStore(file);
+    assert.strictEqual(reloaded.getPlayer('ace').kills, 4);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('names that shadow object properties are ordinary players', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stats-'));
+  try {
+    const file = path.join(dir, 'stats.json');
+    const store = new FileStatsStore(file);
+    assert.strictEqual(store.getPlayer('constructor'), null);
+    store.recordMatch({ mode: 'deathmatch', map: 'arena', endedAt: 1, players: [line('__proto__', 3, 1), line('Ace', 1, 3)] });
+    await store.writing;
+    assert.strictEqual({}.kills, undefined);
+    assert.strictEqual(store.getPlayer('__proto__').kills, 3);
+    assert.deepStrictEqual(store.getLeaderboard().map(r => r.name), ['__proto__', 'Ace']);
+    assert.strictEqual(new FileStatsStore(file).getPlayer('__proto__').kills, 3);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('endGame results credit wins to the winning player or team', () => {
+  const store = new MemoryStatsStore();
+  setStatsStore(store);
+  const player = (name, team) => ({ name, team, kills: 1, deaths: 1, headshots: 0, assistCount: 0, bestStreak: 1 });
+  const room = { code: 'TEST', mode: 'team-deathmatch', map: 'arena',
+    players: new Map([['a', player('Red1', 'red')], ['b', player('Blue1', 'blue')]]) };
+  recordMatchStats(room, { type: 'team', team: 'red' });
+  assert.strictEqual(store.getPlayer('Red1').wins, 1);
+  assert.strictEqual(store.getPlayer('Blue1').wins, 0);
+});
+
+test('REST endpoints serve leaderboards and career stats', async () => {
+  const store = new MemoryStatsStore();
+  store.recordMatch({ mode: 'deathmatch', map: 'arena', endedAt: 1, players: [line('Ace', 5, 1), line('Bob', 1, 5)] });
+  setStatsStore(store);
+
+  const srv = app.listen(0);
+  await new Promise(resolve => srv.once('listening', resolve));
+  const base = `http://127.0.0.1:${srv.address().port}`;
+  try {
+    const global = await (await fetch(`${base}/api/leaderboard?limit=1`)).json();
+    assert.deepStrictEqual(global.map(r => r.name), ['Ace']);
+    const byMode = await (await fetch(`${base}/api/leaderboard/deathmatch`)).json();
+    assert.strictEqual(byMode.length, 2);
+    assert.strictEqual((await fetch(`${base}/api/leaderboard/nope`)).status, 404);
+    const bob = await (await fetch(`${base}/api/players/bob`)).json();
+    assert.strictEqual(bob.deaths, 5);
+    assert.strictEqual((await fetch(`${base}/api/players/ghost`)).status, 404);
+    for (const name of ['__proto__', 'constructor', 'toString']) {
+      assert.strictEqual((await fetch(`${base}/api/players/${name}`)).status, 404);
+    }
+  } finally {
+    srv.close();
+  }
+});
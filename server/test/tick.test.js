@@ -0,0 +1,79 @@
+'use strict';
+
+// lib/rooms.js and lib/tick.js on their own: no server.js, no sockets, and a fake clock to step
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { FakeClock, useClock } = require('../lib/clock');
+const { TICK_MS } = require('../lib/constants');
+const { newPlayerState } = require('../lib/players');
+const { rooms, roomEvents, createRoom } = require('../lib/rooms');
+const { startCountdown, stopRoomTick } = require('../lib/tick');
+
+function seatNew(room, id) {
+  const p = newPlayerState(room, id, { name: id.toUpperCase(), gear: {}, binary: false });
+  room.players.set(id, p);
+  return p;
+}
+
+function withClock(fn) {
+  const clock = new FakeClock();
+  const prev = useClock(clock);
+  try {
+    return fn(clock);
+  } finally {
+    useClock(prev);
+  }
+}
+
+test('room codes skip the ones taken elsewhere', () => {
+  const tried = [];
+  const room = createRoom({}, { taken: code => tried.push(code) < 3 });
+  rooms.delete(room.code);
+  assert.strictEqual(tried.length, 3);
+  assert.strictEqual(room.code, tried[2]);
+  assert.strictEqual(room.mode, 'deathmatch');
+});
+
+test('a match counts down, plays and ends through the hooks it was started with', () => withClock(clock => {
+  const room = createRoom({ map: 'arena', mode: 'deathmatch' });
+  const changed = [];
+  const onChanged = () => changed.push(room.state);
+  roomEvents.on('changed', onChanged);
+  try {
+    const a = seatNew(room, 'a');
+    seatNew(room, 'b');
+    const ticks = [], ends = [];
+    startCountdown(room, {
+      onTick: (r, now) => ticks.push(now),
+      onEnd: (r, winner, scoreboard) => ends.push({ winner, scoreboard }),
+    });
+    assert.strictEqual(room.state, 'countdown');
+
+    clock.advance(3000 + TICK_MS); // float steps may leave a sliver of countdown
+    assert.strictEqual(room.state, 'playing');
+    assert.ok(room.replay, 'the match is recorded');
+    for (const p of room.players.values()) assert.ok(p.alive && p.spawnProtectionTimer > 0);
+
+    const before = ticks.length;
+    clock.advance(TICK_MS * 4);
+    assert.strictEqual(ticks.length - before, 4);
+    assert.deepStrictEqual(ticks, [...ticks].sort((x, y) => x - y));
+
+    a.kills = room.rules.scoreLimit;
+    clock.advance(TICK_MS);
+    assert.strictEqual(room.state, 'results');
+    assert.strictEqual(ends.length, 1);
+    assert.deepStrictEqual(ends[0].winner, { type: 'player', id: 'a', name: 'A' });
+    assert.strictEqual(ends[0].scoreboard.length, 2);
+    assert.strictEqual(room.tickInterval, null);
+
+    clock.advance(10000);
+    assert.strictEqual(room.state, 'lobby');
+    assert.deepStrictEqual(changed, ['lobby'], 'the room list hears about the return to the lobby');
+  } finally {
+    roomEvents.off('changed', onChanged);
+    stopRoomTick(room);
+    rooms.delete(room.code);
+  }
+}));